@@ -7,11 +7,20 @@
 const canvas = document.getElementById("gameCanvas");
 const ctx = canvas.getContext("2d");
 const statusEl = document.getElementById("status");
+const roomLabelEl = document.getElementById("roomLabel");
+const roomSelectEl = document.getElementById("roomSelect");
+const replaySelectEl = document.getElementById("replaySelect");
 
 // Server world size (must match src/game/core.js)
 const WORLD_WIDTH = 1000;
 const WORLD_HEIGHT = 600;
 const FENCE_X = WORLD_WIDTH / 2;
+// Used for local movement prediction (must match src/game/core.js)
+const ARENA_PADDING = 40;
+const PLAYER_HALF_SIZE = 16; // Player.width / 2
+// From the server's balance config (sent in "welcome" / "balance").
+let playerSpeed = 300;
+let dashDuration = 0.15;
 
 let renderScale = 1;
 let cssWidth = 960;
@@ -121,6 +130,7 @@ const assetPaths = {
   tank: "assets/monsters/tank.png",
   spitter: "assets/monsters/spitter.png",
   spitter_projectile: "assets/monsters/spitter_projectile.png",
+  monster_brute: "assets/monsters/monster_brute.png",
 
   // boss placeholders (every 5th round)
   boss1: "assets/monsters/boss1.png",
@@ -139,6 +149,11 @@ const assetPaths = {
   heart: "assets/pickups/heart.png",
   green_potion: "assets/pickups/green_potion.png",
   grenade: "assets/pickups/grenade.png",
+
+  // deployables (optional: drawn as shapes until the art exists)
+  turret: "assets/deployables/turret.png",
+  spikes: "assets/deployables/spikes.png",
+  puddle: "assets/deployables/puddle.png",
 };
 
 const assets = {};
@@ -205,10 +220,26 @@ window.addEventListener("resize", resizeCanvas);
 
 const protocol = location.protocol === "https:" ? "wss" : "ws";
 const wsUrl = `${protocol}://${location.host}/ws`;
-const socket = new WebSocket(wsUrl);
+let socket = null;
+
+// Reconnect: the server holds our player slot for a grace window after a drop.
+// The session token from "welcome" reclaims it (kept per tab in sessionStorage,
+// so a page reload resumes too).
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000];
+let reconnectAttempt = 0;
+
+function sessionTokenKey(roomId) {
+  return `ff_session_${roomId}`;
+}
 
 let playerId = null;
 let lastState = null;
+// Room we're currently in ({ id, name }); picked from ?room=CODE on load.
+let currentRoom = null;
+let inRoom = false;
+// Playback status when watching a replay ({ tick, ticks, tickRate, paused, speed }).
+let replayInfo = null;
+const requestedRoomId = new URLSearchParams(location.search).get("room") || "main";
 
 // Client-side render timing (used for sprite animation)
 let _lastRenderAt = performance.now();
@@ -219,27 +250,55 @@ let _lastServerGameState = null;
 // movement input – ALWAYS WASD (each tab controls the server-assigned player)
 const keyState = { up: false, down: false, left: false, right: false };
 
-// SHOP menu (per connected player)
-// Costs should match src/game/core.js.
-const SHOP_ITEMS = [
-  { id: "upgrade_weapon", label: "Upgrade weapon", cost: 10, hint: "Stronger + faster" },
-  { id: "heal", label: "Heal +30", cost: 8, hint: "Emergency" },
-  { id: "send:slime", label: "Send 4x Slimes", cost: 10, hint: "Cheap pressure" },
-  { id: "send:fast", label: "Send 3x Fast", cost: 14, hint: "Hard to dodge" },
-  { id: "send:tank", label: "Send 2x Tanks", cost: 18, hint: "Soak damage" },
-  { id: "send:spitter", label: "Send 2x Spitters", cost: 16, hint: "Ranged threat" },
-  { id: "send_boss", label: "Send Boss", cost: 100, hint: "Big threat (latest tier)" },
-  // NEW: Grenade (2 max per shop, server enforces)
-  { id: "send_grenade", label: "Send Grenade", cost: 25, hint: "AoE explode (2 max/round)" },
-];
-
-// WEAPON SELECT menu (per connected player)
-const WEAPON_ITEMS = [
-  { id: "knife", label: "Knife", hint: "Fast" },
-  { id: "axe", label: "Axe", hint: "Heavy" },
-  { id: "spear", label: "Spear", hint: "Balanced" },
-  { id: "bow", label: "Bow", hint: "Ranged" },
-];
+// Manual aim mode (see AIM_MODES in src/game/core.js): the mouse (or a
+// gamepad's right stick) aims, left mouse / Space / right trigger fires.
+let mouseWorld = null; // { x, y } in world coordinates, null until the mouse moves
+let mouseFire = false;
+let spaceFire = false;
+let padAim = null; // { x, y } stick direction, null inside the dead zone
+let padFire = false;
+const PAD_DEAD_ZONE = 0.3;
+
+// SHOP + WEAPON SELECT menus (per connected player).
+// Filled from the server's balance config (src/game/balance.json) so labels and
+// costs always match what the server charges.
+let SHOP_ITEMS = [];
+let WEAPON_ITEMS = [];
+// weaponType -> upgrade tree nodes ({ id, label, hint, cost, requires }).
+let UPGRADE_TREES = {};
+// Passive items ({ id, label, hint, cost, maxStacks }).
+let PASSIVE_ITEMS = [];
+// hp fractions where each boss phase starts (first one is 1).
+let BOSS_PHASES = [];
+// effect id -> { label, speedMult, stun } (HUD icons + movement prediction).
+let STATUS_EFFECTS = {};
+// Co-op: seconds standing next to a downed teammate to revive them.
+let REVIVE_TIME = 3;
+// Win condition targets ({ lives, killTarget, scoreRounds }).
+let RULES = {};
+
+// Server-controlled players in this room: playerId -> difficulty.
+const botsById = new Map();
+
+function setBots(bots) {
+  botsById.clear();
+  for (const bot of bots || []) botsById.set(bot.playerId, bot.difficulty);
+}
+
+function applyBalance(balance) {
+  if (!balance) return;
+  SHOP_ITEMS = balance.shop || [];
+  WEAPON_ITEMS = balance.weapons || [];
+  UPGRADE_TREES = balance.upgradeTrees || {};
+  PASSIVE_ITEMS = balance.items || [];
+  BOSS_PHASES = balance.bossPhases || [];
+  STATUS_EFFECTS = balance.statusEffects || {};
+  if (balance.reviveTime) REVIVE_TIME = balance.reviveTime;
+  RULES = balance.rules || {};
+  if (balance.player && balance.player.speed) playerSpeed = balance.player.speed;
+  if (balance.dash && balance.dash.duration) dashDuration = balance.dash.duration;
+  weaponIndex = clamp(weaponIndex, 0, Math.max(0, WEAPON_ITEMS.length - 1));
+}
 
 let weaponIndex = 0;
 let weaponLastNavAt = 0;
@@ -247,12 +306,57 @@ let weaponLastNavAt = 0;
 let shopIndex = 0;
 let shopLastNavAt = 0;
 
+// Same rule as the server (src/game/upgrades.js): a node is open once its
+// parent is owned, unless a sibling was already taken.
+function openUpgrades(me) {
+  const tree = UPGRADE_TREES[me.weaponType] || [];
+  const path = me.upgradePath || [];
+  const parentOf = (id) => {
+    const node = tree.find((n) => n.id === id);
+    return node ? node.requires : null;
+  };
+  const takenParents = new Set(path.map(parentOf));
+  return tree.filter(
+    (n) => !path.includes(n.id) && (n.requires === null || path.includes(n.requires)) && !takenParents.has(n.requires)
+  );
+}
+
+// Shop menu rows: the weapon upgrades you can take next, then the regular items.
+function shopRows(me) {
+  const upgrades = openUpgrades(me).map((n) => ({
+    id: `upgrade:${n.id}`,
+    label: `Upgrade: ${n.label}`,
+    hint: n.hint,
+    cost: n.cost,
+    upgrade: true,
+  }));
+  const items = PASSIVE_ITEMS.map((item) => {
+    const owned = (me.items && me.items[item.id]) || 0;
+    return {
+      id: `item:${item.id}`,
+      label: `${item.label} (${owned}/${item.maxStacks})`,
+      hint: item.hint,
+      cost: item.cost,
+      passive: true,
+      maxed: owned >= item.maxStacks,
+    };
+  });
+  // Sends and curses are versus-only, team items co-op-only.
+  const mode = (lastState && lastState.mode) || "versus";
+  const shopItems = SHOP_ITEMS.filter((item) => !item.modes || item.modes.includes(mode));
+  return [...upgrades, ...items, ...shopItems];
+}
+
 // Send inputs at a steady cadence while PLAYING.
+// Unchanged keys are still re-sent every ~100ms so the server's input ack
+// (used for prediction reconciliation) keeps moving.
 let _lastSentKeys = "";
+let _lastInputSentAt = 0;
 setInterval(() => {
   if (currentGameState() !== "PLAYING") return;
-  const payload = JSON.stringify(keyState);
-  if (payload === _lastSentKeys) return;
+  pollGamepad();
+  const payload = JSON.stringify([keyState, manualAimInput()]);
+  if (payload === _lastSentKeys && performance.now() - _lastInputSentAt < 100) return;
   _lastSentKeys = payload;
   sendInput();
 }, 33);
@@ -262,6 +366,8 @@ function clearMovementKeys() {
   keyState.down = false;
   keyState.left = false;
   keyState.right = false;
+  mouseFire = false;
+  spaceFire = false;
   sendInput();
 }
 
@@ -271,36 +377,173 @@ document.addEventListener("visibilitychange", () => {
 });
 
 function send(obj) {
-  if (socket.readyState === WebSocket.OPEN) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
     socket.send(JSON.stringify(obj));
   }
 }
 
 function sendInput() {
-  send({ type: "input", keys: { ...keyState } });
+  inputSeq += 1;
+  _lastInputSentAt = performance.now();
+  send({ type: "input", keys: { ...keyState }, ...manualAimInput(), seq: inputSeq });
 }
 
-socket.addEventListener("open", () => {
-  statusEl.textContent = "Connecting to game...";
-  playerAnim.clear();
+/** Aim vector + fire button for the input message ({} in auto aim mode). */
+function manualAimInput() {
+  if (!lastState || lastState.aimMode !== "manual") return {};
+  const fire = mouseFire || spaceFire || padFire;
+  if (padAim) return { aim: { ...padAim }, fire };
+
+  const me = myServerPlayer(lastState);
+  if (!mouseWorld || !me) return { fire };
+  const from = predicted || me;
+  const x = Math.round(mouseWorld.x - from.x);
+  const y = Math.round(mouseWorld.y - from.y);
+  return x || y ? { aim: { x, y }, fire } : { fire };
+}
+
+function pollGamepad() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  const pad = Array.from(pads || []).find((gp) => gp && gp.connected);
+  if (!pad) {
+    padAim = null;
+    padFire = false;
+    return;
+  }
+  // Standard mapping: right stick = axes 2/3, RB/RT = buttons 5/7.
+  const x = pad.axes[2] || 0;
+  const y = pad.axes[3] || 0;
+  padAim = Math.hypot(x, y) > PAD_DEAD_ZONE ? { x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 } : null;
+  padFire = Boolean((pad.buttons[7] && pad.buttons[7].pressed) || (pad.buttons[5] && pad.buttons[5].pressed));
+}
+
+function updateMouse(e) {
+  const rect = canvas.getBoundingClientRect();
+  mouseWorld = {
+    x: (e.clientX - rect.left) / renderScale,
+    y: (e.clientY - rect.top) / renderScale,
+  };
+}
+
+canvas.addEventListener("mousemove", updateMouse);
+canvas.addEventListener("mousedown", (e) => {
+  if (e.button !== 0) return;
+  updateMouse(e);
+  mouseFire = true;
+  if (currentGameState() === "PLAYING") sendInput();
 });
+window.addEventListener("mouseup", (e) => {
+  if (e.button !== 0 || !mouseFire) return;
+  mouseFire = false;
+  if (currentGameState() === "PLAYING") sendInput();
+});
+
+function connect() {
+  socket = new WebSocket(wsUrl);
+  socket.addEventListener("open", onSocketOpen);
+  socket.addEventListener("message", onSocketMessage);
+  socket.addEventListener("close", onSocketClose);
+}
+
+function onSocketOpen() {
+  statusEl.textContent = reconnectAttempt > 0 ? "Reconnected, rejoining..." : "Connecting to game...";
+  reconnectAttempt = 0;
+  playerAnim.clear();
+  joinRoom(currentRoom ? currentRoom.id : requestedRoomId);
+}
 
-socket.addEventListener("message", (event) => {
+function onSocketClose() {
+  const delay = RECONNECT_DELAYS_MS[Math.min(reconnectAttempt, RECONNECT_DELAYS_MS.length - 1)];
+  reconnectAttempt += 1;
+  inRoom = false;
+  statusEl.textContent = "Connection lost — reconnecting...";
+  _lastSentKeys = "";
+  setTimeout(connect, delay);
+}
+
+function joinRoom(roomId) {
+  const token = sessionStorage.getItem(sessionTokenKey(roomId));
+  send({ type: "join_room", roomId, token });
+}
+
+function onSocketMessage(event) {
   const msg = JSON.parse(event.data);
 
+  if (msg.type === "rooms") {
+    renderRoomList(msg.rooms || []);
+    return;
+  }
+
+  if (msg.type === "replays") {
+    renderReplayList(msg.replays || []);
+    return;
+  }
+
+  if (msg.type === "lobby_error") {
+    statusEl.textContent = msg.message;
+    // Unknown room code in the URL (or our room closed while we were away):
+    // fall back to the main room.
+    if (!inRoom) joinRoom("main");
+    return;
+  }
+
+  if (msg.type === "bots") {
+    setBots(msg.bots);
+    return;
+  }
+
+  if (msg.type === "highscore") {
+    // Our solo run just ended (rank null = not on the table).
+    lastHighScore = msg;
+    loadHighScores();
+    return;
+  }
+
+  if (msg.type === "balance") {
+    // Config reloaded on the server between matches.
+    applyBalance(msg.balance);
+    return;
+  }
+
   if (msg.type === "welcome") {
+    inRoom = true;
     playerId = msg.playerId;
+    currentRoom = msg.room || null;
+    applyBalance(msg.balance);
+    setBots(msg.bots);
+    snapshotsBySeq.clear();
+    awaitingKeyframe = false;
+    replayInfo = null;
+    snapshotTimeline.length = 0;
+    resetPrediction();
+    if (currentRoom) {
+      if (msg.token) sessionStorage.setItem(sessionTokenKey(currentRoom.id), msg.token);
+      else sessionStorage.removeItem(sessionTokenKey(currentRoom.id));
+    }
+    lastState = null;
+    _lastServerGameState = null;
+    playerAnim.clear();
+    effects = [];
+    updateRoomLabel();
     statusEl.textContent =
-      playerId === 1
-        ? "Connected as Player 1 (Left)"
-        : playerId === 2
-        ? "Connected as Player 2 (Right)"
-        : "Connected as Spectator";
+      (msg.resumed ? "Resumed as " : "Connected as ") +
+      (playerId ? `Player ${playerId} (${playerSideLabel(playerId)})` : "Spectator");
+    send({ type: "list_rooms" });
+    send({ type: "list_replays" });
+    lastHighScore = null;
+    loadHighScores();
     return;
   }
 
-  if (msg.type === "state") {
-    lastState = msg.state;
+  if (msg.type === "state" || msg.type === "delta") {
+    // Events don't depend on the snapshot being usable.
+    handleGameEvents(msg.events);
+    const state = receiveSnapshot(msg);
+    if (!state) return;
+    lastState = state;
+    replayInfo = msg.replay || null;
+    recordTimeline(state, msg.t);
+    reconcilePrediction(state, msg.inputAcks);
 
     // If we leave PLAYING, force-clear movement keys so we never carry "stuck" keys
     const nowState = lastState ? lastState.state : null;
@@ -308,19 +551,461 @@ socket.addEventListener("message", (event) => {
       _lastSentKeys = "";
       clearMovementKeys();
     }
+    // A new run: the last one's high-score placing is old news.
+    if (_lastServerGameState === "GAME_OVER" && nowState !== "GAME_OVER") lastHighScore = null;
     _lastServerGameState = nowState;
   }
+}
+
+// -----------------------------------------------------
+// Snapshots (keyframes + deltas, see src/server/snapshots.js)
+// -----------------------------------------------------
+
+// Recent full states by seq: a delta is always relative to one we acked.
+const SNAPSHOT_BUFFER_SIZE = 64;
+const snapshotsBySeq = new Map();
+let awaitingKeyframe = false;
+
+function applyEntityListDelta(list, d) {
+  const del = new Set(d.del || []);
+  const upd = new Map((d.upd || []).map((e) => [e.id, e]));
+  const out = [];
+  for (const e of list || []) {
+    if (del.has(e.id)) continue;
+    const changes = upd.get(e.id);
+    out.push(changes ? { ...e, ...changes } : e);
+  }
+  for (const e of d.add || []) out.push(e);
+  return out;
+}
+
+function applyDelta(base, msg) {
+  const next = { ...base, ...(msg.set || {}) };
+  for (const [key, d] of Object.entries(msg.lists || {})) {
+    next[key] = applyEntityListDelta(base[key], d);
+  }
+  return next;
+}
+
+/** Rebuild the full state for a "state"/"delta" message (null if we can't). */
+function receiveSnapshot(msg) {
+  let state;
+  if (msg.type === "state") {
+    // Keyframe (or an old-style full state without seq).
+    state = msg.state;
+    awaitingKeyframe = false;
+  } else {
+    const base = snapshotsBySeq.get(msg.base);
+    if (!base) {
+      // Lost track of the base (e.g. just rejoined): ask for a keyframe once.
+      if (!awaitingKeyframe) {
+        awaitingKeyframe = true;
+        send({ type: "resync" });
+      }
+      return null;
+    }
+    state = applyDelta(base, msg);
+  }
+
+  if (typeof msg.seq === "number") {
+    snapshotsBySeq.set(msg.seq, state);
+    snapshotsBySeq.delete(msg.seq - SNAPSHOT_BUFFER_SIZE);
+    send({ type: "ack", seq: msg.seq });
+  }
+  return state;
+}
+
+// -----------------------------------------------------
+// Interpolation (render remote entities slightly in the past)
+// -----------------------------------------------------
+
+// Render this far behind the newest server time, so there's (almost) always a
+// pair of snapshots to blend between even with some network jitter.
+const INTERP_DELAY_MS = 100;
+const TIMELINE_MAX_AGE_MS = 1000;
+const INTERPOLATED_LISTS = ["monsters", "bullets", "enemyBullets"];
+
+const snapshotTimeline = []; // [{ t (server ms), state }], oldest first
+// Estimated (server clock - local clock). Tracks the fastest delivery seen,
+// relaxing slowly so clock drift / route changes are picked up.
+let clockOffset = null;
+
+function recordTimeline(state, serverT) {
+  if (typeof serverT !== "number") return;
+
+  const sample = serverT - performance.now();
+  clockOffset = clockOffset == null ? sample : Math.max(sample, clockOffset - 0.5);
+
+  snapshotTimeline.push({ t: serverT, state });
+  while (snapshotTimeline.length > 2 && serverT - snapshotTimeline[0].t > TIMELINE_MAX_AGE_MS) {
+    snapshotTimeline.shift();
+  }
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function lerpEntityList(listA, listB, alpha) {
+  const byId = new Map((listA || []).map((e) => [e.id, e]));
+  return (listB || []).map((e) => {
+    const prev = byId.get(e.id);
+    if (!prev) return e;
+    return { ...e, x: lerp(prev.x, e.x, alpha), y: lerp(prev.y, e.y, alpha) };
+  });
+}
+
+/** Latest state with moving entities blended at the render time (+ local prediction). */
+function buildRenderState() {
+  if (!lastState) return null;
+  let out = lastState;
+
+  if (snapshotTimeline.length >= 2 && clockOffset != null) {
+    const renderT = performance.now() + clockOffset - INTERP_DELAY_MS;
+
+    // Find the pair [a, b] around renderT (clamped to the buffered range; no extrapolation).
+    let a = snapshotTimeline[0];
+    let b = a;
+    for (let i = 1; i < snapshotTimeline.length; i++) {
+      b = snapshotTimeline[i];
+      if (b.t >= renderT) break;
+      a = b;
+    }
+    const span = b.t - a.t;
+    const alpha = span > 0 ? clamp((renderT - a.t) / span, 0, 1) : 1;
+
+    out = { ...lastState };
+    for (const key of INTERPOLATED_LISTS) {
+      out[key] = lerpEntityList(a.state[key], b.state[key], alpha);
+    }
+    // Players always exist: keep their latest stats, blend only the position.
+    const blended = new Map(lerpEntityList(a.state.players, b.state.players, alpha).map((p) => [p.id, p]));
+    out.players = (lastState.players || []).map((p) => {
+      const bp = blended.get(p.id);
+      return bp ? { ...p, x: bp.x, y: bp.y } : p;
+    });
+  }
+
+  if (predicted) {
+    out = out === lastState ? { ...lastState } : out;
+    out.players = (out.players || []).map((p) =>
+      p.id === playerId ? { ...p, x: predicted.x, y: predicted.y } : p
+    );
+  }
+  return out;
+}
+
+// -----------------------------------------------------
+// Local player prediction
+// -----------------------------------------------------
+// We apply our own WASD immediately (same speed + clamping as
+// GameCore.updatePlaying), remember every frame of movement, and when a
+// snapshot arrives re-run the frames the server hasn't seen yet on top of the
+// authoritative position. Dashes are predicted too: while one lasts, frames
+// move along the dash and ignore WASD, like on the server.
+
+const PREDICTION_SNAP_DIST = 80; // further off than this: just teleport
+const PREDICTION_BLEND = 0.3;    // fraction of the error corrected per snapshot
+
+let inputSeq = 0;
+let predicted = null; // { x, y } of our player, or null when not predicting
+let pendingMoves = []; // [{ seq, keys, dt, speedMult, dash }] not yet acknowledged by the server
+let moveDir = { x: 0, y: 0 }; // last direction we moved in (where a dash goes)
+let localDash = null; // { dx, dy, speed, left } while a predicted dash lasts
+
+function resetPrediction() {
+  predicted = null;
+  pendingMoves = [];
+  localDash = null;
+}
+
+function myServerPlayer(state) {
+  if (!state || !playerId) return null;
+  return (state.players || []).find((p) => p.id === playerId) || null;
+}
+
+function canPredict(state, me) {
+  return state && state.state === "PLAYING" && me && me.hp > 0 && !me.away;
+}
+
+// Same as the server's Player.speedMult: effect multipliers, 0 while stunned.
+function effectSpeedMult(me) {
+  let mult = 1;
+  for (const e of me.effects || []) {
+    const info = STATUS_EFFECTS[e.type];
+    if (!info) continue;
+    if (info.stun) return 0;
+    mult *= info.speedMult;
+  }
+  return mult;
+}
+
+// Co-op and solo: no fence, the left team has the whole arena.
+function isSharedArena(state) {
+  return Boolean(state && (state.mode === "coop" || state.mode === "solo"));
+}
+
+// x range of a side's half, like the server's GameCore.halfBounds (the whole
+// arena in co-op and solo).
+function halfBounds(side) {
+  if (isSharedArena(lastState)) return { minX: 0, maxX: WORLD_WIDTH };
+  return side === "left" ? { minX: 0, maxX: FENCE_X } : { minX: FENCE_X, maxX: WORLD_WIDTH };
+}
+
+// `dash` ({ dx, dy, speed, t }) replaces WASD for that frame.
+function applyMove(pos, side, keys, dt, speedMult = 1, dash = null) {
+  let dx = 0;
+  let dy = 0;
+  if (keys.up) dy -= 1;
+  if (keys.down) dy += 1;
+  if (keys.left) dx -= 1;
+  if (keys.right) dx += 1;
+
+  const len = Math.hypot(dx, dy);
+  if (dash) {
+    pos.x += dash.dx * dash.speed * dash.t;
+    pos.y += dash.dy * dash.speed * dash.t;
+  } else if (len > 0) {
+    pos.x += (dx / len) * playerSpeed * speedMult * dt;
+    pos.y += (dy / len) * playerSpeed * speedMult * dt;
+  }
+
+  const half = halfBounds(side);
+  pos.x = clamp(pos.x, half.minX + ARENA_PADDING + PLAYER_HALF_SIZE, half.maxX - ARENA_PADDING - PLAYER_HALF_SIZE);
+  pos.y = clamp(pos.y, ARENA_PADDING + PLAYER_HALF_SIZE, WORLD_HEIGHT - ARENA_PADDING - PLAYER_HALF_SIZE);
+  return pos;
+}
+
+/** Advance our predicted position by one render frame. */
+function predictLocalPlayer(dt) {
+  const me = myServerPlayer(lastState);
+  if (!canPredict(lastState, me)) {
+    resetPrediction();
+    return;
+  }
+  if (!predicted) {
+    predicted = { x: me.x, y: me.y };
+    moveDir = { x: me.moveDx || 0, y: me.moveDy || 0 };
+  }
+
+  const keys = { ...keyState };
+  const speedMult = effectSpeedMult(me);
+  let dash = null;
+  if (localDash) {
+    dash = { dx: localDash.dx, dy: localDash.dy, speed: localDash.speed, t: Math.min(dt, localDash.left) };
+    localDash.left -= dt;
+    if (localDash.left <= 0) localDash = null;
+  } else {
+    const dx = (keys.right ? 1 : 0) - (keys.left ? 1 : 0);
+    const dy = (keys.down ? 1 : 0) - (keys.up ? 1 : 0);
+    const len = Math.hypot(dx, dy);
+    if (len > 0) moveDir = { x: dx / len, y: dy / len };
+  }
+  pendingMoves.push({ seq: inputSeq, keys, dt, speedMult, dash });
+  applyMove(predicted, me.side, keys, dt, speedMult, dash);
+}
+
+/** Start a predicted dash if the server would allow one (same checks as Player.canDash). */
+function predictDash() {
+  const me = myServerPlayer(lastState);
+  if (!predicted || localDash || !canPredict(lastState, me)) return;
+  if (me.dashCooldown > 0 || me.isDashing || effectSpeedMult(me) === 0) return;
+  localDash = { dx: moveDir.x, dy: moveDir.y, speed: me.dashSpeed || 0, left: dashDuration };
+}
+
+/** Re-base the prediction on an authoritative snapshot. */
+function reconcilePrediction(state, inputAcks) {
+  const me = myServerPlayer(state);
+  if (!canPredict(state, me)) {
+    resetPrediction();
+    return;
+  }
+  if (!predicted) return;
+
+  const acked = inputAcks && typeof inputAcks[playerId] === "number" ? inputAcks[playerId] : null;
+  if (acked == null) return;
+
+  // Moves made under an input the server has already applied are baked into
+  // the authoritative position.
+  pendingMoves = pendingMoves.filter((m) => m.seq > acked);
+
+  const corrected = { x: me.x, y: me.y };
+  for (const m of pendingMoves) applyMove(corrected, me.side, m.keys, m.dt, m.speedMult, m.dash);
+
+  const err = Math.hypot(corrected.x - predicted.x, corrected.y - predicted.y);
+  if (err > PREDICTION_SNAP_DIST) {
+    predicted = corrected;
+  } else {
+    predicted.x += (corrected.x - predicted.x) * PREDICTION_BLEND;
+    predicted.y += (corrected.y - predicted.y) * PREDICTION_BLEND;
+  }
+}
+
+// -----------------------------------------------------
+// Lobby (room list / create / join)
+// -----------------------------------------------------
+
+function updateRoomLabel() {
+  if (!currentRoom) {
+    roomLabelEl.textContent = "Room: ...";
+    return;
+  }
+  roomLabelEl.textContent =
+    currentRoom.id === "main" ? "Room: Main" : `Room: ${currentRoom.name} (code ${currentRoom.id})`;
+
+  // Keep the URL shareable: /?room=CODE drops a friend straight into this match.
+  const url = new URL(location.href);
+  if (currentRoom.id === "main") url.searchParams.delete("room");
+  else url.searchParams.set("room", currentRoom.id);
+  history.replaceState(null, "", url);
+}
+
+function renderRoomList(rooms) {
+  roomSelectEl.innerHTML = "";
+  for (const r of rooms) {
+    const opt = document.createElement("option");
+    opt.value = r.id;
+    const mode = r.mode === "coop" ? " co-op" : r.mode === "solo" ? " solo" : r.winCondition && r.winCondition !== "elimination" ? ` ${r.winCondition}` : "";
+    const series = r.seriesLength > 1 ? `, best of ${r.seriesLength}` : "";
+    opt.textContent = `${r.name} [${r.id}] — ${r.players}/${r.slots || 2} players${mode}${series}, ${r.state}`;
+    if (currentRoom && currentRoom.id === r.id) opt.selected = true;
+    roomSelectEl.appendChild(opt);
+  }
+}
+
+function renderReplayList(replays) {
+  replaySelectEl.innerHTML = "";
+  if (replays.length === 0) {
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = "No replays yet";
+    replaySelectEl.appendChild(opt);
+    return;
+  }
+  for (const r of replays) {
+    const opt = document.createElement("option");
+    opt.value = r.id;
+    opt.textContent = `${r.createdAt.slice(0, 16).replace("T", " ")} — room ${r.room}`;
+    replaySelectEl.appendChild(opt);
+  }
+}
+
+// Solo high-score table from GET /highscores, best first.
+let highScores = [];
+// The "highscore" message for the solo run that just ended, if any.
+let lastHighScore = null;
+
+function loadHighScores() {
+  fetch("/highscores")
+    .then((res) => res.json())
+    .then((list) => {
+      highScores = Array.isArray(list) ? list : [];
+    })
+    .catch(() => {});
+}
+
+function highScoreLines(count = 5) {
+  if (highScores.length === 0) return ["No high scores yet"];
+  return highScores.slice(0, count).map(
+    (h, i) => `${i + 1}. Round ${h.round} — ${h.score} pts, ${h.monstersKilled} kills${h.weaponType ? ` (${h.weaponType})` : ""}`
+  );
+}
+
+function bindLobbyButton(id, onClick) {
+  document.getElementById(id).addEventListener("click", (e) => {
+    onClick();
+    // Give keyboard focus back to the game (Enter/Space would re-click the button).
+    e.currentTarget.blur();
+  });
+}
+
+bindLobbyButton("roomRefreshBtn", () => {
+  send({ type: "list_rooms" });
+  send({ type: "list_replays" });
+});
+bindLobbyButton("replayWatchBtn", () => {
+  if (replaySelectEl.value) send({ type: "watch_replay", replayId: replaySelectEl.value });
+});
+bindLobbyButton("roomJoinBtn", () => {
+  if (roomSelectEl.value) joinRoom(roomSelectEl.value);
+});
+bindLobbyButton("botAddBtn", () => {
+  send({ type: "add_bot", difficulty: document.getElementById("botDifficulty").value });
+});
+bindLobbyButton("botRemoveBtn", () => {
+  send({ type: "remove_bot" });
+});
+bindLobbyButton("roomCreateBtn", () => {
+  const nameEl = document.getElementById("roomNameInput");
+  // "1" / "2" = players per side, "coop" / "solo" = against the waves.
+  const modeValue = document.getElementById("roomMode").value;
+  const options = ["coop", "solo"].includes(modeValue) ? { mode: modeValue } : { teamSize: Number(modeValue) };
+  // Versus win condition and series length (co-op and solo ignore them).
+  const winCondition = document.getElementById("roomRules").value;
+  const seriesLength = Number(document.getElementById("roomSeries").value);
+  send({ type: "create_room", name: nameEl.value, ...options, winCondition, seriesLength });
+  nameEl.value = "";
 });
 
 // -----------------------------------------------------
 // Input handling
 // -----------------------------------------------------
 
+// Odd player ids start on the left half, even ids on the right, and teams
+// swap sides between the games of a series (see src/game/core.js).
+function playerSideLabel(id) {
+  const p = lastState && lastState.players.find((pl) => pl.id === id);
+  const side = p ? p.side : id % 2 === 1 ? "left" : "right";
+  return side === "left" ? "Left" : "Right";
+}
+
+// "P1 leads 2–1" and friends for a best-of series ("" for single games).
+// Team 1 is the odd player ids, team 2 the even ones.
+function seriesText(state) {
+  const series = state.series;
+  if (!series || series.length <= 1) return "";
+  const teams = (state.teamSize || 1) > 1;
+  const name = (team) => (teams ? `Team ${team + 1}` : `P${team + 1}`);
+  const [a, b] = series.wins;
+  if (series.winner !== null) return `${name(series.winner)} wins the series ${Math.max(a, b)}–${Math.min(a, b)}`;
+  if (a === b) return `Series tied ${a}–${b} (best of ${series.length})`;
+  return `${name(a > b ? 0 : 1)} leads ${Math.max(a, b)}–${Math.min(a, b)} (best of ${series.length})`;
+}
+
 function currentGameState() {
   return lastState ? lastState.state : null;
 }
 
+function isTypingInLobby(e) {
+  const tag = e.target && e.target.tagName;
+  return tag === "INPUT" || tag === "SELECT";
+}
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4]; // must match src/server/room.js
+
+function handleReplayKeydown(e) {
+  const info = replayInfo;
+  if (!info) return;
+  const seekBy = (seconds) =>
+    send({ type: "replay_control", action: "seek", tick: info.tick + seconds * info.tickRate });
+  const speedIdx = Math.max(0, REPLAY_SPEEDS.indexOf(info.speed));
+
+  if (e.code === "Space") send({ type: "replay_control", action: "toggle" });
+  else if (e.key === "ArrowLeft") seekBy(-5);
+  else if (e.key === "ArrowRight") seekBy(5);
+  else if (e.key === "Home") send({ type: "replay_control", action: "seek", tick: 0 });
+  else if (e.key === "[") send({ type: "replay_control", action: "speed", speed: REPLAY_SPEEDS[Math.max(0, speedIdx - 1)] });
+  else if (e.key === "]") send({ type: "replay_control", action: "speed", speed: REPLAY_SPEEDS[Math.min(REPLAY_SPEEDS.length - 1, speedIdx + 1)] });
+  else return;
+  e.preventDefault();
+}
+
 window.addEventListener("keydown", (e) => {
+  if (isTypingInLobby(e)) return;
+  if (currentRoom && currentRoom.replay) {
+    handleReplayKeydown(e);
+    return;
+  }
   const st = currentGameState();
 
   // Movement is only relevant while PLAYING
@@ -329,6 +1014,14 @@ window.addEventListener("keydown", (e) => {
     if (e.key === "s" || e.key === "S") keyState.down = true;
     if (e.key === "a" || e.key === "A") keyState.left = true;
     if (e.key === "d" || e.key === "D") keyState.right = true;
+    if (e.code === "Space") {
+      spaceFire = true;
+      e.preventDefault();
+    }
+    if (e.key === "Shift" && !e.repeat) {
+      send({ type: "dash" });
+      predictDash();
+    }
     sendInput();
   }
 
@@ -358,6 +1051,7 @@ window.addEventListener("keyup", (e) => {
   if (e.key === "s" || e.key === "S") keyState.down = false;
   if (e.key === "a" || e.key === "A") keyState.left = false;
   if (e.key === "d" || e.key === "D") keyState.right = false;
+  if (e.code === "Space") spaceFire = false;
   sendInput();
 });
 
@@ -391,6 +1085,13 @@ function handleWeaponSelectKeydown(e) {
     e.preventDefault();
   }
 
+  // Aim mode is per match: either player can flip it before the start.
+  if (e.key === "m" || e.key === "M") {
+    const mode = lastState && lastState.aimMode === "manual" ? "auto" : "manual";
+    send({ type: "aim_mode", mode });
+    e.preventDefault();
+  }
+
   // Legacy number shortcuts
   const legacy = { "1": "knife", "2": "axe", "3": "spear", "4": "bow", "7": "knife", "8": "axe", "9": "spear", "0": "bow" };
   const weapon = legacy[e.key];
@@ -405,19 +1106,22 @@ function handleShopKeydown(e) {
   const now = performance.now();
   const canNav = now - shopLastNavAt > 80;
 
+  const me = myServerPlayer(lastState);
+  const rows = me ? shopRows(me) : SHOP_ITEMS;
+
   if ((e.key === "w" || e.key === "W") && canNav) {
-    shopIndex = clamp(shopIndex - 1, 0, SHOP_ITEMS.length - 1);
+    shopIndex = clamp(shopIndex - 1, 0, rows.length - 1);
     shopLastNavAt = now;
     e.preventDefault();
   }
   if ((e.key === "s" || e.key === "S") && canNav) {
-    shopIndex = clamp(shopIndex + 1, 0, SHOP_ITEMS.length - 1);
+    shopIndex = clamp(shopIndex + 1, 0, rows.length - 1);
     shopLastNavAt = now;
     e.preventDefault();
   }
 
   if (e.key === "Enter") {
-    const item = SHOP_ITEMS[shopIndex];
+    const item = rows[shopIndex];
     if (item) {
       send({ type: "shop_action", action: item.id });
     }
@@ -434,6 +1138,91 @@ function handleShopKeydown(e) {
   if (e.key === "e" || e.key === "E") send({ type: "shop_action", action: "heal" });
 }
 
+// -----------------------------------------------------
+// Game events -> short-lived effects
+// -----------------------------------------------------
+// The server sends discrete events (kills, hits, explosions, pickups) next to
+// the snapshot they happened in. They only drive cosmetics here.
+
+const MAX_EFFECTS = 200;
+let effects = [];
+
+function addEffect(effect) {
+  effects.push({ age: 0, ...effect });
+  if (effects.length > MAX_EFFECTS) effects.shift();
+}
+
+function handleGameEvents(events) {
+  for (const e of events || []) {
+    if (e.type === "player_hit") {
+      const p = lastState && lastState.players.find((pl) => pl.id === e.playerId);
+      if (!p || e.amount <= 0) continue;
+      addEffect({ kind: "text", x: p.x, y: p.y - 30, life: 0.8, text: `-${Math.round(e.amount)}`, color: "#ff5a5a" });
+    } else if (e.type === "monster_killed") {
+      addEffect({ kind: "puff", x: e.x, y: e.y, life: 0.35, radius: 26, color: e.killerId ? "#ffe08a" : "#bbbbbb" });
+    } else if (e.type === "player_dashed") {
+      addEffect({ kind: "puff", x: e.x, y: e.y, life: 0.25, radius: 18, color: "#9fd8ff" });
+    } else if (e.type === "grenade_exploded") {
+      addEffect({ kind: "ring", x: e.x, y: e.y, life: 0.5, radius: e.radius, color: "#ffb14a" });
+    } else if (e.type === "monsters_healed") {
+      addEffect({ kind: "ring", x: e.x, y: e.y, life: 0.5, radius: e.radius, color: "#6dff8a" });
+    } else if (e.type === "boss_phase") {
+      addEffect({ kind: "ring", x: e.x, y: e.y, life: 0.9, radius: 160, color: "#ff3b3b" });
+      addEffect({ kind: "text", x: e.x, y: e.y - 70, life: 1.4, text: `PHASE ${e.phase + 1}!`, color: "#ff6a6a" });
+    } else if (e.type === "effect_applied" && e.target === "player") {
+      const label = (STATUS_EFFECTS[e.effect] && STATUS_EFFECTS[e.effect].label) || e.effect;
+      addEffect({ kind: "text", x: e.x, y: e.y - 44, life: 0.9, text: label, color: EFFECT_COLORS[e.effect] || "#ffffff" });
+    } else if (e.type === "player_revived") {
+      addEffect({ kind: "ring", x: e.x, y: e.y, life: 0.6, radius: 60, color: "#6dff8a" });
+      addEffect({ kind: "text", x: e.x, y: e.y - 44, life: 1.2, text: "REVIVED!", color: "#6dff8a" });
+    } else if (e.type === "player_respawned") {
+      addEffect({ kind: "ring", x: e.x, y: e.y, life: 0.6, radius: 50, color: "#9fd8ff" });
+      addEffect({ kind: "text", x: e.x, y: e.y - 44, life: 1.2, text: `${e.lives} ${e.lives === 1 ? "life" : "lives"} left`, color: "#9fd8ff" });
+    } else if (e.type === "sudden_death") {
+      addEffect({ kind: "text", x: WORLD_WIDTH / 2, y: WORLD_HEIGHT / 2, life: 2, text: "SUDDEN DEATH!", color: "#ff3b3b" });
+    } else if (e.type === "hit_blocked") {
+      addEffect({ kind: "puff", x: e.x, y: e.y, life: 0.2, radius: 8, color: "#e0e6ff" });
+    } else if (e.type === "pickup_collected" && e.kind !== "green_potion") {
+      // (potions announce the effect they gave via effect_applied)
+      const label = e.kind === "gold" ? `+${e.amount}g` : `+${e.amount} hp`;
+      const color = e.kind === "gold" ? "#ffd84a" : "#6dff8a";
+      addEffect({ kind: "text", x: e.x, y: e.y - 16, life: 0.9, text: label, color });
+    }
+  }
+}
+
+function drawEffects(dt) {
+  for (const fx of effects) fx.age += dt;
+  effects = effects.filter((fx) => fx.age < fx.life);
+
+  ctx.save();
+  for (const fx of effects) {
+    const t = fx.age / fx.life;
+    ctx.globalAlpha = 1 - t;
+    if (fx.kind === "text") {
+      ctx.font = "bold 16px Arial";
+      ctx.textAlign = "center";
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = "rgba(0,0,0,0.75)";
+      ctx.strokeText(fx.text, fx.x, fx.y - t * 24);
+      ctx.fillStyle = fx.color;
+      ctx.fillText(fx.text, fx.x, fx.y - t * 24);
+    } else if (fx.kind === "ring") {
+      ctx.strokeStyle = fx.color;
+      ctx.lineWidth = 6 * (1 - t) + 1;
+      ctx.beginPath();
+      ctx.arc(fx.x, fx.y, fx.radius * (0.3 + 0.7 * t), 0, Math.PI * 2);
+      ctx.stroke();
+    } else if (fx.kind === "puff") {
+      ctx.fillStyle = fx.color;
+      ctx.beginPath();
+      ctx.arc(fx.x, fx.y, fx.radius * (0.5 + t), 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+}
+
 // -----------------------------------------------------
 // Rendering helpers (world-space)
 // -----------------------------------------------------
@@ -462,7 +1251,8 @@ function drawBackground() {
     ctx.fillRect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
   }
 
-  // fence
+  // fence (co-op and solo have the whole arena)
+  if (isSharedArena(lastState)) return;
   if (assets.fence && assets.fence.complete && assets.fence.naturalWidth) {
     const fw = 48;
     for (let y = 0; y < WORLD_HEIGHT; y += 64) {
@@ -505,11 +1295,20 @@ function drawWeaponOnPlayer(p) {
 
 function drawPlayers(players) {
   for (const p of players) {
-    const img = p.side === "left" ? assets.player1 : assets.player2;
+    // Odd ids get the blue look, even ids red (in co-op everyone is "left").
+    const blue = p.id % 2 === 1;
+    const img = blue ? assets.player1 : assets.player2;
     const size = 40 * PLAYER_SCALE;
 
-    const sheetImg = p.side === "left" ? assets.player1_walk : assets.player2_walk;
-    const sheetDef = p.side === "left" ? PLAYER_SHEETS.p1 : PLAYER_SHEETS.p2;
+    const sheetImg = blue ? assets.player1_walk : assets.player2_walk;
+    const sheetDef = blue ? PLAYER_SHEETS.p1 : PLAYER_SHEETS.p2;
+
+    // Disconnected players are frozen server-side, downed ones wait for a
+    // revive; draw them faded.
+    ctx.save();
+    if (p.away || p.hp <= 0) ctx.globalAlpha = 0.45;
+    // Dash i-frames: flicker.
+    else if (p.invulnerable) ctx.globalAlpha = Math.floor(performance.now() / 60) % 2 ? 0.35 : 0.8;
 
     if (sheetImg && sheetImg.complete && sheetImg.naturalWidth) {
       const a = getAnimState(p.id);
@@ -538,7 +1337,7 @@ function drawPlayers(players) {
     } else if (img && img.complete && img.naturalWidth) {
       ctx.drawImage(img, p.x - size / 2, p.y - size / 2, size, size);
     } else {
-      ctx.fillStyle = p.side === "left" ? "#4ab1ff" : "#ff5b5b";
+      ctx.fillStyle = blue ? "#4ab1ff" : "#ff5b5b";
       ctx.beginPath();
       ctx.arc(p.x, p.y, 18 * PLAYER_SCALE, 0, Math.PI * 2);
       ctx.fill();
@@ -550,43 +1349,123 @@ function drawPlayers(players) {
     const ratio = Math.max(0, Math.min(1, p.hp / p.maxHp));
     ctx.fillStyle = "#222";
     ctx.fillRect(p.x - 20 * PLAYER_SCALE, p.y - 30 * PLAYER_SCALE, 40 * PLAYER_SCALE, 6 * PLAYER_SCALE);
-    ctx.fillStyle = p.side === "left" ? "#4ab1ff" : "#ff5b5b";
+    ctx.fillStyle = blue ? "#4ab1ff" : "#ff5b5b";
     ctx.fillRect(p.x - 20 * PLAYER_SCALE, p.y - 30 * PLAYER_SCALE, 40 * PLAYER_SCALE * ratio, 6 * PLAYER_SCALE);
 
+    // co-op revive progress (nobody brings back a player who left)
+    if (p.reviveProgress > 0 && !p.forfeited) {
+      ctx.strokeStyle = "#6dff8a";
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 30 * PLAYER_SCALE, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, p.reviveProgress / REVIVE_TIME));
+      ctx.stroke();
+    }
+
+    // bow draw
+    if (p.weaponCharge > 0) {
+      ctx.strokeStyle = p.weaponCharge >= 1 ? "#ffd84a" : "#eee";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 26 * PLAYER_SCALE, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * p.weaponCharge);
+      ctx.stroke();
+    }
+
     // name tag
     ctx.fillStyle = "#eee";
     ctx.font = "12px Arial";
     ctx.textAlign = "center";
-    ctx.fillText(p.side === "left" ? "P1" : "P2", p.x, p.y - 38 * PLAYER_SCALE);
+    let tag = `P${p.id}`;
+    if (botsById.has(p.id)) tag += ` BOT (${botsById.get(p.id)})`;
+    if (p.forfeited) tag += " (left)";
+    else if (p.away) tag += " (reconnecting...)";
+    ctx.fillText(tag, p.x, p.y - 38 * PLAYER_SCALE);
+    ctx.restore();
   }
 }
 
+// Monster types without a sprite of their own borrow one (or fall back to a
+// coloured circle). Sizes follow the server's collision radius.
+const MONSTER_SPRITES = {
+  slime: "slime",
+  fast: "fast",
+  tank: "tank",
+  spitter: "spitter",
+  charger: "monster_brute",
+  splitter: "slime",
+  slimelet: "slime",
+  boss1: "boss1",
+  boss2: "boss2",
+};
+const MONSTER_COLORS = {
+  fast: "#ffd44a",
+  tank: "#7b64d9",
+  spitter: "#4ad0ff",
+  charger: "#ff8a3b",
+  splitter: "#2fb86a",
+  slimelet: "#7dffa9",
+  healer: "#b6ff4a",
+  shielded: "#9aa4b8",
+};
+
 function drawMonsters(monsters) {
   for (const m of monsters) {
-    let img = null;
-    if (m.type === "slime") img = assets.slime;
-    else if (m.type === "fast") img = assets.fast;
-    else if (m.type === "tank") img = assets.tank;
-    else if (m.type === "spitter") img = assets.spitter;
-    else if (m.type === "boss1") img = assets.boss1;
-    else if (m.type === "boss2") img = assets.boss2;
-
+    const img = assets[MONSTER_SPRITES[m.type]];
     const isBoss = typeof m.type === "string" && m.type.startsWith("boss");
+    const baseRadius = isBoss ? 60 : 34;
+    const sizeScale = (m.radius || baseRadius) / baseRadius;
+
+    // Boss phase change: it stands still and pulses until the new phase starts.
+    if (m.mode === "transition") {
+      const pulse = 0.5 + 0.5 * Math.sin(performance.now() / 60);
+      ctx.save();
+      ctx.fillStyle = "#ff3b3b";
+      ctx.globalAlpha = 0.2 + 0.3 * pulse;
+      ctx.beginPath();
+      ctx.arc(m.x, m.y, m.radius * (1.1 + 0.2 * pulse), 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    // Charger wind-up telegraph.
+    if (m.mode === "windup") {
+      ctx.save();
+      ctx.strokeStyle = "#ff3b3b";
+      ctx.lineWidth = 3;
+      ctx.globalAlpha = Math.floor(performance.now() / 80) % 2 ? 0.4 : 0.9;
+      ctx.beginPath();
+      ctx.arc(m.x, m.y, 22 * MONSTER_SCALE * sizeScale, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
 
     if (img && img.complete && img.naturalWidth) {
-      const size = (isBoss ? 60 : 32) * MONSTER_SCALE;
+      const size = (isBoss ? 60 : 32) * MONSTER_SCALE * sizeScale;
       ctx.drawImage(img, m.x - size / 2, m.y - size / 2, size, size);
     } else {
-      let color = "#44dd88";
-      if (m.type === "fast") color = "#ffd44a";
-      else if (m.type === "tank") color = "#7b64d9";
-      else if (m.type === "spitter") color = "#4ad0ff";
-      else if (isBoss) color = "#ff3b3b";
-      ctx.fillStyle = color;
+      ctx.fillStyle = isBoss ? "#ff3b3b" : MONSTER_COLORS[m.type] || "#44dd88";
       ctx.beginPath();
-      ctx.arc(m.x, m.y, (isBoss ? 26 : 14) * MONSTER_SCALE, 0, Math.PI * 2);
+      ctx.arc(m.x, m.y, (isBoss ? 26 : 14) * MONSTER_SCALE * sizeScale, 0, Math.PI * 2);
       ctx.fill();
     }
+
+    if (m.effects && m.effects.length) {
+      drawEffectPips(m.effects, m.x, m.y - (isBoss ? 26 : 14) * MONSTER_SCALE * sizeScale - 6);
+    }
+
+    if (m.type === "healer") {
+      // green cross
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(m.x - 2, m.y - 7, 4, 14);
+      ctx.fillRect(m.x - 7, m.y - 2, 14, 4);
+    } else if (m.type === "shielded") {
+      // shield arc on the side it's facing
+      const r = 18 * MONSTER_SCALE;
+      ctx.strokeStyle = "#e0e6ff";
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(m.x, m.y, r, (m.facing || 0) - 0.9, (m.facing || 0) + 0.9);
+      ctx.stroke();
+    }
   }
 }
 
@@ -619,13 +1498,48 @@ function projectileDrawSizeForWeapon(weaponType) {
   return 28 * WEAPON_SCALE;
 }
 
+// Spear thrusts are a line from the player out to the tip rather than a
+// flying projectile.
+function drawThrust(b, img) {
+  const angle = Math.atan2(b.vy || 0, b.vx || 1);
+  ctx.save();
+  ctx.translate(b.x, b.y);
+  ctx.rotate(angle);
+  if (img && img.complete && img.naturalWidth) {
+    const h = Math.max(8, (img.naturalHeight / img.naturalWidth) * b.length);
+    ctx.drawImage(img, 0, -h / 2, b.length, h);
+  } else {
+    ctx.strokeStyle = "#ddd";
+    ctx.lineWidth = 4 * WEAPON_SCALE;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(b.length, 0);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
 function drawBullets(bullets) {
   for (const b of bullets) {
+    if (b.deployable) {
+      // turret shot
+      ctx.save();
+      ctx.fillStyle = "#ffe36a";
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, 3.5 * WEAPON_SCALE, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+      continue;
+    }
     const img = projectileImageForWeapon(b.weaponType);
+    if (b.kind === "thrust" && b.length) {
+      drawThrust(b, img);
+      continue;
+    }
 
-    // Make thrown weapons spin (client-side visual only)
+    // Make thrown weapons spin (client-side visual only); arrows fly point first
     const baseAngle = Math.atan2(b.vy || 0, b.vx || 1);
-    const spin = (performance.now() / 1000) * 14.0;
+    const spin = b.kind === "charge" ? 0 : (performance.now() / 1000) * 14.0;
     const angle = baseAngle + spin;
 
     if (img && img.complete && img.naturalWidth) {
@@ -652,6 +1566,18 @@ function drawBullets(bullets) {
 
 function drawEnemyBullets(enemyBullets) {
   for (const b of enemyBullets || []) {
+    if (b.kind === "boss") {
+      ctx.save();
+      ctx.fillStyle = "#ff6a3b";
+      ctx.strokeStyle = "#ffd0a0";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, 7 * WEAPON_SCALE, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+      continue;
+    }
     const img = assets.spitter_projectile;
 
     if (img && img.complete && img.naturalWidth) {
@@ -674,6 +1600,56 @@ function drawEnemyBullets(enemyBullets) {
   }
 }
 
+// Turrets, spike traps and puddles, under the monsters. A bar underneath
+// shows the durability left.
+function drawDeployables(deployables) {
+  for (const d of deployables || []) {
+    const img = assets[d.kind];
+    const r = d.radius || 20;
+    ctx.save();
+    if (img && img.complete && img.naturalWidth) {
+      ctx.drawImage(img, d.x - r, d.y - r, r * 2, r * 2);
+    } else if (d.kind === "puddle") {
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = "#4aa3ff";
+      ctx.beginPath();
+      ctx.ellipse(d.x, d.y, r, r * 0.7, 0, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (d.kind === "spikes") {
+      ctx.fillStyle = "#3a3a42";
+      ctx.fillRect(d.x - r, d.y - r * 0.5, r * 2, r);
+      ctx.fillStyle = "#c9c9d4";
+      for (let i = 0; i < 4; i++) {
+        const sx = d.x - r + (r / 2) * (i + 0.5);
+        ctx.beginPath();
+        ctx.moveTo(sx - r / 5, d.y + r * 0.35);
+        ctx.lineTo(sx, d.y - r * 0.45);
+        ctx.lineTo(sx + r / 5, d.y + r * 0.35);
+        ctx.fill();
+      }
+    } else {
+      // turret: round base, barrel pointing at what it last shot
+      ctx.fillStyle = "#555c66";
+      ctx.beginPath();
+      ctx.arc(d.x, d.y, r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = "#ffe36a";
+      ctx.lineWidth = 6;
+      ctx.beginPath();
+      ctx.moveTo(d.x, d.y);
+      ctx.lineTo(d.x + Math.cos(d.aim || 0) * r * 1.4, d.y + Math.sin(d.aim || 0) * r * 1.4);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+    const frac = d.maxDurability > 0 ? Math.max(0, d.durability / d.maxDurability) : 0;
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(d.x - r, d.y + r + 4, r * 2, 4);
+    ctx.fillStyle = "#9be06a";
+    ctx.fillRect(d.x - r, d.y + r + 4, r * 2 * frac, 4);
+    ctx.restore();
+  }
+}
+
 function drawGrenades(grenades) {
   for (const g of grenades || []) {
     // Grenade visuals:
@@ -789,9 +1765,56 @@ function drawPickups(golds, hearts, greenPotions) {
   }
 }
 
+function drawCrosshair(state) {
+  if (state.aimMode !== "manual" || state.state !== "PLAYING" || !mouseWorld || padAim) return;
+  const { x, y } = mouseWorld;
+  ctx.save();
+  ctx.strokeStyle = mouseFire || spaceFire ? "#ff7b2e" : "rgba(255,255,255,0.9)";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(x, y, 10, 0, Math.PI * 2);
+  ctx.moveTo(x - 16, y);
+  ctx.lineTo(x - 5, y);
+  ctx.moveTo(x + 5, y);
+  ctx.lineTo(x + 16, y);
+  ctx.moveTo(x, y - 16);
+  ctx.lineTo(x, y - 5);
+  ctx.moveTo(x, y + 5);
+  ctx.lineTo(x, y + 16);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/** Dash cooldown bar (full = ready) in a HUD panel's top-right corner. */
+function drawDashMeter(p, x, y) {
+  const w = 84;
+  const h = 8;
+  const max = p.dashCooldownMax || 1;
+  const ready = !(p.dashCooldown > 0);
+  const fill = ready ? 1 : 1 - p.dashCooldown / max;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(255,255,255,0.2)";
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = ready ? "#9fd8ff" : "rgba(159,216,255,0.55)";
+  ctx.fillRect(x, y, w * fill, h);
+  ctx.fillStyle = "#fff";
+  ctx.font = "11px Arial";
+  ctx.textAlign = "left";
+  ctx.fillText(ready ? `DASH Lv${p.dashLevel || 1}` : `DASH ${p.dashCooldown.toFixed(1)}s`, x, y + 22);
+  ctx.restore();
+}
+
+// Rows of player panels per side (2 in 2v2); things drawn under the HUD
+// (boss bars) move down by this much per extra row.
+const HUD_ROW_H = 52;
+
+// HUD panel rows: one per teammate (slot) on the fullest side.
+function hudRows(state) {
+  return Math.max(1, ...state.players.map((p) => (p.slot || 0) + 1));
+}
+
 function drawHud(state) {
-  const p1 = state.players.find((p) => p.side === "left");
-  const p2 = state.players.find((p) => p.side === "right");
 
   function textOutlined(t, x, y, align = "left", size = 16) {
     ctx.font = `${size}px Arial`;
@@ -805,23 +1828,23 @@ function drawHud(state) {
 
   ctx.save();
 
-  ctx.fillStyle = "rgba(0,0,0,0.55)";
-  ctx.fillRect(8, 8, 360, 48);
-
-  ctx.fillStyle = "rgba(0,0,0,0.55)";
-  ctx.fillRect(WORLD_WIDTH - 368, 8, 360, 48);
-
-  if (p1) {
-    textOutlined(`P1 HP: ${Math.max(0, Math.floor(p1.hp))}`, 18, 28, "left", 16);
-    const w1 = p1.weaponType ? p1.weaponType.toUpperCase() : "...";
-    textOutlined(`Gold: ${p1.gold}  Weapon: ${w1} Lv${p1.weaponLevel}`, 18, 48, "left", 14);
-  }
-
-  if (p2) {
-    const baseX = WORLD_WIDTH - 358;
-    textOutlined(`P2 HP: ${Math.max(0, Math.floor(p2.hp))}`, baseX, 28, "left", 16);
-    const w2 = p2.weaponType ? p2.weaponType.toUpperCase() : "...";
-    textOutlined(`Gold: ${p2.gold}  Weapon: ${w2} Lv${p2.weaponLevel}`, baseX, 48, "left", 14);
+  // One panel per player, teammates stacked; effect icons go under the
+  // panels, side by side in 2v2.
+  const rows = hudRows(state);
+  for (const p of state.players) {
+    const slot = p.slot || 0;
+    const boxX = p.side === "left" ? 8 : WORLD_WIDTH - 368;
+    const top = 8 + slot * HUD_ROW_H;
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.fillRect(boxX, top, 360, 48);
+
+    const hp = p.hp > 0 ? `HP: ${Math.floor(p.hp)}` : "DOWN";
+    const lives = state.winCondition === "lives" ? `  Lives: ${p.lives}` : "";
+    textOutlined(`P${p.id} ${hp}${lives}`, boxX + 10, top + 20, "left", 16);
+    const weapon = p.weaponType ? p.weaponType.toUpperCase() : "...";
+    textOutlined(`Gold: ${p.gold}  Weapon: ${weapon} Lv${p.weaponLevel}`, boxX + 10, top + 40, "left", 14);
+    drawDashMeter(p, boxX + 360 - 96, top + 10);
+    drawEffectIcons(p.effects, boxX + (slot * 360) / rows, 8 + rows * HUD_ROW_H);
   }
 
   ctx.textAlign = "center";
@@ -837,9 +1860,151 @@ function drawHud(state) {
   ctx.fillText(`Round ${state.round} ${timerText ? "— " + timerText : ""}`, WORLD_WIDTH / 2, 22);
   if (timerText) ctx.fillText(timerText, WORLD_WIDTH / 2, 44);
 
+  // Race progress for the kill / score win conditions.
+  const total = (side, key) => state.players.filter((p) => p.side === side).reduce((sum, p) => sum + p[key], 0);
+  let raceText = "";
+  if (state.winCondition === "kills") {
+    raceText = `Kills ${total("left", "monstersKilled")} : ${total("right", "monstersKilled")} — first to ${RULES.killTarget}`;
+  } else if (state.winCondition === "score") {
+    raceText = `Score ${total("left", "score")} : ${total("right", "score")} — best after round ${RULES.scoreRounds}`;
+  }
+  if (raceText) ctx.fillText(raceText, WORLD_WIDTH / 2, 66);
+  if (state.suddenDeath) {
+    ctx.fillStyle = "#ff3b3b";
+    ctx.fillText("SUDDEN DEATH", WORLD_WIDTH / 2, raceText ? 88 : 66);
+  }
+
+  const series = seriesText(state);
+  if (series) {
+    ctx.fillStyle = "#fff";
+    ctx.fillText(`Game ${state.series.game}: ${series}`, WORLD_WIDTH / 2, WORLD_HEIGHT - 14);
+  }
+
+  ctx.restore();
+}
+
+// Status effect icons (see src/game/effects.js).
+const EFFECT_COLORS = {
+  enrage: "#b6ff4a",
+  burn: "#ff7a2a",
+  poison: "#9b59ff",
+  slow: "#4ad0ff",
+  stun: "#ffe14a",
+  shield: "#e0e6ff",
+  haste: "#ff4ad0",
+};
+
+// One square per active effect: initial, stacks and seconds left.
+function drawEffectIcons(effects, x, y) {
+  ctx.save();
+  ctx.font = "bold 11px Arial";
+  ctx.textAlign = "center";
+  for (const e of effects || []) {
+    const label = (STATUS_EFFECTS[e.type] && STATUS_EFFECTS[e.type].label) || e.type;
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(x, y, 26, 26);
+    ctx.fillStyle = EFFECT_COLORS[e.type] || "#cccccc";
+    ctx.fillRect(x + 2, y + 2, 22, 22);
+    ctx.fillStyle = "#111";
+    ctx.fillText(label[0].toUpperCase() + (e.stacks > 1 ? e.stacks : ""), x + 13, y + 13);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(`${Math.ceil(e.timer)}s`, x + 13, y + 38);
+    x += 30;
+  }
   ctx.restore();
 }
 
+// Small dots over a monster for each effect it carries.
+function drawEffectPips(types, x, y) {
+  let px = x - ((types.length - 1) * 8) / 2;
+  for (const type of types) {
+    ctx.fillStyle = EFFECT_COLORS[type] || "#cccccc";
+    ctx.beginPath();
+    ctx.arc(px, y, 3, 0, Math.PI * 2);
+    ctx.fill();
+    px += 8;
+  }
+}
+
+// A wide health bar per boss under the HUD of the half it's on, with a
+// marker at each phase threshold.
+function drawBossBars(monsters, rows = 1) {
+  const bosses = monsters.filter((m) => typeof m.type === "string" && m.type.startsWith("boss"));
+  const count = { left: 0, right: 0 };
+  for (const m of bosses) {
+    const w = 320;
+    const h = 12;
+    const half = halfBounds(m.side);
+    const x = (half.minX + half.maxX) / 2 - w / 2;
+    const y = 104 + (rows - 1) * HUD_ROW_H + count[m.side] * 30;
+    count[m.side] += 1;
+    const frac = clamp(m.hp / (m.maxHp || 1), 0, 1);
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(x - 2, y - 2, w + 4, h + 4);
+    ctx.fillStyle = m.mode === "transition" && Math.floor(performance.now() / 100) % 2 ? "#ffffff" : "#d92b2b";
+    ctx.fillRect(x, y, w * frac, h);
+    ctx.fillStyle = "rgba(0,0,0,0.8)";
+    for (const threshold of BOSS_PHASES.slice(1)) ctx.fillRect(x + w * threshold - 1, y, 2, h);
+
+    const tier = m.type.replace("boss", "") || "1";
+    const label = `BOSS ${tier}` + (m.phase !== null && m.phase !== undefined ? ` — Phase ${m.phase + 1}` : "");
+    ctx.font = "bold 12px Arial";
+    ctx.textAlign = "center";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(0,0,0,0.75)";
+    ctx.strokeText(label, x + w / 2, y - 5);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(label, x + w / 2, y - 5);
+    ctx.restore();
+  }
+}
+
+function drawReplayBar(info) {
+  const fmt = (ticks) => {
+    const secs = Math.floor(ticks / info.tickRate);
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+  };
+  const x = 120;
+  const y = WORLD_HEIGHT - 34;
+  const w = WORLD_WIDTH - 240;
+  const ratio = info.ticks > 0 ? info.tick / info.ticks : 0;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(x - 12, y - 22, w + 24, 44);
+  ctx.fillStyle = "#333";
+  ctx.fillRect(x, y + 6, w, 6);
+  ctx.fillStyle = "#ffb14a";
+  ctx.fillRect(x, y + 6, w * ratio, 6);
+
+  ctx.fillStyle = "#fff";
+  ctx.font = "13px Arial";
+  ctx.textAlign = "left";
+  ctx.fillText(`REPLAY ${info.paused ? "❚❚ paused" : "▶"}  ${info.speed}x`, x, y - 4);
+  ctx.textAlign = "right";
+  ctx.fillText(`${fmt(info.tick)} / ${fmt(info.ticks)}`, x + w, y - 4);
+  ctx.restore();
+}
+
+// Who played `side` this game (1v1; sides swap between games).
+function sidePlayerId(state, side) {
+  const p = state.players.find((pl) => pl.side === side);
+  return p ? p.id : side === "left" ? 1 : 2;
+}
+
+// Restart is a rematch vote that needs every player still in the match; say
+// who we're waiting on.
+function rematchLine(state) {
+  if (state.players.length === 1) return "Press R or Enter to restart";
+  const me = state.players.find((p) => p.id === playerId);
+  const waiting = state.players.filter((p) => !p.rematch && !p.forfeited).map((p) => `P${p.id}`);
+  const next = state.series && state.series.length > 1 && state.series.winner === null ? "next game" : "rematch";
+  if (me && !me.rematch) return `Press R or Enter to vote for a ${next}`;
+  return waiting.length > 0 ? `Waiting for ${waiting.join(", ")} to accept the ${next}` : "";
+}
+
 function drawOverlayText(lines) {
   ctx.save();
   ctx.fillStyle = "rgba(0,0,0,0.55)";
@@ -871,29 +2036,57 @@ function drawShopUI(state) {
   ctx.textAlign = "center";
   ctx.fillText("SHOP", panelX + panelW / 2, 42);
 
+  // With teammates the wave starts once the whole team is ready, so show both.
+  const teamReady = isLeft ? state.leftReady : state.rightReady;
+  const hasTeammates = state.players.some((p) => p.side === me.side && p.id !== me.id);
+  const readyText = hasTeammates ? `${Boolean(me.ready)} (team: ${teamReady})` : teamReady;
   ctx.font = "14px Arial";
   ctx.fillText(
-    `Time left: ${Math.ceil(state.shopLeft)}s   Ready: ${isLeft ? state.leftReady : state.rightReady}`,
+    `Time left: ${Math.ceil(state.shopLeft)}s   Ready: ${readyText}`,
     panelX + panelW / 2,
     66
   );
 
-  const startY = 110;
+  // Upgrade path so far.
+  const tree = UPGRADE_TREES[me.weaponType] || [];
+  const path = (me.upgradePath || []).map((id) => (tree.find((n) => n.id === id) || { label: id }).label);
+  const weaponLabel = (WEAPON_ITEMS.find((w) => w.id === me.weaponType) || { label: me.weaponType || "" }).label;
+  ctx.fillStyle = "#7CFF8E";
+  ctx.fillText(`${weaponLabel}: ${path.length ? path.join(" > ") : "no upgrades yet"}`, panelX + panelW / 2, 88);
+
+  const rows = shopRows(me);
+  shopIndex = clamp(shopIndex, 0, Math.max(0, rows.length - 1));
+
+  const startY = 120;
   const rowH = 36;
+  // More rows than fit: scroll so the selected one stays in view.
+  const visible = Math.floor((WORLD_HEIGHT - startY - 50) / rowH);
+  const first = clamp(shopIndex - Math.floor(visible / 2), 0, Math.max(0, rows.length - visible));
   ctx.textAlign = "left";
 
-  for (let i = 0; i < SHOP_ITEMS.length; i++) {
-    const item = SHOP_ITEMS[i];
-    const y = startY + i * rowH;
+  if (first > 0) {
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText("▲ more", panelX + panelW - 90, startY - 24);
+  }
+  if (first + visible < rows.length) {
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.fillText("▼ more", panelX + panelW - 90, startY + visible * rowH - 8);
+  }
+
+  for (let i = first; i < Math.min(rows.length, first + visible); i++) {
+    const item = rows[i];
+    const y = startY + (i - first) * rowH;
     const selected = i === shopIndex;
-    const affordable = me.gold >= item.cost;
+    const affordable = me.gold >= item.cost && !item.maxed;
 
     if (selected) {
       ctx.fillStyle = "rgba(255,255,255,0.12)";
       ctx.fillRect(panelX + 14, y - 22, panelW - 28, 30);
     }
 
-    ctx.fillStyle = affordable ? "#fff" : "rgba(255,255,255,0.45)";
+    if (item.upgrade) ctx.fillStyle = affordable ? "#ffd84a" : "rgba(255,216,74,0.45)";
+    else if (item.passive) ctx.fillStyle = affordable ? "#9fd8ff" : "rgba(159,216,255,0.45)";
+    else ctx.fillStyle = affordable ? "#fff" : "rgba(255,255,255,0.45)";
     ctx.font = selected ? "bold 16px Arial" : "16px Arial";
     ctx.fillText(`${item.label}`, panelX + 26, y);
 
@@ -902,7 +2095,7 @@ function drawShopUI(state) {
 
     ctx.textAlign = "right";
     ctx.font = "16px Arial";
-    ctx.fillText(`${item.cost}g`, panelX + panelW - 26, y);
+    ctx.fillText(item.maxed ? "MAX" : `${item.cost}g`, panelX + panelW - 26, y);
     ctx.textAlign = "left";
   }
 
@@ -930,13 +2123,14 @@ function drawWeaponSelectUI(state) {
   ctx.textAlign = "center";
   ctx.fillText("CHOOSE WEAPON", panelX + panelW / 2, 42);
 
-  const p1 = state.players.find((p) => p.side === "left");
-  const p2 = state.players.find((p) => p.side === "right");
-  const chosenL = p1 && p1.weaponType ? p1.weaponType.toUpperCase() : "...";
-  const chosenR = p2 && p2.weaponType ? p2.weaponType.toUpperCase() : "...";
+  const chosen = (side) =>
+    state.players
+      .filter((p) => p.side === side)
+      .map((p) => `P${p.id}: ${p.weaponType ? p.weaponType.toUpperCase() : "..."}`)
+      .join("  ");
 
   ctx.font = "14px Arial";
-  ctx.fillText(`P1: ${chosenL}   |   P2: ${chosenR}`, panelX + panelW / 2, 66);
+  ctx.fillText(`${chosen("left")}   |   ${chosen("right")}`, panelX + panelW / 2, 66);
 
   const startY = 130;
   const rowH = 44;
@@ -965,7 +2159,9 @@ function drawWeaponSelectUI(state) {
   ctx.fillStyle = "rgba(255,255,255,0.85)";
   ctx.font = "14px Arial";
   ctx.textAlign = "center";
-  ctx.fillText("W/S = select   Enter = choose", panelX + panelW / 2, WORLD_HEIGHT - 30);
+  const aimLabel = state.aimMode === "manual" ? "MANUAL (mouse aims, click/Space fires)" : "AUTO";
+  ctx.fillText(`Aim: ${aimLabel}`, panelX + panelW / 2, WORLD_HEIGHT - 54);
+  ctx.fillText("W/S = select   Enter = choose   M = switch aim mode", panelX + panelW / 2, WORLD_HEIGHT - 30);
   ctx.restore();
 }
 
@@ -989,32 +2185,56 @@ function render() {
   }
 
   statusEl.textContent =
-    (playerId === 1 ? "P1 (Left)" : playerId === 2 ? "P2 (Right)" : "Spectator") +
+    (replayInfo ? "Watching replay" : playerId ? `P${playerId} (${playerSideLabel(playerId)})` : "Spectator") +
     ` — State: ${lastState.state} — Round: ${lastState.round}`;
 
-  drawSpawnWarnings(lastState.spawnWarnings || []);
-  drawMonsters(lastState.monsters || []);
-  drawBullets(lastState.bullets || []);
-  drawEnemyBullets(lastState.enemyBullets || []);
-  drawGrenades(lastState.grenades || []);
-  drawPickups(lastState.goldDrops || [], lastState.hearts || [], lastState.greenPotions || []);
-  drawPlayers(lastState.players || []);
+  predictLocalPlayer(_renderDt);
+  const view = buildRenderState();
+
+  drawSpawnWarnings(view.spawnWarnings || []);
+  drawDeployables(view.deployables || []);
+  drawMonsters(view.monsters || []);
+  drawBullets(view.bullets || []);
+  drawEnemyBullets(view.enemyBullets || []);
+  drawGrenades(view.grenades || []);
+  drawPickups(view.goldDrops || [], view.hearts || [], view.greenPotions || []);
+  drawPlayers(view.players || []);
+  drawEffects(_renderDt);
+  drawCrosshair(lastState);
   drawHud(lastState);
+  drawBossBars(view.monsters || [], hudRows(lastState));
 
   if (lastState.state === "WEAPON_SELECT") {
     drawWeaponSelectUI(lastState);
   } else if (lastState.state === "SHOP") {
     drawShopUI(lastState);
   } else if (lastState.state === "GAME_OVER") {
-    const winner =
-      lastState.winner === "left"
-        ? "Player 1 wins!"
-        : lastState.winner === "right"
-        ? "Player 2 wins!"
-        : "Draw!";
-    drawOverlayText([winner, "Press R or Enter to restart"]);
+    const teams = (lastState.teamSize || 1) > 1;
+    const restartLine = replayInfo ? "End of replay" : rematchLine(lastState);
+    if (lastState.mode === "solo" && !replayInfo) {
+      const me = lastState.players[0];
+      const rank = lastHighScore && lastHighScore.rank ? `New high score #${lastHighScore.rank}!` : "High scores:";
+      drawOverlayText([
+        `Game over in round ${lastState.round} — ${me.score} pts, ${me.monstersKilled} kills`,
+        rank,
+        ...highScoreLines(),
+        restartLine,
+      ]);
+    } else {
+      const winner = isSharedArena(lastState)
+        ? `${lastState.mode === "coop" ? "Wiped out" : "Game over"} in round ${lastState.round}`
+        : lastState.winner === "left"
+          ? teams ? "Left team wins!" : `Player ${sidePlayerId(lastState, "left")} wins!`
+          : lastState.winner === "right"
+          ? teams ? "Right team wins!" : `Player ${sidePlayerId(lastState, "right")} wins!`
+          : "Draw!";
+      const series = seriesText(lastState);
+      drawOverlayText(series ? [winner, series, restartLine] : [winner, restartLine]);
+    }
   }
 
+  if (replayInfo) drawReplayBar(replayInfo);
+
   endWorld();
   requestAnimationFrame(render);
 }
@@ -1024,6 +2244,7 @@ function render() {
 // -----------------------------------------------------
 
 (async function boot() {
+  connect();
   resizeCanvas();
   await loadAssets(assetPaths);
   assetsLoaded = true;
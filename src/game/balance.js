@@ -0,0 +1,305 @@
+// src/game/balance.js
+//
+// Game balance lives in a data file (balance.json next to this module, or the
+// file named by BALANCE_FILE): weapons, monster types, status effects, passive
+// items, deployables, shop items, drop tables, wave pacing and the numbers
+// behind each win condition (rules). GameCore reads
+// everything tunable from the object loaded here (options.balance), so
+// tweaking numbers never means touching code.
+//
+// Other files only need the values they change: they're merged over the
+// built-in balance.json (objects merge key by key, arrays are replaced).
+//
+// The server re-reads the file between matches when it changes on disk (see
+// BalanceSource), and sends the parts the client needs in `welcome`
+// (publicBalance).
+
+const fs = require("fs");
+const path = require("path");
+const { WEAPON_BEHAVIOURS, DEFAULT_BEHAVIOUR } = require("./weapons");
+const { upgradeTreeErrors } = require("./upgrades");
+const { MONSTER_BEHAVIOURS, DEFAULT_MONSTER_BEHAVIOUR } = require("./monsters");
+const { statusEffectErrors } = require("./effects");
+const { itemErrors } = require("./items");
+const { deployableErrors } = require("./deployables");
+
+const BUILTIN_BALANCE_FILE = path.join(__dirname, "balance.json");
+const DEFAULT_BALANCE_FILE = process.env.BALANCE_FILE || BUILTIN_BALANCE_FILE;
+
+// Match modes (GameCore options.mode). Shop items can limit themselves to
+// some of them with `modes` (e.g. sends only make sense in versus).
+const GAME_MODES = ["versus", "coop", "solo"];
+
+// Sections every balance file must have, and the numbers each one needs.
+const REQUIRED_NUMBERS = {
+  player: ["speed", "maxHp", "contactDamage", "pickupRadius", "thornsRadius"],
+  weaponUpgrades: ["minCooldown", "critMult", "splitDamage", "splitLifetime"],
+  monsters: ["baseHp", "hpScale", "baseSpeed", "speedScale", "minHp", "minSpeed"],
+  waves: [
+    "waveTime", "shopTime", "baseTarget", "targetScale", "baseSpawnInterval",
+    "minSpawnInterval", "spawnIntervalDecay", "maxMonsters", "bossEvery", "bossTierEvery",
+  ],
+  drops: ["goldChance", "goldAmount", "heartChance", "heartHeal", "greenPotionChance"],
+  scoring: ["kill"],
+  grenade: ["fuse", "radius", "damage", "maxPerRound"],
+  dash: ["speed", "duration", "cooldown", "invulnerability", "maxLevel", "cooldownMultPerLevel", "distancePerLevel"],
+  coop: ["reviveRadius", "reviveTime", "reviveHp"],
+  rules: ["lives", "respawnInvulnerability", "killTarget", "scoreRounds", "suddenDeathHp"],
+};
+const WEAPON_NUMBERS = ["damage", "cooldown", "bulletSpeed", "pierce", "spread"];
+const MONSTER_TYPE_NUMBERS = ["hpMult", "speedMult", "spawnWeight"];
+const BOSS_NUMBERS = ["hpMult", "hpMultPerTier", "speedMult", "speedMultPerTier"];
+// Numbers any monster entry may set: size, and touch damage for monsters
+// that survive touching a player (see GameCore's contact collisions).
+const OPTIONAL_MONSTER_NUMBERS = ["radius", "contactDamage", "contactCooldown"];
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Returns a list of problems (empty = valid). Catches typos before a bad file
+// reaches a running match.
+function balanceErrors(b) {
+  const errors = [];
+  if (!b || typeof b !== "object") return ["balance must be an object"];
+
+  for (const [section, keys] of Object.entries(REQUIRED_NUMBERS)) {
+    if (!b[section] || typeof b[section] !== "object") {
+      errors.push(`missing section "${section}"`);
+      continue;
+    }
+    for (const key of keys) {
+      if (!isNumber(b[section][key])) errors.push(`${section}.${key} must be a number`);
+    }
+  }
+  if (!isNumber(b.bulletLifetime)) errors.push("bulletLifetime must be a number");
+
+  const weapons = Object.entries(b.weapons || {});
+  if (weapons.length === 0) errors.push("weapons must define at least one weapon");
+  // Numbers a weapon's balance entry needs (and its upgrades may change).
+  const weaponNumbers = id => {
+    const behaviour = WEAPON_BEHAVIOURS[(b.weapons[id] && b.weapons[id].behaviour) || DEFAULT_BEHAVIOUR];
+    return [...WEAPON_NUMBERS, ...(behaviour ? behaviour.numbers : [])];
+  };
+  for (const [id, w] of weapons) {
+    // No behaviour = a plain straight shot.
+    const behaviourName = (w && w.behaviour) || DEFAULT_BEHAVIOUR;
+    if (!WEAPON_BEHAVIOURS[behaviourName]) {
+      errors.push(`weapons.${id}.behaviour "${behaviourName}" is not a known weapon behaviour`);
+    }
+    for (const key of weaponNumbers(id)) {
+      if (!isNumber(w && w[key])) errors.push(`weapons.${id}.${key} must be a number`);
+    }
+    if (w && w.hitEffectChance !== undefined && !isNumber(w.hitEffectChance)) {
+      errors.push(`weapons.${id}.hitEffectChance must be a number`);
+    }
+  }
+  errors.push(...upgradeTreeErrors(b, weaponNumbers));
+
+  const types = Object.entries((b.monsters && b.monsters.types) || {});
+  if (types.length === 0) errors.push("monsters.types must define at least one monster");
+  const typeIds = types.map(([id]) => id);
+  // Checks shared by monster types and the boss entry.
+  const monsterEntryErrors = (where, t, required) => {
+    // No behaviour = walks straight at the player.
+    const behaviourName = (t && t.behaviour) || DEFAULT_MONSTER_BEHAVIOUR;
+    const behaviour = MONSTER_BEHAVIOURS[behaviourName];
+    if (!behaviour) {
+      errors.push(`${where}.behaviour "${behaviourName}" is not a known monster behaviour`);
+    }
+    for (const key of [...required, ...(behaviour ? behaviour.numbers : [])]) {
+      if (!isNumber(t && t[key])) errors.push(`${where}.${key} must be a number`);
+    }
+    for (const key of OPTIONAL_MONSTER_NUMBERS) {
+      if (t && t[key] !== undefined && !isNumber(t[key])) errors.push(`${where}.${key} must be a number`);
+    }
+    for (const key of (behaviour && behaviour.typeRefs) || []) {
+      if (!typeIds.includes(t && t[key])) errors.push(`${where}.${key} must name a monster type`);
+    }
+    if (behaviour && behaviour.errors && t) errors.push(...behaviour.errors(t, where, typeIds));
+  };
+  for (const [id, t] of types) monsterEntryErrors(`monsters.types.${id}`, t, MONSTER_TYPE_NUMBERS);
+  monsterEntryErrors("monsters.boss", b.monsters && b.monsters.boss, BOSS_NUMBERS);
+
+  if (!Array.isArray(b.shop)) {
+    errors.push("shop must be an array of items");
+  } else {
+    const seen = new Set();
+    for (const item of b.shop) {
+      if (!item || typeof item.id !== "string") {
+        errors.push("every shop item needs a string id");
+        continue;
+      }
+      if (seen.has(item.id)) errors.push(`duplicate shop item "${item.id}"`);
+      seen.add(item.id);
+      if (!isNumber(item.cost)) errors.push(`shop item "${item.id}" needs a numeric cost`);
+      if (item.id.startsWith("send:") && !(types.some(([t]) => `send:${t}` === item.id))) {
+        errors.push(`shop item "${item.id}" sends an unknown monster type`);
+      }
+      if (item.duration !== undefined && !isNumber(item.duration)) {
+        errors.push(`shop item "${item.id}" duration must be a number`);
+      }
+      if (item.modes !== undefined && !(Array.isArray(item.modes) && item.modes.every(m => GAME_MODES.includes(m)))) {
+        errors.push(`shop item "${item.id}" modes must be a list of ${GAME_MODES.join(", ")}`);
+      }
+    }
+  }
+  errors.push(...statusEffectErrors(b));
+  errors.push(...itemErrors(b));
+  errors.push(...deployableErrors(b));
+  return errors;
+}
+
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === "object") deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeBalance(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    out[key] = key in base ? mergeBalance(base[key], value) : value;
+  }
+  return out;
+}
+
+function validated(balance) {
+  const errors = balanceErrors(balance);
+  if (errors.length > 0) {
+    throw new Error(`Invalid balance config: ${errors.join("; ")}`);
+  }
+  return deepFreeze(balance);
+}
+
+const BUILTIN_BALANCE = validated(JSON.parse(fs.readFileSync(BUILTIN_BALANCE_FILE, "utf8")));
+
+// Fills in anything `raw` leaves out from the built-in config, then validates.
+// The result is frozen: one config is shared by every match that uses it.
+function parseBalance(raw) {
+  if (!isPlainObject(raw)) throw new Error("Invalid balance config: balance must be an object");
+  return validated(mergeBalance(BUILTIN_BALANCE, raw));
+}
+
+function loadBalance(file = DEFAULT_BALANCE_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  // The built-in file is complete on its own (and may have been edited since
+  // startup, so don't merge it over the old copy of itself).
+  return path.resolve(file) === BUILTIN_BALANCE_FILE ? validated(raw) : parseBalance(raw);
+}
+
+// The shop entry `id`, or null. With a mode, only if it's sold in that mode.
+function shopItem(balance, id, mode = null) {
+  const item = balance.shop.find(entry => entry.id === id) || null;
+  if (!item || !mode) return item;
+  return item.modes && !item.modes.includes(mode) ? null : item;
+}
+
+// What the browser needs: menu contents + the numbers used for local
+// movement prediction. Monster stats etc. stay on the server.
+function publicBalance(balance) {
+  return {
+    player: {
+      speed: balance.player.speed,
+      maxHp: balance.player.maxHp,
+    },
+    weapons: Object.entries(balance.weapons).map(([id, w]) => ({
+      id,
+      label: w.label || id,
+      hint: w.hint || "",
+    })),
+    // Per weapon, in tree order; the shop shows the path and what's next.
+    upgradeTrees: Object.fromEntries(
+      Object.entries(balance.weaponUpgrades.trees || {}).map(([weaponType, tree]) => [
+        weaponType,
+        Object.entries(tree).map(([id, node]) => ({
+          id,
+          label: node.label || id,
+          hint: node.hint || "",
+          cost: node.cost,
+          requires: node.requires || null,
+        })),
+      ])
+    ),
+    // Passive items; the shop lists them with how many you own.
+    items: Object.entries(balance.items || {}).map(([id, item]) => ({
+      id,
+      label: item.label || id,
+      hint: item.hint || "",
+      cost: item.cost,
+      maxStacks: item.maxStacks,
+    })),
+    // HUD icons, and the speed multiplier for local movement prediction.
+    statusEffects: Object.fromEntries(
+      Object.entries(balance.statusEffects).map(([id, effect]) => [
+        id,
+        { label: effect.label || id, speedMult: (effect.modifiers && effect.modifiers.speedMult) || 1, stun: Boolean(effect.stun) },
+      ])
+    ),
+    // hp fractions where boss phases start, for the boss bar's markers.
+    bossPhases: balance.monsters.boss.phases.map(phase => phase.hpBelow),
+    // Seconds a dash lasts, for local movement prediction.
+    dash: { duration: balance.dash.duration },
+    // Co-op: seconds to revive a downed teammate, for the progress ring.
+    reviveTime: balance.coop.reviveTime,
+    // Win condition targets, for the HUD.
+    rules: { lives: balance.rules.lives, killTarget: balance.rules.killTarget, scoreRounds: balance.rules.scoreRounds },
+    shop: balance.shop.map(item => ({
+      id: item.id,
+      label: item.label || item.id,
+      hint: item.hint || "",
+      cost: item.cost,
+      modes: item.modes || null,
+    })),
+  };
+}
+
+// Watches one balance file. current() is cheap enough to call at the start of
+// every match: it only re-reads the file when its mtime changed, and keeps the
+// last good config if the new one doesn't parse.
+class BalanceSource {
+  constructor(file = DEFAULT_BALANCE_FILE) {
+    this.file = file;
+    this.balance = loadBalance(file);
+    this.mtimeMs = fs.statSync(file).mtimeMs;
+  }
+
+  current() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.file).mtimeMs;
+    } catch (err) {
+      return this.balance;
+    }
+    if (mtimeMs === this.mtimeMs) return this.balance;
+
+    this.mtimeMs = mtimeMs;
+    try {
+      this.balance = loadBalance(this.file);
+      console.log(`Reloaded balance config from ${this.file}`);
+    } catch (err) {
+      console.error(`Keeping previous balance config: ${err.message}`);
+    }
+    return this.balance;
+  }
+}
+
+const DEFAULT_BALANCE = DEFAULT_BALANCE_FILE === BUILTIN_BALANCE_FILE ? BUILTIN_BALANCE : loadBalance();
+
+module.exports = {
+  GAME_MODES,
+  DEFAULT_BALANCE,
+  DEFAULT_BALANCE_FILE,
+  BalanceSource,
+  loadBalance,
+  parseBalance,
+  balanceErrors,
+  publicBalance,
+  shopItem,
+};
@@ -0,0 +1,413 @@
+// src/game/bot.js
+//
+// Server-side bot that plays one side of a match, so a solo player doesn't
+// need a second tab. Each tick the room asks it for:
+//   - input(game, dt):   movement keys (+ aim/fire in manual aim mode), same
+//                        shape as a client's "input"
+//   - actions(game, dt): GameCore actions (weapon pick, shop purchases, ready,
+//                        dash, rematch vote)
+// and feeds them through the same paths as a human's messages, so recordings
+// and replays see bots like any other player.
+//
+// Bots draw from their own Rng, never game.rng: a replay only re-applies the
+// bot's recorded inputs/actions, so touching the match stream would desync it.
+
+const { SCREEN_HEIGHT, ARENA_PADDING, shopActionCost } = require("./core");
+const { Rng, randomSeed } = require("./rng");
+const { weaponDps } = require("./weapons");
+const { availableUpgrades, weaponStats } = require("./upgrades");
+
+// thinkInterval:       seconds between steering decisions (reaction time)
+// dodgeRadius:         how close a monster gets before the bot backs off
+// projectileLookahead: seconds of spitter-blob flight predicted (0 = only
+//                      react to blobs that are already close)
+// avoidGrenades:       steer out of deployed grenades' blast radius
+// pickupRange:         how far the bot will walk for a pickup
+// wobble:              random noise added to steering (sloppier movement)
+// actionDelay:         seconds before picking a weapon / finishing shopping
+// healBelow:           buy heals when hp drops under this fraction of max
+// sendBoss:            whether it buys bosses to send at the opponent
+// mobBudget:           share of leftover gold spent on sending mobs
+// dashes:              dash out of point-blank contact / spitter blobs
+const BOT_DIFFICULTIES = {
+  easy: {
+    thinkInterval: 0.4,
+    dodgeRadius: 110,
+    projectileLookahead: 0,
+    avoidGrenades: false,
+    pickupRange: 140,
+    wobble: 0.7,
+    actionDelay: 2.5,
+    healBelow: 0.25,
+    sendBoss: false,
+    mobBudget: 0.25,
+    dashes: false,
+  },
+  normal: {
+    thinkInterval: 0.2,
+    dodgeRadius: 170,
+    projectileLookahead: 0.4,
+    avoidGrenades: true,
+    pickupRange: 260,
+    wobble: 0.25,
+    actionDelay: 1.2,
+    healBelow: 0.5,
+    sendBoss: true,
+    mobBudget: 0.5,
+    dashes: true,
+  },
+  hard: {
+    thinkInterval: 0.05,
+    dodgeRadius: 230,
+    projectileLookahead: 0.8,
+    avoidGrenades: true,
+    pickupRange: 420,
+    wobble: 0,
+    actionDelay: 0.6,
+    healBelow: 0.6,
+    sendBoss: true,
+    mobBudget: 0.7,
+    dashes: true,
+  },
+};
+
+const NO_KEYS = Object.freeze({ up: false, down: false, left: false, right: false });
+
+// Rough worth of a weapon's stats (upgrades applied) for picking weapons and
+// upgrades: damage output, plus a bit for pierce, crits and splitting.
+function weaponValue(stats, balance) {
+  const up = balance.weaponUpgrades;
+  return (
+    weaponDps(stats) *
+    (1 + Math.min(stats.pierce, 3) * 0.2) *
+    (1 + stats.critChance * (up.critMult - 1)) *
+    (1 + stats.split * up.splitDamage * 0.3)
+  );
+}
+
+function keysFromVector(vx, vy, deadZone = 0.2) {
+  const len = Math.hypot(vx, vy);
+  if (len < 0.05) return NO_KEYS;
+  const nx = vx / len;
+  const ny = vy / len;
+  return {
+    up: ny < -deadZone,
+    down: ny > deadZone,
+    left: nx < -deadZone,
+    right: nx > deadZone,
+  };
+}
+
+// The bot's half of the arena (player centre limits).
+function halfBounds(game, side) {
+  const half = game.halfBounds(side);
+  return {
+    minX: half.minX + ARENA_PADDING,
+    maxX: half.maxX - ARENA_PADDING,
+    minY: ARENA_PADDING,
+    maxY: SCREEN_HEIGHT - ARENA_PADDING,
+  };
+}
+
+class BotController {
+  constructor(playerId, difficulty = "normal", { rng = new Rng(randomSeed()) } = {}) {
+    if (!BOT_DIFFICULTIES[difficulty]) throw new Error(`Unknown bot difficulty "${difficulty}"`);
+    this.playerId = playerId;
+    this.difficulty = difficulty;
+    this.cfg = BOT_DIFFICULTIES[difficulty];
+    this.rng = rng;
+
+    this.keys = NO_KEYS;
+    this.thinkTimer = 0;
+    // Counts down while "deciding" in weapon select / shop.
+    this.actionTimer = this.cfg.actionDelay;
+    this.lastState = null;
+    this.shoppedRound = 0;
+  }
+
+  // -------------------------------------------------
+  // Menus: weapon select + shop
+  // -------------------------------------------------
+
+  actions(game, dt) {
+    const p = game.getPlayer(this.playerId);
+    if (!p) return [];
+
+    if (game.state !== this.lastState) {
+      this.lastState = game.state;
+      this.actionTimer = this.cfg.actionDelay * this.rng.range(0.7, 1.3);
+    }
+    // Dodging is a reflex, not a menu decision: no thinking delay.
+    if (game.state === "PLAYING" && this.cfg.dashes && p.canDash() && this.aboutToBeHit(game, p)) {
+      return [{ type: "dash" }];
+    }
+    this.actionTimer -= dt;
+    if (this.actionTimer > 0) return [];
+
+    if (game.state === "WEAPON_SELECT" && !p.weaponChosen) {
+      return [{ type: "weapon_select", weaponType: this.chooseWeapon(game) }];
+    }
+    if (game.state === "SHOP" && this.shoppedRound !== game.round) {
+      this.shoppedRound = game.round;
+      const purchases = this.shopPlan(game, p).map(action => ({ type: "shop_action", action }));
+      return [...purchases, { type: "ready" }];
+    }
+    // Always up for a rematch; the humans decide when it starts.
+    if (game.state === "GAME_OVER" && !p.rematch) {
+      return [{ type: "restart" }];
+    }
+    return [];
+  }
+
+  // Easy bots pick anything; better bots go for raw damage output.
+  chooseWeapon(game) {
+    const weapons = Object.keys(game.balance.weapons);
+    if (this.difficulty === "easy") return this.rng.pick(weapons);
+
+    const score = id => weaponValue(weaponStats(game.balance, id, []), game.balance);
+    const ranked = weapons.sort((a, b) => score(b) - score(a));
+    // Normal bots keep a bit of variety.
+    const pool = this.difficulty === "hard" ? ranked.slice(0, 1) : ranked.slice(0, 2);
+    return this.rng.pick(pool);
+  }
+
+  // Next upgrade tree node to take after `path`: easy bots pick any open
+  // branch, better bots the one that adds the most damage output.
+  chooseUpgrade(game, p, path) {
+    const open = availableUpgrades(game.balance, p.weaponType, path);
+    if (open.length === 0) return null;
+    if (this.difficulty === "easy") return this.rng.pick(open);
+    const score = node => weaponValue(weaponStats(game.balance, p.weaponType, [...path, node.id]), game.balance);
+    return open.reduce((best, node) => (score(node) > score(best) ? node : best));
+  }
+
+  // Shop actions to buy this shop phase, in order.
+  shopPlan(game, p) {
+    const balance = game.balance;
+    const cfg = this.cfg;
+    const cost = action => shopActionCost(action, balance, p.weaponType, game.mode);
+    let gold = p.gold;
+    const plan = [];
+    const buy = action => {
+      const c = cost(action);
+      if (c == null || c > gold) return false;
+      gold -= c;
+      plan.push(action);
+      return true;
+    };
+
+    // 1) Stay alive.
+    let hp = p.hp;
+    const healItem = balance.shop.find(item => item.id === "heal");
+    while (healItem && hp < p.maxHp * cfg.healBelow && buy("heal")) {
+      hp += healItem.amount;
+    }
+    // Co-op: and keep the team alive too.
+    const hurtMate = game.teamPlayers(p.side).some(mate => mate !== p && mate.isAlive && mate.hp < mate.maxHp * cfg.healBelow);
+    if (hurtMate) buy("team_heal");
+
+    // 2) A boss is the strongest pressure, if we can still afford an upgrade afterwards.
+    const path = p.upgradePath.slice();
+    let upgrade = this.chooseUpgrade(game, p, path);
+    const upgradeCost = upgrade ? upgrade.cost : 0;
+    if (cfg.sendBoss && cost("send_boss") != null && gold >= cost("send_boss") + upgradeCost) {
+      buy("send_boss");
+    }
+
+    // 3) Walk down the weapon's upgrade tree.
+    const upgradeBudget = this.difficulty === "easy" ? 1 : Infinity;
+    for (let n = 0; n < upgradeBudget && upgrade && buy(`upgrade:${upgrade.id}`); n++) {
+      path.push(upgrade.id);
+      upgrade = this.chooseUpgrade(game, p, path);
+    }
+
+    // 4) One passive item per shop (easy bots don't bother), in the order
+    // the balance lists them.
+    if (this.difficulty !== "easy") {
+      const item = Object.entries(balance.items || {}).find(([id, cfg]) => (p.items[id] || 0) < cfg.maxStacks);
+      if (item) buy(`item:${item[0]}`);
+    }
+
+    // 5) And one defense for our half: the first in shop order that we can
+    // afford and haven't maxed out.
+    if (this.difficulty !== "easy") {
+      for (const item of balance.shop) {
+        const kind = item.id.startsWith("deploy:") ? item.id.slice("deploy:".length) : null;
+        const cfg = kind ? balance.deployables[kind] : null;
+        if (cfg && game.deployableCount(p.side, kind) < cfg.maxActive && buy(item.id)) break;
+      }
+    }
+
+    // 6) Spend part of what's left sending mobs, preferring the most
+    // monsters-per-gold (easy bots just pick at random).
+    const sends = balance.shop.filter(item => item.id.startsWith("send:") && cost(item.id) != null);
+    if (this.difficulty !== "easy") sends.sort((a, b) => (b.amount || 1) / b.cost - (a.amount || 1) / a.cost);
+    let budget = Math.floor(gold * cfg.mobBudget);
+    for (let guard = 0; guard < 20 && sends.length > 0; guard++) {
+      const affordable = sends.filter(item => item.cost <= budget);
+      if (affordable.length === 0) break;
+      const item = this.difficulty === "easy" ? this.rng.pick(affordable) : affordable[0];
+      if (!buy(item.id)) break;
+      budget -= item.cost;
+    }
+    return plan;
+  }
+
+  // -------------------------------------------------
+  // Movement
+  // -------------------------------------------------
+
+  input(game, dt) {
+    const p = game.getPlayer(this.playerId);
+    if (game.state !== "PLAYING" || !p || !p.isAlive) {
+      this.keys = NO_KEYS;
+      return this.keys;
+    }
+
+    this.thinkTimer -= dt;
+    if (this.thinkTimer <= 0) {
+      this.thinkTimer = this.cfg.thinkInterval;
+      let [vx, vy] = this.steer(game, p);
+      if (this.cfg.wobble > 0) {
+        vx += this.rng.range(-1, 1) * this.cfg.wobble;
+        vy += this.rng.range(-1, 1) * this.cfg.wobble;
+      }
+      this.keys = keysFromVector(vx, vy);
+    }
+    if (game.aimMode === "manual") return { ...this.keys, ...this.aim(game, p) };
+    return this.keys;
+  }
+
+  // Manual aim mode: do what auto-aim would (nearest monster, fire if any).
+  aim(game, p) {
+    const target = game.nearestMonster(p.side, p);
+    if (!target) return { fire: false };
+    const len = Math.hypot(target.x - p.x, target.y - p.y) || 1;
+    return { aimX: (target.x - p.x) / len, aimY: (target.y - p.y) / len, fire: true };
+  }
+
+  // Desired movement direction: away from threats, towards pickups when it's
+  // safe, off the walls.
+  steer(game, p) {
+    const cfg = this.cfg;
+    let vx = 0;
+    let vy = 0;
+    let threat = 0;
+
+    const flee = (x, y, radius, weight) => {
+      const dx = p.x - x;
+      const dy = p.y - y;
+      const d = Math.hypot(dx, dy) || 1;
+      if (d > radius) return;
+      const f = weight * (1 - d / radius);
+      vx += (dx / d) * f;
+      vy += (dy / d) * f;
+      threat += f;
+    };
+
+    for (const m of game.monsters) {
+      if (m.side !== p.side || !m.isAlive) continue;
+      flee(m.x, m.y, cfg.dodgeRadius + m.radius, m.type.startsWith("boss") ? 2 : 1);
+    }
+
+    for (const eb of game.enemyBullets) {
+      if (eb.side !== p.side) continue;
+      if (cfg.projectileLookahead <= 0) {
+        flee(eb.x, eb.y, 90, 1.5);
+        continue;
+      }
+      // Where will the blob be closest to us within the lookahead window?
+      const rx = p.x - eb.x;
+      const ry = p.y - eb.y;
+      const v2 = eb.vx * eb.vx + eb.vy * eb.vy || 1;
+      const t = Math.max(0, Math.min(cfg.projectileLookahead, (rx * eb.vx + ry * eb.vy) / v2));
+      const cx = eb.x + eb.vx * t;
+      const cy = eb.y + eb.vy * t;
+      if (Math.hypot(p.x - cx, p.y - cy) < 45) {
+        // Sidestep perpendicular to its path (whichever side we're already on).
+        const len = Math.sqrt(v2);
+        let px = -eb.vy / len;
+        let py = eb.vx / len;
+        if (px * rx + py * ry < 0) {
+          px = -px;
+          py = -py;
+        }
+        vx += px * 2;
+        vy += py * 2;
+        threat += 2;
+      }
+    }
+
+    if (cfg.avoidGrenades) {
+      for (const g of game.grenades) {
+        if (g.side === p.side) flee(g.x, g.y, g.radius + 20, 2.5);
+      }
+    }
+
+    if (threat < 0.5) {
+      const target = this.pickupTarget(game, p);
+      if (target) {
+        const d = Math.hypot(target.x - p.x, target.y - p.y) || 1;
+        vx += (target.x - p.x) / d;
+        vy += (target.y - p.y) / d;
+      }
+    }
+
+    // Walls: being cornered is how bots die.
+    const b = halfBounds(game, p.side);
+    const margin = 70;
+    if (p.x - b.minX < margin) vx += 1 - (p.x - b.minX) / margin;
+    if (b.maxX - p.x < margin) vx -= 1 - (b.maxX - p.x) / margin;
+    if (p.y - b.minY < margin) vy += 1 - (p.y - b.minY) / margin;
+    if (b.maxY - p.y < margin) vy -= 1 - (b.maxY - p.y) / margin;
+
+    // Drift back to the middle of our half when nothing else is going on
+    // (co-op: to our own start spot, so teammates cover different ground).
+    const homeX = p.home ? p.home.x : (b.minX + b.maxX) / 2;
+    vx += (homeX - p.x) / 800;
+    vy += ((b.minY + b.maxY) / 2 - p.y) / 600;
+
+    return [vx, vy];
+  }
+
+  // Something will touch us within the next few frames.
+  aboutToBeHit(game, p) {
+    for (const m of game.monsters) {
+      if (m.side === p.side && m.isAlive && Math.hypot(m.x - p.x, m.y - p.y) < m.radius + 30) return true;
+    }
+    for (const eb of game.enemyBullets) {
+      if (eb.side !== p.side) continue;
+      const nx = eb.x + eb.vx * 0.08;
+      const ny = eb.y + eb.vy * 0.08;
+      if (Math.hypot(nx - p.x, ny - p.y) < 24) return true;
+    }
+    return false;
+  }
+
+  // Best pickup on our half within reach: hearts when hurt, then potions, then gold.
+  pickupTarget(game, p) {
+    const b = halfBounds(game, p.side);
+    const onOurHalf = item => item.x >= b.minX - ARENA_PADDING && item.x <= b.maxX + ARENA_PADDING;
+    const hurt = p.hp < p.maxHp * 0.7;
+    let best = null;
+    let bestScore = -Infinity;
+    const consider = (items, value) => {
+      for (const item of items) {
+        if (!onOurHalf(item)) continue;
+        const d = Math.hypot(item.x - p.x, item.y - p.y);
+        if (d > this.cfg.pickupRange) continue;
+        const score = value - d / this.cfg.pickupRange;
+        if (score > bestScore) {
+          bestScore = score;
+          best = item;
+        }
+      }
+    };
+    consider(game.goldDrops, 1);
+    consider(game.greenPotions, 1.5);
+    consider(game.hearts, hurt ? 3 : 0.5);
+    return best;
+  }
+}
+
+module.exports = { BotController, BOT_DIFFICULTIES, keysFromVector };
@@ -1,5 +1,14 @@
 // src/game/core.js
 
+const { Rng, randomSeed } = require("./rng");
+const { DEFAULT_BALANCE, GAME_MODES, shopItem } = require("./balance");
+const { weaponBehaviour, DEFAULT_BEHAVIOUR } = require("./weapons");
+const { upgradeNode, availableUpgrades, weaponStats } = require("./upgrades");
+const { monsterBehaviour } = require("./monsters");
+const { StatusEffects } = require("./effects");
+const { itemConfig, itemStat, MAX_CONTACT_ARMOR } = require("./items");
+const { DEPLOYABLE_BEHAVIOURS } = require("./deployables");
+
 // -----------------------------------------------------
 // Config
 // -----------------------------------------------------
@@ -11,149 +20,97 @@ const SCREEN_HEIGHT = 600;
 const FENCE_X = SCREEN_WIDTH / 2;
 const ARENA_PADDING = 40;
 
-const PLAYER_SPEED = 300;           // bumped a bit for snappier feel
-const PLAYER_MAX_HP = 100;
-const HEART_HEAL = 25;
-const GOLD_PER_PICKUP = 3;
-// Pickup collision radius (makes coins/potions less "pixel perfect")
-const PICKUP_RADIUS = 28;
-
-// Green potion (enrage) pickup
-// When collected: +15% damage, +75% attack speed for a short duration.
-const GREEN_POTION_DROP_CHANCE = 0.06;
-const ENRAGE_DURATION = 12.0;
-const ENRAGE_DAMAGE_MULT = 1.15;
-const ENRAGE_ATTACK_SPEED_MULT = 1.75;
-
-const WAVE_TIME = 30.0;
-const SHOP_TIME = 18.0;
-
-// Make wave 1 feel challenging already.
-// (User request: harder + roughly 2x more monsters.)
-const BASE_TARGET = 18;
-const TARGET_SCALE = 1.32;
-
-const BASE_SPAWN_INTERVAL = 0.95;
-const MIN_SPAWN_INTERVAL = 0.25;
-const SPAWN_INTERVAL_DECAY = 0.045;
-
-const MAX_MONSTERS = 70;
-
-const MONSTER_BASE_HP = 50;
-const MONSTER_HP_SCALE = 1.12;
-const MONSTER_BASE_SPEED = 90;
-const MONSTER_SPEED_SCALE = 1.06;
-
-const GOLD_DROP_CHANCE = 0.55;
-const HEART_DROP_CHANCE = 0.08;
-
-const UPGRADE_COST = 10;
-
-// Shop "send mobs" now supports specific mob types (different costs).
-const SEND_MOB_COST = {
-  slime: 10,
-  fast: 14,
-  tank: 18,
-  spitter: 16,
-};
-const SEND_MOB_AMOUNT = {
-  slime: 4,
-  fast: 3,
-  tank: 2,
-  spitter: 2,
-};
+// Everything else that's tunable (weapons, monsters, shop, drops, wave pacing)
+// lives in balance.json and reaches the game as options.balance.
+
+// How players aim, chosen per match in WEAPON_SELECT:
+//   auto:   aim at the nearest monster on your half and fire whenever one exists
+//   manual: aim along the input's aim vector (aimX/aimY), fire while input.fire
+const AIM_MODES = ["auto", "manual"];
+
+// How a versus match is won (options.winCondition; numbers in balance.rules):
+//   elimination: last side standing (default)
+//   lives:       the same, but everyone has rules.lives lives and respawns
+//                with rules.respawnInvulnerability seconds of i-frames
+//   kills:       first side to rules.killTarget kills (team total)
+//   score:       best team score after rules.scoreRounds rounds
+// A side that's wiped out still loses under every rule. Ties (both sides
+// down on the same tick, level kills or scores) go to sudden death; in a
+// tied kill or score race the next lead wins it.
+const WIN_CONDITIONS = ["elimination", "lives", "kills", "score"];
+
+// Best-of-N series (options.seriesLength, versus only; 1 = single games).
+// Team 1 is the odd player ids, team 2 the even ones, whichever side they're
+// on: teams swap sides after every game of a series (single games keep
+// their sides). A new game only starts once every
+// player still in the match has voted for the rematch ("restart").
+const SERIES_LENGTHS = [1, 3, 5, 7];
+
+// Players per side (options.teamSize): 1 = 1v1, 2 = 2v2. Odd player ids play
+// the left half, even ids the right, so 1v1 is players 1 and 2 as always.
+const TEAM_SIZES = [1, 2];
+
+// Match modes (options.mode, see GAME_MODES in balance.js):
+//   versus: two sides of the fence race to outlast each other (default)
+//   coop:   everyone on the left team, whose "half" is then the whole arena
+//           (no fence), surviving endless waves together. Downed players
+//           get back up when a teammate stands next to them for a while.
+//   solo:   co-op's open arena for a single player (teamSize is ignored);
+//           the run ends when they go down.
+// Players per side x 2 take part in versus and co-op (co-op: 2 with teamSize 1).
 
 // -----------------------------------------------------
 // Boss fights + boss sending
 // -----------------------------------------------------
-// Every 5th round is a boss round.
-// Boss tiers advance every 10 rounds:
+// Every `waves.bossEvery` rounds is a boss round.
+// Boss tiers advance every `waves.bossTierEvery` rounds (defaults: 5 / 10):
 //   round 1..10  => boss1
 //   round 11..20 => boss2
 //   ...
-const SEND_BOSS_COST = 100;
 
-function bossTierForRound(round) {
-  return 1 + Math.floor((round - 1) / 10);
+function bossTierForRound(round, waves) {
+  return 1 + Math.floor((round - 1) / waves.bossTierEvery);
 }
 
-function bossTypeForRound(round) {
-  const tier = bossTierForRound(round);
+function bossTypeForRound(round, waves) {
+  const tier = bossTierForRound(round, waves);
   return `boss${tier}`;
 }
 
-function isBossRound(round) {
-  return round % 5 === 0;
+function isBossRound(round, waves) {
+  return round % waves.bossEvery === 0;
 }
 
-const HEAL_COST = 8;
-const HEAL_AMOUNT = 30;
-
-// -----------------------------------------------------
-// Grenades (shop item)
-// -----------------------------------------------------
-// Bought in SHOP, deployed at the start of the next wave on the opponent side.
-// Each player can buy up to 2 grenades per shop.
-const GRENADE_COST = 25;
-const GRENADE_MAX_PER_ROUND = 2;
-const GRENADE_FUSE = 1.45;
-const GRENADE_RADIUS = 240;
-const GRENADE_DAMAGE = 70;
-
-// weapon config – same idea as main.js
-const WEAPON_CONFIG = {
-  knife: {
-    damage: 6,          // 8 * 0.75
-    cooldown: 0.19,     // 0.25 * 0.75
-    bulletSpeed: 420,   // 560 * 0.75
-  },
-  axe: {
-    damage: 15,         // 20 * 0.75
-    cooldown: 0.47,     // 0.62 * 0.75
-    bulletSpeed: 375,   // 500 * 0.75
-  },
-  spear: {
-    damage: 10.5,       // 14 * 0.75
-    cooldown: 0.32,     // 0.42 * 0.75
-    bulletSpeed: 465,   // 620 * 0.75
-  },
-  bow: {
-    damage: 6.75,       // 9 * 0.75
-    cooldown: 0.23,     // 0.30 * 0.75
-    bulletSpeed: 615,   // 820 * 0.75
-  },
-};
-
-const BULLET_LIFETIME = 1.7;
-
-
-// Enemy projectiles (spitter)
-// Spitters keep distance and fire blobs at players on their side.
-const SPITTER_RANGE = 420;
-const SPITTER_COOLDOWN = 1.25;
-const SPITTER_COOLDOWN_JITTER = 0.35;
-const SPITTER_PROJECTILE_SPEED = 420;
-const SPITTER_PROJECTILE_DAMAGE = 10;
-const ENEMY_BULLET_LIFETIME = 2.2;
+function isBossType(type) {
+  return typeof type === "string" && type.startsWith("boss");
+}
 
 // -----------------------------------------------------
 // Helpers
 // -----------------------------------------------------
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
-}
-
-function randomRange(a, b) {
-  return a + Math.random() * (b - a);
+// Gold price of a shop action, or null if it isn't something you can buy.
+// Upgrade nodes (`upgrade:<nodeId>`) belong to a weapon's tree, so pricing
+// them needs the weapon. Passive items are `item:<itemId>`, deployables
+// `deploy:<kind>` (listed in the shop like everything else).
+function shopActionCost(action, balance = DEFAULT_BALANCE, weaponType = null, mode = null) {
+  if (typeof action === "string" && action.startsWith("upgrade:")) {
+    const node = weaponType ? upgradeNode(balance, weaponType, action.slice("upgrade:".length)) : null;
+    return node ? node.cost : null;
+  }
+  if (typeof action === "string" && action.startsWith("item:")) {
+    const item = itemConfig(balance, action.slice("item:".length));
+    return item ? item.cost : null;
+  }
+  const item = shopItem(balance, action, mode);
+  return item ? item.cost : null;
 }
 
-function randRange(a, b) {
-  return randomRange(a, b);
-}
+// Cap on undrained events (see GameCore.emit).
+const MAX_QUEUED_EVENTS = 500;
 
-function randomChoice(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
 }
 
 // -----------------------------------------------------
@@ -161,15 +118,17 @@ function randomChoice(arr) {
 // -----------------------------------------------------
 
 class Player {
-  constructor(id, side) {
+  constructor(id, side, balance = DEFAULT_BALANCE, slot = 0) {
     this.id = id;
     this.side = side; // "left" or "right"
+    this.slot = slot; // place in the team (0 = first), picks the start spot
+    this.balance = balance;
 
     this.width = 32;
     this.height = 32;
 
-    this.maxHp = PLAYER_MAX_HP;
-    this.hp = PLAYER_MAX_HP;
+    this.maxHp = balance.player.maxHp;
+    this.hp = this.maxHp;
     this.gold = 0;
     this.score = 0;
     this.monstersKilled = 0;
@@ -178,14 +137,30 @@ class Player {
     // Keep null until chosen so the game doesn't auto-start.
     this.weaponType = null;
     this.weaponChosen = false;
-    this.weaponLevel = 1;
+    this.upgradePath = []; // upgrade tree node ids, in the order bought
+    this.weaponStats = null; // weapon config with the path applied
     this.weaponTimer = 0;
+    this.weaponCharge = 0; // 0..1, weapons that charge (bow)
 
-    // Temporary buffs
-    this.enrageTimer = 0;
+    // Temporary buffs / debuffs (enrage, burn, slow, shield, ...).
+    this.effects = new StatusEffects(balance);
 
     // Shop-limited items
     this.grenadesBoughtThisRound = 0;
+    // Done shopping; the next wave starts once everyone still standing is.
+    this.ready = false;
+    // Co-op: seconds a teammate has spent reviving this (downed) player.
+    this.reviveProgress = 0;
+    // Voted for a rematch in GAME_OVER.
+    this.rematch = false;
+    // Lives left, this one included (only the "lives" rule spends them).
+    this.lives = 1;
+    // Left the match for good: stays down, even through sudden death.
+    this.forfeited = false;
+    // Start spot, when the mode picks one (otherwise by side and slot).
+    this.home = null;
+    // Passive items owned: itemId -> count (see items.js).
+    this.items = {};
 
     // Default stats (will be overwritten on setWeapon).
     this.weaponDamage = 10;
@@ -195,31 +170,51 @@ class Player {
     this.aimDx = side === "left" ? 1 : -1;
     this.aimDy = 0;
 
+    // Dash: a short burst along the last movement direction, with i-frames.
+    this.resetDash();
+
+    // Connection dropped and the server is holding the slot for a reconnect.
+    // An away player is frozen in place: no movement, no shooting, no damage.
+    this.away = false;
+
     this.resetPosition();
   }
 
   resetPosition() {
+    if (this.home) {
+      this.x = this.home.x;
+      this.y = this.home.y;
+      return;
+    }
     const midX = this.side === "left" ? SCREEN_WIDTH * 0.25 : SCREEN_WIDTH * 0.75;
-    const midY = SCREEN_HEIGHT * 0.65;
+    // Teammates start above the first player.
+    const midY = SCREEN_HEIGHT * (this.slot === 0 ? 0.65 : 0.35);
     this.x = midX;
     this.y = midY;
   }
 
   resetForNewMatch() {
+    this.items = {};
+    this.maxHp = this.balance.player.maxHp;
     this.hp = this.maxHp;
     this.gold = 0;
     this.score = 0;
     this.monstersKilled = 0;
     this.weaponType = null;
     this.weaponChosen = false;
-    this.weaponLevel = 1;
+    this.upgradePath = []; // upgrade tree node ids, in the order bought
+    this.weaponStats = null; // weapon config with the path applied
     this.weaponTimer = 0;
+    this.weaponCharge = 0; // 0..1, weapons that charge (bow)
 
-    // Temporary buffs
-    this.enrageTimer = 0;
+    // Temporary buffs / debuffs
+    this.effects.clear();
 
     // Shop-limited items
     this.grenadesBoughtThisRound = 0;
+    this.ready = false;
+    this.reviveProgress = 0;
+    this.forfeited = false;
 
     // Default stats (will be overwritten on setWeapon).
     this.weaponDamage = 10;
@@ -229,39 +224,94 @@ class Player {
     this.aimDx = this.side === "left" ? 1 : -1;
     this.aimDy = 0;
 
+    this.resetDash();
     this.resetPosition();
   }
 
+  resetDash() {
+    this.dashLevel = 1;
+    this.dashTimer = 0;       // > 0 while dashing
+    this.dashCooldown = 0;    // > 0 until the next dash is allowed
+    this.invulnerableTimer = 0;
+    this.dashDx = 0;
+    this.dashDy = 0;
+    // Last direction the player moved in (dash direction when standing still).
+    this.moveDx = this.aimDx;
+    this.moveDy = this.aimDy;
+  }
+
   get isAlive() {
     return this.hp > 0;
   }
 
+  // Can monsters / projectiles interact with this player right now?
+  get isTargetable() {
+    return this.isAlive && !this.away;
+  }
+
   setWeapon(weaponType) {
-    if (!WEAPON_CONFIG[weaponType]) return;
+    if (!Object.hasOwn(this.balance.weapons, weaponType)) return;
     this.weaponType = weaponType;
     this.weaponChosen = true;
-    this.weaponLevel = 1;
+    this.upgradePath = [];
+    this.weaponCharge = 0;
+    this.applyUpgrades();
+  }
 
-    const cfg = WEAPON_CONFIG[this.weaponType];
-    this.weaponDamage = cfg.damage;
-    this.weaponCooldown = cfg.cooldown;
-    this.bulletSpeed = cfg.bulletSpeed;
+  // 1 + upgrades taken (HUD / bots).
+  get weaponLevel() {
+    return 1 + this.upgradePath.length;
   }
 
-  upgradeWeapon() {
-    this.weaponLevel = Math.min(this.weaponLevel + 1, 5);
-    const cfg = WEAPON_CONFIG[this.weaponType];
-    this.weaponDamage = Math.floor(
-      cfg.damage * (1 + 0.4 * (this.weaponLevel - 1))
-    );
-    this.weaponCooldown = Math.max(
-      0.15,
-      cfg.cooldown * Math.pow(0.9, this.weaponLevel - 1)
-    );
-    this.bulletSpeed = cfg.bulletSpeed * (1 + 0.05 * (this.weaponLevel - 1));
+  // Tree nodes this player could buy next (see upgrades.js).
+  availableUpgrades() {
+    if (!this.weaponType) return [];
+    return availableUpgrades(this.balance, this.weaponType, this.upgradePath);
+  }
+
+  upgradeWeapon(nodeId) {
+    if (!this.availableUpgrades().some(node => node.id === nodeId)) return false;
+    this.upgradePath.push(nodeId);
+    this.applyUpgrades();
+    return true;
+  }
+
+  applyUpgrades() {
+    const stats = weaponStats(this.balance, this.weaponType, this.upgradePath);
+    this.weaponStats = stats;
+    this.weaponDamage = stats.damage;
+    this.weaponCooldown = stats.cooldown;
+    this.bulletSpeed = stats.bulletSpeed;
+  }
+
+  itemStat(stat) {
+    return itemStat(this.balance, this.items, stat);
+  }
+
+  // Adds one copy of a passive item; false if it's unknown or maxed out.
+  addItem(itemId) {
+    const item = itemConfig(this.balance, itemId);
+    const owned = this.items[itemId] || 0;
+    if (!item || owned >= item.maxStacks) return false;
+    this.items[itemId] = owned + 1;
+    // Extra max hp comes with the hp to fill it.
+    const maxHp = this.balance.player.maxHp + this.itemStat("maxHp");
+    this.hp += maxHp - this.maxHp;
+    this.maxHp = maxHp;
+    return true;
+  }
+
+  get pickupRadius() {
+    return this.balance.player.pickupRadius + this.itemStat("pickupRadius");
+  }
+
+  // What's left of monster contact damage after armor.
+  get contactDamageMult() {
+    return 1 - Math.min(MAX_CONTACT_ARMOR, this.itemStat("contactArmor"));
   }
 
   takeDamage(amount) {
+    if (this.away) return;
     this.hp = Math.max(0, this.hp - amount);
   }
 
@@ -274,21 +324,57 @@ class Player {
       this.weaponTimer -= dt;
     }
 
-    if (this.enrageTimer > 0) {
-      this.enrageTimer = Math.max(0, this.enrageTimer - dt);
-    }
+    if (this.dashCooldown > 0) this.dashCooldown = Math.max(0, this.dashCooldown - dt);
+    if (this.invulnerableTimer > 0) this.invulnerableTimer = Math.max(0, this.invulnerableTimer - dt);
   }
 
   get isEnraged() {
-    return this.enrageTimer > 0;
+    return this.effects.has("enrage");
+  }
+
+  // Movement speed multiplier from effects (0 while stunned).
+  get speedMult() {
+    return this.effects.stunned ? 0 : this.effects.mult("speedMult");
+  }
+
+  get isDashing() {
+    return this.dashTimer > 0;
+  }
+
+  get isInvulnerable() {
+    return this.invulnerableTimer > 0;
+  }
+
+  // Cooldown and speed at the current dash level (see balance.dash).
+  get dashCooldownMax() {
+    const dash = this.balance.dash;
+    return dash.cooldown * Math.pow(dash.cooldownMultPerLevel, this.dashLevel - 1);
+  }
+
+  get dashSpeed() {
+    const dash = this.balance.dash;
+    return dash.speed * (1 + dash.distancePerLevel * (this.dashLevel - 1));
+  }
+
+  canDash() {
+    return this.isTargetable && this.dashCooldown <= 0 && !this.isDashing && !this.effects.stunned;
+  }
+
+  dash() {
+    const dash = this.balance.dash;
+    this.dashDx = this.moveDx;
+    this.dashDy = this.moveDy;
+    this.dashTimer = dash.duration;
+    this.dashCooldown = this.dashCooldownMax;
+    this.invulnerableTimer = Math.max(this.invulnerableTimer, dash.invulnerability);
   }
 
-  applyEnrage(durationSeconds) {
-    this.enrageTimer = Math.max(this.enrageTimer, durationSeconds);
+  upgradeDash() {
+    this.dashLevel = Math.min(this.dashLevel + 1, this.balance.dash.maxLevel);
   }
 
   canShoot() {
-    return this.weaponTimer <= 0 && this.isAlive;
+    return this.weaponTimer <= 0 && this.isAlive && !this.effects.stunned;
   }
 
   updateAim(targetX, targetY) {
@@ -301,55 +387,43 @@ class Player {
     }
   }
 
-  shoot(bulletId) {
-    // Attack speed buff reduces cooldown.
-    const atkSpeedMult = this.isEnraged ? ENRAGE_ATTACK_SPEED_MULT : 1.0;
-    this.weaponTimer = this.weaponCooldown / atkSpeedMult;
-
-    const spread = this.weaponType === "bow" ? 0.07 : 0.04;
-    const baseAngle = Math.atan2(this.aimDy, this.aimDx);
-    const angleOffset = (Math.random() - 0.5) * spread;
-    const angle = baseAngle + angleOffset;
-
-    const dx = Math.cos(angle);
-    const dy = Math.sin(angle);
-
-    const speed = this.bulletSpeed;
-    const dmgMult = this.isEnraged ? ENRAGE_DAMAGE_MULT : 1.0;
-    const damage = this.weaponDamage * dmgMult;
+  // Attack speed effects shorten the cooldown (and a bow's draw).
+  get attackSpeedMult() {
+    return this.effects.mult("attackSpeedMult");
+  }
 
-    const startX = this.x + dx * 20;
-    const startY = this.y + dy * 20;
+  startWeaponCooldown() {
+    this.weaponTimer = this.weaponCooldown / this.attackSpeedMult;
+  }
 
-    return new Bullet(
-      bulletId,
-      this.id,
-      this.side,
-      startX,
-      startY,
-      dx * speed,
-      dy * speed,
-      damage,
-      this.weaponType
-    );
+  // Damage of one projectile right now (upgrades + effects, before crits).
+  shotDamage() {
+    return this.weaponDamage * this.effects.mult("damageMult");
   }
 }
 
 class Monster {
-  constructor(id, side, type, x, y, hp, speed) {
+  constructor(id, side, type, x, y, hp, speed, radius, balance = DEFAULT_BALANCE) {
     this.id = id;
     this.side = side;   // "left" or "right"
-    this.type = type;   // "slime"/"fast"/"tank"/"spitter"
+    this.type = type;   // a balance.monsters.types key, or "boss<tier>"
     this.x = x;
     this.y = y;
     this.hp = hp;
+    this.maxHp = hp;
     this.speed = speed;
     // Monster size (collision / clamping).
-    // Keep normal mobs smaller; bosses larger.
-    this.radius = type.startsWith("boss") ? 60 : 34;
-
-    // Ranged attack timer (used by spitters)
-    this.shotTimer = (type === "spitter") ? (0.4 + Math.random() * 0.6) : 0;
+    this.radius = radius;
+    // Set by the type's behaviour (see monsters.js).
+    this.mode = null;
+    this.facingX = side === "left" ? -1 : 1;
+    this.facingY = 0;
+    this.parentId = null; // the monster it split off from / was summoned by
+    this.phase = null;    // boss phase index (bosses only)
+    // Seconds until it can hurt a player by touch again. Only monsters that
+    // survive contact (contactCooldown in their balance entry) use it.
+    this.contactTimer = 0;
+    this.effects = new StatusEffects(balance);
   }
 
   get isAlive() {
@@ -362,7 +436,7 @@ class Monster {
 }
 
 class Bullet {
-  constructor(id, ownerId, side, x, y, vx, vy, damage, weaponType) {
+  constructor(id, ownerId, side, x, y, vx, vy, damage, weaponType, pierce, lifetime) {
     this.id = id;
     this.ownerId = ownerId;
     this.side = side;
@@ -372,37 +446,65 @@ class Bullet {
     this.vy = vy;
     this.damage = damage;
     this.weaponType = weaponType;
-    this.lifetime = BULLET_LIFETIME;
-
-    const pierceMap = { knife: 0, axe: 2, spear: 999, bow: 1 };
-    this.pierce = pierceMap[weaponType] ?? 0;
+    this.lifetime = lifetime;
+    // How many extra monsters it can pass through.
+    this.pierce = pierce;
+    // Weapon behaviour that moves / hit-tests it (see weapons.js).
+    this.behaviour = DEFAULT_BEHAVIOUR;
+    this.age = 0;
+    // Monsters already hit: a projectile never hits the same one twice.
+    this.hitIds = new Set();
+    // Shooter's weapon stats when fired (upgrades applied), null = base config.
+    this.stats = null;
+    this.crit = false;
+    this.shard = false; // split off another projectile (see splitBullet)
+    this.deployable = null; // turret kind that fired it (see spawnDeployableBullet)
   }
 }
 
 
 class EnemyBullet {
-  constructor(id, side, x, y, vx, vy, damage) {
+  constructor(id, monsterId, side, x, y, vx, vy, damage, lifetime, kind = "spitter") {
     this.id = id;
+    this.monsterId = monsterId; // the monster that fired it
     this.side = side; // "left"/"right" half this projectile belongs to
     this.x = x;
     this.y = y;
     this.vx = vx;
     this.vy = vy;
     this.damage = damage;
-    this.lifetime = ENEMY_BULLET_LIFETIME;
-    this.kind = "spitter";
+    this.lifetime = lifetime;
+    this.kind = kind; // "spitter" or "boss"; also the damage source kind
   }
 }
 
 class Grenade {
-  constructor(id, side, x, y) {
+  constructor(id, ownerId, side, x, y, { fuse, radius, damage }) {
     this.id = id;
+    this.ownerId = ownerId; // the player who bought it
     this.side = side; // "left"/"right" half it belongs to
     this.x = x;
     this.y = y;
-    this.timer = GRENADE_FUSE;
-    this.radius = GRENADE_RADIUS;
-    this.damage = GRENADE_DAMAGE;
+    this.timer = fuse;
+    this.radius = radius;
+    this.damage = damage;
+  }
+}
+
+class Deployable {
+  constructor(id, kind, ownerId, side, x, y, { radius, durability }) {
+    this.id = id;
+    this.kind = kind; // key into balance.deployables
+    this.ownerId = ownerId; // the player who bought it
+    this.side = side; // "left"/"right" half it guards
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+    this.durability = durability; // used up as it works (see deployables.js)
+    this.maxDurability = durability;
+    this.timer = 0; // turret cooldown
+    this.aim = side === "left" ? 0 : Math.PI;
+    this.hitIds = new Set(); // spike traps hit each monster once
   }
 }
 
@@ -433,7 +535,8 @@ class GreenPotionPickup {
 }
 
 class SpawnWarning {
-  constructor(id, side, type, round) {
+  // bounds: { minX, maxX } of the side's half (see GameCore.halfBounds).
+  constructor(id, side, type, round, rng, bounds) {
     this.id = id;
     this.side = side;
     this.type = type;
@@ -442,11 +545,8 @@ class SpawnWarning {
     this.total = 2.0;
     this.timer = this.total;
 
-    const xMin = side === "left" ? ARENA_PADDING : FENCE_X + ARENA_PADDING;
-    const xMax =
-      side === "left" ? FENCE_X - ARENA_PADDING : SCREEN_WIDTH - ARENA_PADDING;
-    this.x = randomRange(xMin, xMax);
-    this.y = randomRange(ARENA_PADDING, SCREEN_HEIGHT * 0.4);
+    this.x = rng.range(bounds.minX + ARENA_PADDING, bounds.maxX - ARENA_PADDING);
+    this.y = rng.range(ARENA_PADDING, SCREEN_HEIGHT * 0.4);
   }
 }
 
@@ -455,13 +555,59 @@ class SpawnWarning {
 // -----------------------------------------------------
 
 class GameCore {
-  constructor() {
-    this.players = [new Player(1, "left"), new Player(2, "right")];
+  // options.seed: seed for the match PRNG (random if omitted).
+  // options.rng:  an Rng (or anything with the same methods) to use instead.
+  // options.balance: a parsed balance config (see balance.js); defaults to
+  //                  src/game/balance.json as loaded at startup.
+  // options.teamSize: players per side (see TEAM_SIZES), default 1.
+  // options.mode: "versus" (default), "coop" or "solo" (see GAME_MODES).
+  // options.winCondition: versus only, see WIN_CONDITIONS (default
+  //                       "elimination").
+  // options.seriesLength: versus only, see SERIES_LENGTHS (default 1).
+  // options.series: where the series stands (set by resetMatch between games).
+  constructor(options = {}) {
+    this.options = options;
+    this.seed = options.seed != null ? options.seed >>> 0 : randomSeed();
+    // Every random decision in the simulation goes through this.rng.
+    this.rng = options.rng || new Rng(this.seed);
+    this.balance = options.balance || DEFAULT_BALANCE;
+    const waves = this.balance.waves;
+
+    this.mode = GAME_MODES.includes(options.mode) ? options.mode : "versus";
+    this.teamSize = TEAM_SIZES.includes(options.teamSize) ? options.teamSize : 1;
+    this.seriesLength =
+      !this.sharedArena && SERIES_LENGTHS.includes(options.seriesLength) ? options.seriesLength : 1;
+    // wins: games won by team 1 / team 2; winner: team index once decided.
+    this.series = options.series
+      ? { ...options.series, wins: [...options.series.wins] }
+      : { game: 1, wins: [0, 0], swapped: false, winner: null };
+    this.players = [];
+    const playerCount = this.mode === "solo" ? 1 : this.teamSize * 2;
+    for (let id = 1; id <= playerCount; id++) {
+      if (this.sharedArena) {
+        // One team, spread across the open arena.
+        const p = new Player(id, "left", this.balance, id - 1);
+        p.home = { x: (SCREEN_WIDTH * id) / (playerCount + 1), y: SCREEN_HEIGHT * 0.65 };
+        p.resetPosition();
+        this.players.push(p);
+        continue;
+      }
+      const side = (id % 2 === 1) !== this.series.swapped ? "left" : "right";
+      this.players.push(new Player(id, side, this.balance, Math.floor((id - 1) / 2)));
+    }
+
+    this.winCondition =
+      !this.sharedArena && WIN_CONDITIONS.includes(options.winCondition) ? options.winCondition : "elimination";
+    for (const p of this.players) p.lives = this.winCondition === "lives" ? this.balance.rules.lives : 1;
+    // Set once a tie has to be broken: the next decisive moment ends it.
+    this.suddenDeath = false;
 
     this.monsters = [];
+    this.newMonsters = []; // see spawnChildMonster
     this.bullets = [];
     this.enemyBullets = [];
     this.grenades = [];
+    this.deployables = [];
     this.goldDrops = [];
     this.hearts = [];
     this.greenPotions = [];
@@ -471,22 +617,24 @@ class GameCore {
     this.nextBulletId = 1;
     this.nextEnemyBulletId = 1;
     this.nextGrenadeId = 1;
+    this.nextDeployableId = 1;
     this.nextGoldId = 1;
     this.nextHeartId = 1;
     this.nextGreenPotionId = 1;
     this.nextSpawnWarnId = 1;
 
     this.state = "WEAPON_SELECT"; // WEAPON_SELECT / PLAYING / SHOP / GAME_OVER
+    this.aimMode = AIM_MODES.includes(options.aimMode) ? options.aimMode : "auto";
     this.winner = null; // "left" | "right" | "draw" | null
     this.round = 1;
-    this.waveLeft = WAVE_TIME;
-    this.shopLeft = SHOP_TIME;
+    this.waveLeft = waves.waveTime;
+    this.shopLeft = waves.shopTime;
 
     this.spawnInterval = 1.8;
     // Normal (non-boss) wave target count scales up each round.
     // Boss rounds should not overwrite this (otherwise the next wave becomes tiny).
-    this.normalTarget = BASE_TARGET;
-    this.baseTarget = BASE_TARGET;
+    this.normalTarget = waves.baseTarget;
+    this.baseTarget = waves.baseTarget;
     this.baseSpawnedLeft = 0;
     this.baseSpawnedRight = 0;
     this.spawnCdLeft = 0;
@@ -496,8 +644,8 @@ class GameCore {
     // We store packs per side + type during the shop, then convert them into a
     // per-wave spawn plan when the next wave starts.
     this.pendingPacks = {
-      left: { slime: 0, fast: 0, tank: 0, spitter: 0 },
-      right: { slime: 0, fast: 0, tank: 0, spitter: 0 },
+      left: this.emptyPacks(),
+      right: this.emptyPacks(),
     };
 
     // Bosses queued from the shop to be spawned next wave on a given side.
@@ -505,10 +653,12 @@ class GameCore {
     this.pendingBosses = { left: [], right: [] };
 
     // Grenades queued from the shop to be deployed next wave on a given side.
-    this.pendingGrenades = { left: 0, right: 0 };
+    // Each entry is the id of the player who bought it (for kill credit).
+    this.pendingGrenades = { left: [], right: [] };
 
-    // Grenades queued from the shop to be deployed next wave on a given side.
-    this.pendingGrenades = { left: 0, right: 0 };
+    // Deployables bought during SHOP, placed on the buyer's half next wave.
+    // Each entry is { kind, ownerId }.
+    this.pendingDeployables = { left: [], right: [] };
 
     this.extraPlanLeft = [];
     this.extraPlanRight = [];
@@ -517,23 +667,134 @@ class GameCore {
     this.extraSpawnCdLeft = 0;
     this.extraSpawnCdRight = 0;
 
-    this.leftReady = false;
-    this.rightReady = false;
+
+    // Discrete things that happened since the last drainEvents() (kills, hits,
+    // explosions, pickups). The server ships them next to the state snapshot.
+    this.events = [];
   }
 
   resetMatch() {
-    const fresh = new GameCore();
+    // Connection state outlives the match: a player who is still reconnecting
+    // must stay frozen in the fresh game too.
+    const awayIds = this.players.filter(p => p.away).map(p => p.id);
+    // Keep drawing from the same random stream: a replayed match that restarts
+    // stays deterministic.
+    const fresh = new GameCore({ ...this.options, seed: this.seed, rng: this.rng, series: this.nextSeries() });
     Object.assign(this, fresh);
+    for (const id of awayIds) this.setPlayerAway(id, true);
+  }
+
+  // Series state for the next game: teams swap sides (in a series), and a
+  // decided series starts over.
+  nextSeries() {
+    if (this.sharedArena) return null;
+    const swapped = this.seriesLength > 1 ? !this.series.swapped : this.series.swapped;
+    if (this.series.winner !== null) return { game: 1, wins: [0, 0], swapped, winner: null };
+    return { ...this.series, game: this.series.game + 1, swapped };
+  }
+
+  // Team index (0 = odd player ids, 1 = even) playing `side` this game.
+  sideTeam(side) {
+    return (side === "left") !== this.series.swapped ? 0 : 1;
+  }
+
+  // Balance config for the NEXT match (takes effect on resetMatch). Swapping
+  // numbers mid-match would make the running match inconsistent.
+  useBalance(balance) {
+    this.options = { ...this.options, balance };
+  }
+
+  // One pending-pack counter per sendable monster type.
+  emptyPacks() {
+    const packs = {};
+    for (const type of Object.keys(this.balance.monsters.types)) packs[type] = 0;
+    return packs;
   }
 
   getPlayer(id) {
     return this.players.find(p => p.id === id) || null;
   }
 
+  // Everyone playing `side` ("left" / "right").
+  teamPlayers(side) {
+    return this.players.filter(p => p.side === side);
+  }
+
+  // Co-op and solo: one team (the left) owns the whole arena, no fence.
+  get sharedArena() {
+    return this.mode !== "versus";
+  }
+
+  // Sides that have players this match.
+  get sides() {
+    return this.sharedArena ? ["left"] : ["left", "right"];
+  }
+
+  // x range of `side`'s half: left or right of the fence, or the whole
+  // arena without one. Callers add their own padding.
+  halfBounds(side) {
+    if (this.sharedArena) return { minX: 0, maxX: SCREEN_WIDTH };
+    return side === "left" ? { minX: 0, maxX: FENCE_X } : { minX: FENCE_X, maxX: SCREEN_WIDTH };
+  }
+
+  // Whether x is within `margin` of the fence or over it, seen from `side`'s
+  // half. Never without a fence.
+  pastFence(side, x, margin = 0) {
+    if (this.sharedArena) return false;
+    return side === "left" ? x > FENCE_X - margin : x < FENCE_X + margin;
+  }
+
+  // A side is ready when everyone on it who's still standing is.
+  sideReady(side) {
+    const standing = this.teamPlayers(side).filter(p => p.isAlive);
+    return standing.length > 0 && standing.every(p => p.ready);
+  }
+
+  get leftReady() {
+    return this.sideReady("left");
+  }
+
+  get rightReady() {
+    return this.sideReady("right");
+  }
+
   // -------------------------------------------------
   // Server-driven actions (called from http_ws.js)
   // -------------------------------------------------
 
+  // Single entry point for everything (other than per-tick movement input)
+  // that a player or the server does to the match. Rooms record exactly these
+  // calls, so feeding them back in order reproduces a match (see replay.js).
+  handleAction(playerId, action) {
+    if (!action || typeof action.type !== "string") return;
+    switch (action.type) {
+      case "weapon_select":
+        this.handleWeaponChoice(playerId, action.weaponType);
+        break;
+      case "aim_mode":
+        this.handleAimMode(playerId, action.mode);
+        break;
+      case "dash":
+        this.handleDash(playerId);
+        break;
+      case "shop_action":
+        this.handleShopAction(playerId, action.action);
+        break;
+      case "ready":
+        this.handleReady(playerId);
+        break;
+      case "restart":
+        this.handleRestart(playerId);
+        break;
+      case "away":
+        this.setPlayerAway(playerId, action.away);
+        break;
+      case "forfeit":
+        this.handlePlayerForfeit(playerId);
+        break;
+    }
+  }
+
   handleWeaponChoice(playerId, weaponType) {
     if (this.state !== "WEAPON_SELECT") return;
     const p = this.getPlayer(playerId);
@@ -541,57 +802,113 @@ class GameCore {
     p.setWeapon(weaponType);
   }
 
+  // Either player can switch it before the match starts; it sticks for later
+  // matches in the same game (restarts) until changed again.
+  handleAimMode(playerId, mode) {
+    if (this.state !== "WEAPON_SELECT") return;
+    if (!this.getPlayer(playerId) || !AIM_MODES.includes(mode)) return;
+    this.aimMode = mode;
+    this.options = { ...this.options, aimMode: mode };
+  }
+
+  handleDash(playerId) {
+    if (this.state !== "PLAYING") return;
+    const p = this.getPlayer(playerId);
+    if (!p || !p.canDash()) return;
+    p.dash();
+    this.emit("player_dashed", { playerId: p.id, x: p.x, y: p.y, dx: p.dashDx, dy: p.dashDy });
+  }
+
   handleShopAction(playerId, action) {
     if (this.state !== "SHOP") return;
     const p = this.getPlayer(playerId);
-    if (!p) return;
+    // Fallen teammates (2v2) sit out the rest of the match.
+    if (!p || !p.isAlive) return;
 
     const isLeft = p.side === "left";
 
-    // Backwards-compatible aliases (older client)
-    if (action === "upgrade") action = "upgrade_weapon";
+    // Backwards-compatible aliases (older client). The old one-button weapon
+    // upgrade takes the first node that's open in the tree.
+    if (action === "upgrade" || action === "upgrade_weapon") {
+      const next = p.availableUpgrades()[0];
+      if (!next) return;
+      action = `upgrade:${next.id}`;
+    }
     if (action === "send_mobs") action = "send:slime";
 
-    if (action === "upgrade_weapon") {
-      if (p.gold >= UPGRADE_COST) {
-        p.gold -= UPGRADE_COST;
-        p.upgradeWeapon();
-      }
-    } else if (action === "heal") {
-      if (p.gold >= HEAL_COST) {
-        p.gold -= HEAL_COST;
-        p.heal(HEAL_AMOUNT);
+    if (action === "start_round") {
+      p.ready = true;
+      return;
+    }
+
+    if (typeof action === "string" && action.startsWith("upgrade:")) {
+      const cost = shopActionCost(action, this.balance, p.weaponType);
+      if (cost == null || p.gold < cost) return;
+      if (p.upgradeWeapon(action.slice("upgrade:".length))) p.gold -= cost;
+      return;
+    }
+
+    if (typeof action === "string" && action.startsWith("item:")) {
+      const cost = shopActionCost(action, this.balance);
+      if (cost == null || p.gold < cost) return;
+      if (p.addItem(action.slice("item:".length))) p.gold -= cost;
+      return;
+    }
+
+    // Only items listed in the balance config (for this mode) can be bought.
+    const item = shopItem(this.balance, action, this.mode);
+    if (!item) return;
+    if (p.gold < item.cost) return;
+    const opponentSide = isLeft ? "right" : "left";
+
+    if (action === "heal") {
+      p.gold -= item.cost;
+      p.heal(item.amount);
+    } else if (action === "team_heal") {
+      // co-op: heals everyone still standing
+      p.gold -= item.cost;
+      for (const mate of this.teamPlayers(p.side)) {
+        if (mate.isAlive) mate.heal(item.amount);
       }
-    } else if (action && action.startsWith("send:")) {
+    } else if (action === "upgrade_dash") {
+      if (p.dashLevel >= this.balance.dash.maxLevel) return;
+      p.gold -= item.cost;
+      p.upgradeDash();
+    } else if (action.startsWith("send:")) {
       // send:<mobType> => queues a pack to the opponent side
       const mobType = action.split(":")[1];
-      const cost = SEND_MOB_COST[mobType];
-      if (!cost) return;
-      if (p.gold < cost) return;
-      p.gold -= cost;
-
-      const opponentSide = isLeft ? "right" : "left";
+      p.gold -= item.cost;
       this.queueSendPack(opponentSide, mobType);
     } else if (action === "send_boss") {
-      if (p.gold < SEND_BOSS_COST) return;
-      p.gold -= SEND_BOSS_COST;
-
-      const opponentSide = isLeft ? "right" : "left";
+      p.gold -= item.cost;
       // "Latest" boss: based on current round tier.
-      const bossType = bossTypeForRound(this.round);
+      const bossType = bossTypeForRound(this.round, this.balance.waves);
       this.pendingBosses[opponentSide].push(bossType);
     } else if (action === "send_grenade") {
       // Limit grenades per player per shop.
-      if (p.grenadesBoughtThisRound >= GRENADE_MAX_PER_ROUND) return;
-      if (p.gold < GRENADE_COST) return;
-      p.gold -= GRENADE_COST;
+      if (p.grenadesBoughtThisRound >= this.balance.grenade.maxPerRound) return;
+      p.gold -= item.cost;
       p.grenadesBoughtThisRound += 1;
-
-      const opponentSide = isLeft ? "right" : "left";
-      this.pendingGrenades[opponentSide] = (this.pendingGrenades[opponentSide] || 0) + 1;
-    } else if (action === "start_round") {
-      if (p.side === "left") this.leftReady = true;
-      else this.rightReady = true;
+      this.pendingGrenades[opponentSide].push(p.id);
+    } else if (action.startsWith("deploy:")) {
+      // deploy:<kind> => placed on your own half when the next wave starts
+      const kind = action.slice("deploy:".length);
+      const cfg = this.balance.deployables[kind];
+      if (!cfg || this.deployableCount(p.side, kind) >= cfg.maxActive) return;
+      p.gold -= item.cost;
+      this.pendingDeployables[p.side].push({ kind, ownerId: p.id });
+    } else if (["buff:", "curse:", "team:"].some(prefix => action.startsWith(prefix))) {
+      // buff:<effect> lands on the buyer, curse:<effect> on every opponent
+      // still standing, team:<effect> on every teammate still standing.
+      const [kind, effect] = action.split(":");
+      const targetSide = kind === "curse" ? opponentSide : p.side;
+      const targets = kind === "buff" ? [p] : this.teamPlayers(targetSide).filter(o => o.isAlive);
+      const duration = item.duration !== undefined ? item.duration : null;
+      let applied = false;
+      for (const target of targets) {
+        if (this.applyEffect(target, effect, { duration, sourceId: p.id })) applied = true;
+      }
+      if (applied) p.gold -= item.cost;
     }
   }
 
@@ -604,13 +921,59 @@ class GameCore {
     if (this.state !== "SHOP") return;
     const p = this.getPlayer(playerId);
     if (!p) return;
-    if (p.side === "left") this.leftReady = true;
-    else this.rightReady = true;
+    p.ready = true;
   }
 
-  handleRestart() {
+  // A rematch vote; the next game starts once everyone still in the match
+  // (forfeits don't count) has voted.
+  handleRestart(playerId) {
     if (this.state !== "GAME_OVER") return;
-    this.resetMatch();
+    const p = this.getPlayer(playerId);
+    if (!p || p.rematch) return;
+    p.rematch = true;
+    this.emit("rematch_vote", { playerId });
+    this.checkRematch();
+  }
+
+  // Starts the rematch once everyone still in the game has voted for it.
+  checkRematch() {
+    if (this.state === "GAME_OVER" && this.players.every(pl => pl.rematch || pl.forfeited)) this.resetMatch();
+  }
+
+  // Called by the server when a player's socket drops (away = true) and when
+  // they reclaim the slot with their session token (away = false).
+  setPlayerAway(playerId, away) {
+    const p = this.getPlayer(playerId);
+    if (!p) return;
+    p.away = Boolean(away);
+  }
+
+  // Called by the server when the reconnect grace window runs out.
+  handlePlayerForfeit(playerId) {
+    const p = this.getPlayer(playerId);
+    if (!p) return;
+    p.away = false;
+
+    // During weapon select, clear their selection so the game can't start
+    // early. The slot is still up for grabs, so it doesn't count as forfeited.
+    if (this.state === "WEAPON_SELECT") {
+      p.weaponType = null;
+      p.weaponChosen = false;
+      return;
+    }
+
+    // Once the match is on they're out for good (no revives, no rematch vote
+    // needed, nobody waits on their ready); losing the last player on a side
+    // loses the match.
+    p.forfeited = true;
+    if (this.state === "PLAYING" || this.state === "SHOP") {
+      p.hp = 0;
+      p.lives = 0;
+    }
+    // Mid-round the next tick checks; the shop has no ticks of its own for that.
+    if (this.state === "SHOP") this.checkMatchEnd();
+    // Whoever's left may already have voted for the rematch.
+    this.checkRematch();
   }
 
   // -------------------------------------------------
@@ -618,16 +981,16 @@ class GameCore {
   // -------------------------------------------------
 
   spawnWarningOnSide(side, forcedType = null) {
-    // approximate weights from main.js
-    const types = ["slime", "fast", "tank", "spitter"];
-    const weights = [0.6, 0.2, 0.15, 0.05];
-    const r = Math.random();
+    // Weighted pick over the configured monster types. The roll is made even
+    // when the type is forced so the random stream doesn't depend on it.
+    const types = Object.entries(this.balance.monsters.types);
+    const r = this.rng.next();
     let acc = 0;
-    let type = "slime";
-    for (let i = 0; i < types.length; i++) {
-      acc += weights[i];
+    let type = types[0][0];
+    for (const [name, t] of types) {
+      acc += t.spawnWeight;
       if (r <= acc) {
-        type = types[i];
+        type = name;
         break;
       }
     }
@@ -637,54 +1000,84 @@ class GameCore {
       type = forcedType;
     }
 
-    const w = new SpawnWarning(this.nextSpawnWarnId++, side, type, this.round);
+    const w = new SpawnWarning(this.nextSpawnWarnId++, side, type, this.round, this.rng, this.halfBounds(side));
     this.spawnWarnings.push(w);
   }
 
   spawnMonsterFromWarning(warn) {
-    const side = warn.side;
-    const type = warn.type;
-    const round = warn.round;
+    const m = this.createMonster(warn.side, warn.type, warn.round, warn.x, warn.y);
+    this.monsters.push(m);
+  }
 
-    const hpBase = MONSTER_BASE_HP * Math.pow(MONSTER_HP_SCALE, round - 1);
-    const speedBase = MONSTER_BASE_SPEED * Math.pow(MONSTER_SPEED_SCALE, round - 1);
+  // Balance entry for a monster type (monsters.boss for every boss tier).
+  monsterConfig(type) {
+    const types = this.balance.monsters.types;
+    if (isBossType(type)) return this.balance.monsters.boss;
+    return Object.hasOwn(types, type) ? types[type] : {};
+  }
+
+  createMonster(side, type, round, x, y) {
+    const cfg = this.balance.monsters;
+    const hpBase = cfg.baseHp * Math.pow(cfg.hpScale, round - 1);
+    const speedBase = cfg.baseSpeed * Math.pow(cfg.speedScale, round - 1);
 
     let hpMult = 1.0;
     let speedMult = 1.0;
 
-    // Bosses (placeholder balancing)
-    if (type && type.startsWith("boss")) {
+    // Bosses scale per tier; everything else uses its per-type multipliers.
+    if (isBossType(type)) {
       const tier = Number(String(type).replace("boss", "")) || 1;
-      hpMult = 8.0 + (tier - 1) * 6.0;
-      speedMult = 0.55 + (tier - 1) * 0.05;
-    } else if (type === "fast") {
-      hpMult = 0.7;
-      speedMult = 1.5;
-    } else if (type === "tank") {
-      hpMult = 2.2;
-      speedMult = 0.7;
-    } else if (type === "spitter") {
-      hpMult = 1.1;
-      speedMult = 0.8;
+      hpMult = cfg.boss.hpMult + (tier - 1) * cfg.boss.hpMultPerTier;
+      speedMult = cfg.boss.speedMult + (tier - 1) * cfg.boss.speedMultPerTier;
+    } else if (cfg.types[type]) {
+      hpMult = cfg.types[type].hpMult;
+      speedMult = cfg.types[type].speedMult;
     }
 
-    const hp = Math.max(10, Math.round(hpBase * hpMult));
-    const speed = Math.max(50, speedBase * speedMult);
-
-    const m = new Monster(
-      this.nextMonsterId++,
-      side,
-      type,
-      warn.x,
-      warn.y,
-      hp,
-      speed
+    const hp = Math.max(cfg.minHp, Math.round(hpBase * hpMult));
+    const speed = Math.max(cfg.minSpeed, speedBase * speedMult);
+    // Keep normal mobs smaller; bosses larger.
+    const typeCfg = this.monsterConfig(type);
+    const radius = typeCfg.radius || (isBossType(type) ? 60 : 34);
+
+    const m = new Monster(this.nextMonsterId++, side, type, x, y, hp, speed, radius, this.balance);
+    const behaviour = monsterBehaviour(typeCfg.behaviour);
+    if (behaviour.init) behaviour.init(this, m, typeCfg);
+    return m;
+  }
+
+  // Monsters born mid-tick (a splitter's children) join once this tick's
+  // collisions are done, so the hit that spawned them can't also hit them.
+  spawnChildMonster(parent, type, x, y) {
+    if (this.monsters.length + this.newMonsters.length >= this.balance.waves.maxMonsters) return;
+    const m = this.createMonster(parent.side, type, this.round, x, y);
+    m.parentId = parent.id;
+    this.newMonsters.push(m);
+  }
+
+  // A blob from monster m flying at `angle`, using its config's projectile
+  // numbers. `kind` is what the client draws and what damage is credited to.
+  spawnEnemyBullet(m, angle, cfg, kind = "spitter") {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    this.enemyBullets.push(
+      new EnemyBullet(
+        this.nextEnemyBulletId++,
+        m.id,
+        m.side,
+        m.x + dx * (m.radius + 6),
+        m.y + dy * (m.radius + 6),
+        dx * cfg.projectileSpeed,
+        dy * cfg.projectileSpeed,
+        cfg.projectileDamage,
+        cfg.projectileLifetime,
+        kind
+      )
     );
-    this.monsters.push(m);
   }
 
   spawnBaseMonster(side) {
-    if (this.monsters.length >= MAX_MONSTERS) return;
+    if (this.monsters.length >= this.balance.waves.maxMonsters) return;
     // For boss rounds we force the base spawns to be the boss type.
     this.spawnWarningOnSide(side, this._forcedBaseType || null);
     if (side === "left") this.baseSpawnedLeft += 1;
@@ -697,8 +1090,10 @@ class GameCore {
   }
 
   // NEW: nearest-monster logic, ported from main.js
-  nearestMonster(side) {
-    const p = this.players.find(pl => pl.side === side);
+  // Nearest to `from` (a player, or anything with x / y); by default the
+  // side's first player still in the fight.
+  nearestMonster(side, from = null) {
+    const p = from || this.teamPlayers(side).find(pl => pl.isTargetable);
     if (!p) return null;
 
     let best = null;
@@ -718,6 +1113,230 @@ class GameCore {
     return best;
   }
 
+  // Manual aim mode: the input's aim vector points the weapon, the fire
+  // button shoots. No aim vector (e.g. the mouse hasn't moved yet) keeps the
+  // last direction.
+  manualAim(p, inp, dt) {
+    const ax = Number(inp.aimX);
+    const ay = Number(inp.aimY);
+    if (Number.isFinite(ax) && Number.isFinite(ay) && (ax !== 0 || ay !== 0)) {
+      p.updateAim(p.x + ax, p.y + ay);
+    }
+    this.pullTrigger(p, { held: Boolean(inp.fire), target: null, dt });
+  }
+
+  // Lets the player's weapon behaviour decide whether / what to fire.
+  pullTrigger(p, ctx) {
+    const cfg = p.weaponStats;
+    if (!cfg) return;
+    weaponBehaviour(cfg.behaviour).trigger(this, p, cfg, ctx);
+  }
+
+  // Adds a projectile from player p at `angle` (radians). Speed, damage,
+  // pierce and lifetime default to the player's current weapon stats, and
+  // upgrades may turn it into a crit.
+  spawnBullet(p, { angle, speed = p.bulletSpeed, damage = p.shotDamage(), pierce, lifetime, offset = 20 }) {
+    const cfg = p.weaponStats;
+    const crit = cfg.critChance > 0 && this.rng.next() < cfg.critChance;
+    if (crit) damage *= this.balance.weaponUpgrades.critMult;
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const b = new Bullet(
+      this.nextBulletId++,
+      p.id,
+      p.side,
+      p.x + dx * offset,
+      p.y + dy * offset,
+      dx * speed,
+      dy * speed,
+      damage,
+      p.weaponType,
+      pierce != null ? pierce : cfg.pierce,
+      lifetime != null ? lifetime : this.balance.bulletLifetime
+    );
+    b.behaviour = cfg.behaviour || DEFAULT_BEHAVIOUR;
+    b.stats = cfg;
+    b.crit = crit;
+    this.bullets.push(b);
+    return b;
+  }
+
+  // Turret shot from deployable d: a plain projectile that carries the
+  // turret's config as its stats and credits the turret's owner.
+  spawnDeployableBullet(d, angle, cfg) {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const b = new Bullet(
+      this.nextBulletId++,
+      d.ownerId,
+      d.side,
+      d.x + dx * d.radius,
+      d.y + dy * d.radius,
+      dx * cfg.bulletSpeed,
+      dy * cfg.bulletSpeed,
+      cfg.damage,
+      null,
+      0,
+      cfg.lifetime
+    );
+    b.stats = cfg;
+    b.deployable = d.kind;
+    this.bullets.push(b);
+    return b;
+  }
+
+  // Deployables of `kind` a side has out or waiting for the next wave.
+  deployableCount(side, kind) {
+    const placed = this.deployables.filter(d => d.side === side && d.kind === kind).length;
+    return placed + this.pendingDeployables[side].filter(d => d.kind === kind).length;
+  }
+
+  // "Split on hit" upgrades: shards fan out evenly from monster m, starting
+  // from b's heading. Shards are plain short-lived projectiles that skip m
+  // and don't split again.
+  splitBullet(b, m) {
+    const count = Math.round(b.stats.split);
+    const heading = Math.atan2(b.vy, b.vx);
+    const speed = Math.hypot(b.vx, b.vy) || b.stats.bulletSpeed;
+    const shards = [];
+    for (let i = 0; i < count; i++) {
+      const angle = heading + (Math.PI * 2 * (i + 0.5)) / count;
+      const shard = new Bullet(
+        this.nextBulletId++,
+        b.ownerId,
+        b.side,
+        m.x,
+        m.y,
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed,
+        b.damage * this.balance.weaponUpgrades.splitDamage,
+        b.weaponType,
+        0,
+        this.balance.weaponUpgrades.splitLifetime
+      );
+      shard.shard = true;
+      shard.hitIds.add(m.id);
+      shards.push(shard);
+    }
+    return shards;
+  }
+
+  // -------------------------------------------------
+  // Damage, kills and events
+  // -------------------------------------------------
+  // All damage goes through damageMonster / damagePlayer with a source:
+  //   { kind: "weapon",  ownerId, weaponType }  player bullet
+  //   { kind: "grenade", ownerId }              shop grenade (ownerId = buyer)
+  //   { kind: "contact", monsterId | ownerId }  monster touching a player
+  //   { kind: "spitter", monsterId }            spitter blob
+  //   { kind: "boss", monsterId }               boss projectile
+  //   { kind: "effect", effect, ownerId }       damage over time (ownerId =
+  //                                             the player who applied it, or null)
+  //   { kind: "thorns", ownerId }               a player's thorn aura
+  //   { kind: "deployable", deployable, ownerId }  turret shot / spike trap
+  // Only weapon, grenade, effect, thorns and deployable kills with an owner
+  // are credited (kill count, score, drops). Weapon damage heals its owner's
+  // lifesteal.
+
+  emit(type, data) {
+    this.events.push({ type, ...data });
+    // Nobody draining (headless runs): keep the newest ones only.
+    if (this.events.length > MAX_QUEUED_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_QUEUED_EVENTS);
+    }
+  }
+
+  // Returns the events queued since the last call and clears the queue.
+  drainEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+
+  damageMonster(m, amount, source) {
+    if (!m.isAlive) return;
+    const before = m.hp;
+    m.takeDamage(m.effects.absorbDamage(amount));
+    if (source.kind === "weapon") {
+      const owner = this.getPlayer(source.ownerId);
+      const lifesteal = owner ? owner.itemStat("lifesteal") : 0;
+      if (lifesteal > 0 && owner.isTargetable) owner.heal((before - m.hp) * lifesteal);
+    }
+    if (!m.isAlive) this.onMonsterKilled(m, source);
+  }
+
+  onMonsterKilled(m, source) {
+    const credited = ["weapon", "grenade", "effect", "thorns", "deployable"].includes(source.kind);
+    const killer = credited ? this.getPlayer(source.ownerId) : null;
+    this.emit("monster_killed", {
+      monsterId: m.id,
+      monsterType: m.type,
+      side: m.side,
+      x: m.x,
+      y: m.y,
+      source,
+      killerId: killer ? killer.id : null,
+    });
+    const typeCfg = this.monsterConfig(m.type);
+    const behaviour = monsterBehaviour(typeCfg.behaviour);
+    if (behaviour.onDeath) behaviour.onDeath(this, m, typeCfg, source);
+    if (!killer) return;
+
+    killer.monstersKilled += 1;
+    killer.score += this.balance.scoring.kill;
+    this.rollDrops(m.x, m.y);
+  }
+
+  rollDrops(x, y) {
+    const drops = this.balance.drops;
+    if (this.rng.chance(drops.goldChance)) {
+      this.goldDrops.push(new GoldDrop(this.nextGoldId++, x, y, drops.goldAmount));
+    }
+    if (this.rng.chance(drops.heartChance)) {
+      this.hearts.push(new HeartPickup(this.nextHeartId++, x, y, drops.heartHeal));
+    }
+    if (this.rng.chance(drops.greenPotionChance)) {
+      this.greenPotions.push(new GreenPotionPickup(this.nextGreenPotionId++, x, y));
+    }
+  }
+
+  damagePlayer(p, amount, source) {
+    // Dash i-frames block everything, grenades included.
+    if (!p.isTargetable || p.isInvulnerable) return;
+    const before = p.hp;
+    p.takeDamage(p.effects.absorbDamage(amount));
+    this.emit("player_hit", { playerId: p.id, amount: before - p.hp, hp: p.hp, source });
+    if (!p.isAlive) this.emit("player_killed", { playerId: p.id, side: p.side, source });
+  }
+
+  // Puts status effect `type` on a player or monster (see effects.js).
+  // Monsters ignore effects their balance entry is immune to.
+  applyEffect(target, type, { duration = null, sourceId = null } = {}) {
+    if (!target.isAlive) return false;
+    const isMonster = target instanceof Monster;
+    if (isMonster && (this.monsterConfig(target.type).immune || []).includes(type)) return false;
+    if (!target.effects.apply(type, { duration, sourceId })) return false;
+    this.emit("effect_applied", {
+      target: isMonster ? "monster" : "player",
+      targetId: target.id,
+      side: target.side,
+      effect: type,
+      sourceId,
+      x: target.x,
+      y: target.y,
+    });
+    return true;
+  }
+
+  // Runs a player's or monster's effect clocks and deals their damage over time.
+  updateEffects(target, dt) {
+    for (const tick of target.effects.update(dt)) {
+      const source = { kind: "effect", effect: tick.type, ownerId: tick.sourceId };
+      if (target instanceof Monster) this.damageMonster(target, tick.damage, source);
+      else this.damagePlayer(target, tick.damage, source);
+    }
+  }
+
   // -------------------------------------------------
   // Step
   // -------------------------------------------------
@@ -739,16 +1358,10 @@ class GameCore {
   }
 
   updateWeaponSelect(dt) {
-    let leftChosen = false;
-    let rightChosen = false;
+    for (const p of this.players) p.update(dt);
 
-    for (const p of this.players) {
-      p.update(dt);
-      if (p.side === "left" && p.weaponChosen) leftChosen = true;
-      if (p.side === "right" && p.weaponChosen) rightChosen = true;
-    }
-
-    if (leftChosen && rightChosen) {
+    // Every slot needs a weapon (a human or a bot) before the match starts.
+    if (this.players.every(p => p.weaponChosen)) {
       this.startNewRound();
     }
   }
@@ -756,9 +1369,10 @@ class GameCore {
   startNewRound() {
     this.state = "PLAYING";
     this.winner = null;
-    this.waveLeft = WAVE_TIME;
+    this.waveLeft = this.balance.waves.waveTime;
 
     this.monsters = [];
+    this.newMonsters = [];
     this.bullets = [];
     this.enemyBullets = [];
     this.grenades = [];
@@ -769,22 +1383,34 @@ class GameCore {
     // Deploy grenades purchased during the previous SHOP.
     // Note: grenades belong to a side (half) and will only affect that half.
     for (const side of ["left", "right"]) {
-      const count = this.pendingGrenades[side] || 0;
-      if (count > 0) {
-        for (let i = 0; i < count; i++) {
-          const xMin = side === "left" ? ARENA_PADDING : FENCE_X + ARENA_PADDING;
-          // Use the server's fixed simulation dimensions.
-          // (Older patches referenced WORLD_WIDTH/WORLD_HEIGHT which don't exist here.)
-          const xMax = side === "left" ? FENCE_X - ARENA_PADDING : SCREEN_WIDTH - ARENA_PADDING;
-          const x = randRange(xMin, xMax);
-          const y = randRange(ARENA_PADDING, SCREEN_HEIGHT - ARENA_PADDING);
-          this.grenades.push(new Grenade(this.nextGrenadeId++, side, x, y));
-        }
+      for (const ownerId of this.pendingGrenades[side]) {
+        // Use the server's fixed simulation dimensions.
+        // (Older patches referenced WORLD_WIDTH/WORLD_HEIGHT which don't exist here.)
+        const bounds = this.halfBounds(side);
+        const x = this.rng.range(bounds.minX + ARENA_PADDING, bounds.maxX - ARENA_PADDING);
+        const y = this.rng.range(ARENA_PADDING, SCREEN_HEIGHT - ARENA_PADDING);
+        this.grenades.push(new Grenade(this.nextGrenadeId++, ownerId, side, x, y, this.balance.grenade));
+      }
+      this.pendingGrenades[side] = [];
+    }
+
+    // Place deployables bought during the SHOP on their owner's half. Ones
+    // from earlier waves stay where they are.
+    for (const side of ["left", "right"]) {
+      for (const { kind, ownerId } of this.pendingDeployables[side]) {
+        const cfg = this.balance.deployables[kind];
+        if (!cfg) continue;
+        const pad = ARENA_PADDING + cfg.radius;
+        const bounds = this.halfBounds(side);
+        const x = this.rng.range(bounds.minX + pad, bounds.maxX - pad);
+        const y = this.rng.range(pad, SCREEN_HEIGHT - pad);
+        this.deployables.push(new Deployable(this.nextDeployableId++, kind, ownerId, side, x, y, cfg));
       }
-      this.pendingGrenades[side] = 0;
+      this.pendingDeployables[side] = [];
     }
 
-    const bossRound = isBossRound(this.round);
+    const waves = this.balance.waves;
+    const bossRound = isBossRound(this.round, waves);
 
     // Convert any "send mobs" packs purchased in SHOP into a per-wave spawn plan.
     // This ensures the shop actually affects the NEXT wave (not the current shop screen).
@@ -798,13 +1424,14 @@ class GameCore {
 
       const packs = this.pendingPacks[side];
       for (const [mobType, packCount] of Object.entries(packs)) {
-        const amountPerPack = SEND_MOB_AMOUNT[mobType] ?? 3;
+        const item = shopItem(this.balance, `send:${mobType}`);
+        const amountPerPack = (item && item.amount) ?? 3;
         for (let p = 0; p < packCount; p++) {
           for (let i = 0; i < amountPerPack; i++) plan.push(mobType);
         }
       }
       // Clear pending packs for that side (they've been consumed into the plan)
-      this.pendingPacks[side] = { slime: 0, fast: 0, tank: 0, spitter: 0 };
+      this.pendingPacks[side] = this.emptyPacks();
       return plan;
     };
 
@@ -819,24 +1446,27 @@ class GameCore {
     // IMPORTANT: don't let boss rounds overwrite the normal target scaling,
     // otherwise the round after a boss becomes tiny ("only 1 monster" bug).
     if (!bossRound) {
-      this.normalTarget = Math.round(this.normalTarget * TARGET_SCALE);
+      this.normalTarget = Math.round(this.normalTarget * waves.targetScale);
     }
     this.baseTarget = bossRound ? 1 : this.normalTarget;
+    // Shared arena: it gets everybody's worth of monsters.
+    if (this.sharedArena && !bossRound) this.baseTarget *= this.players.length;
     this.baseSpawnedLeft = 0;
     this.baseSpawnedRight = 0;
 
-    const factor = Math.max(0, 1 - (this.round - 1) * SPAWN_INTERVAL_DECAY);
+    const factor = Math.max(0, 1 - (this.round - 1) * waves.spawnIntervalDecay);
     const interval =
-      MIN_SPAWN_INTERVAL +
-      factor * (BASE_SPAWN_INTERVAL - MIN_SPAWN_INTERVAL);
-    this.spawnInterval = bossRound ? 1.6 : Math.max(MIN_SPAWN_INTERVAL, interval);
+      waves.minSpawnInterval +
+      factor * (waves.baseSpawnInterval - waves.minSpawnInterval);
+    this.spawnInterval = bossRound ? 1.6 : Math.max(waves.minSpawnInterval, interval);
+    if (this.sharedArena && !bossRound) this.spawnInterval /= this.players.length;
 
     this.spawnCdLeft = bossRound ? 0.2 : 0.25;
     this.spawnCdRight = bossRound ? 0.2 : 0.25;
 
     // Boss rounds: force base spawns to be the boss type.
     if (bossRound) {
-      this._forcedBaseType = bossTypeForRound(this.round);
+      this._forcedBaseType = bossTypeForRound(this.round, waves);
     } else {
       this._forcedBaseType = null;
     }
@@ -849,20 +1479,28 @@ class GameCore {
       if (this.waveLeft <= 0) {
         this.waveLeft = 0;
         this.state = "SHOP";
-        this.shopLeft = SHOP_TIME;
-        this.leftReady = false;
-        this.rightReady = false;
+        this.shopLeft = this.balance.waves.shopTime;
 
         // Reset per-shop purchase limits
         for (const pl of this.players) {
           pl.grenadesBoughtThisRound = 0;
+          pl.ready = false;
+        }
+
+        // "score" rule: the last scheduled round is over.
+        if (this.winCondition === "score" && this.round >= this.balance.rules.scoreRounds) {
+          this.decideByTotal("score");
         }
       }
     }
 
-    // players: movement, aiming at nearest monster, shooting
+    // players: movement, aiming, shooting
     for (const p of this.players) {
+      // Disconnected players are frozen until they reconnect (or forfeit);
+      // fallen teammates (2v2) stay down for the rest of the match.
+      if (!p.isTargetable) continue;
       p.update(dt);
+      this.updateEffects(p, dt);
 
       const inp = inputs[p.id] || {};
       let dx = 0;
@@ -873,44 +1511,48 @@ class GameCore {
       if (inp.right) dx += 1;
 
       let len = Math.hypot(dx, dy);
-      if (len > 0) {
+      if (p.isDashing) {
+        // Dashing overrides WASD until it's over.
+        const t = Math.min(dt, p.dashTimer);
+        p.x += p.dashDx * p.dashSpeed * t;
+        p.y += p.dashDy * p.dashSpeed * t;
+        p.dashTimer = Math.max(0, p.dashTimer - dt);
+      } else if (len > 0) {
         dx /= len;
         dy /= len;
-        p.x += dx * PLAYER_SPEED * dt;
-        p.y += dy * PLAYER_SPEED * dt;
+        p.x += dx * this.balance.player.speed * p.speedMult * dt;
+        p.y += dy * this.balance.player.speed * p.speedMult * dt;
+        p.moveDx = dx;
+        p.moveDy = dy;
       }
 
-      const minX =
-        p.side === "left"
-          ? ARENA_PADDING + p.width / 2
-          : FENCE_X + ARENA_PADDING + p.width / 2;
-      const maxX =
-        p.side === "left"
-          ? FENCE_X - ARENA_PADDING - p.width / 2
-          : SCREEN_WIDTH - ARENA_PADDING - p.width / 2;
+      const half = this.halfBounds(p.side);
+      const minX = half.minX + ARENA_PADDING + p.width / 2;
+      const maxX = half.maxX - ARENA_PADDING - p.width / 2;
       const minY = ARENA_PADDING + p.height / 2;
       const maxY = SCREEN_HEIGHT - ARENA_PADDING - p.height / 2;
       p.x = clamp(p.x, minX, maxX);
       p.y = clamp(p.y, minY, maxY);
 
+      if (this.aimMode === "manual") {
+        this.manualAim(p, inp, dt);
+        continue;
+      }
+
       // 🔥 Aim at nearest monster on this side (main.js behaviour)
-      const target = this.nearestMonster(p.side);
+      const target = this.nearestMonster(p.side, p);
 
       // Aim at nearest monster on this side. If none exist, do NOT shoot.
       if (target) {
         p.updateAim(target.x, target.y);
-
-        // shoot only when we actually have something to shoot at
-        if (p.canShoot()) {
-          const b = p.shoot(this.nextBulletId++);
-          this.bullets.push(b);
-        }
       } else {
         // Keep a sensible aim direction for visuals (but no firing).
         const fallbackX = p.side === "left" ? FENCE_X - 20 : FENCE_X + 20;
         const fallbackY = p.y;
         p.updateAim(fallbackX, fallbackY);
       }
+      // shoot only when we actually have something to shoot at
+      this.pullTrigger(p, { held: Boolean(target), target, dt });
     }
 
     // spawn baseline monsters
@@ -922,7 +1564,7 @@ class GameCore {
           this.spawnCdLeft = this.spawnInterval;
         }
       }
-      if (this.baseSpawnedRight < this.baseTarget) {
+      if (this.sides.includes("right") && this.baseSpawnedRight < this.baseTarget) {
         this.spawnCdRight -= dt;
         if (this.spawnCdRight <= 0) {
           this.spawnBaseMonster("right");
@@ -932,7 +1574,7 @@ class GameCore {
 
       // Spawn extra mobs purchased in the shop (spread out across the wave).
       const spawnExtraForSide = (side) => {
-        if (this.monsters.length >= MAX_MONSTERS) return;
+        if (this.monsters.length >= this.balance.waves.maxMonsters) return;
         const plan = side === "left" ? this.extraPlanLeft : this.extraPlanRight;
         const spawnedKey = side === "left" ? "extraPlanSpawnedLeft" : "extraPlanSpawnedRight";
         const cdKey = side === "left" ? "extraSpawnCdLeft" : "extraSpawnCdRight";
@@ -950,8 +1592,7 @@ class GameCore {
         this[cdKey] = Math.max(0.25, this.spawnInterval * 0.6);
       };
 
-      spawnExtraForSide("left");
-      spawnExtraForSide("right");
+      for (const side of this.sides) spawnExtraForSide(side);
     }
 
     // update spawn warnings -> monsters
@@ -970,16 +1611,20 @@ class GameCore {
       this.spawnMonsterFromWarning(w);
     }
 
-    // update monsters movement (chase nearest player on same side)
+    // monsters move / attack as their type's behaviour says (see monsters.js)
     for (const m of this.monsters) {
+      this.updateEffects(m, dt);
       if (!m.isAlive) continue;
+      m.contactTimer = Math.max(0, m.contactTimer - dt);
+      // Stunned monsters stand still; slowed / hasted ones move and attack on
+      // a slower / faster clock.
+      if (m.effects.stunned) continue;
+      const mdt = dt * m.effects.mult("speedMult");
 
-      const sidePlayers = this.players.filter(p => p.side === m.side && p.isAlive);
-      if (sidePlayers.length === 0) continue;
-
-      let target = sidePlayers[0];
+      let target = null;
       let bestDist = Infinity;
-      for (const p of sidePlayers) {
+      for (const p of this.players) {
+        if (p.side !== m.side || !p.isTargetable) continue;
         const d = Math.hypot(p.x - m.x, p.y - m.y);
         if (d < bestDist) {
           bestDist = d;
@@ -987,79 +1632,37 @@ class GameCore {
         }
       }
 
-      if (target) {
-        const dx = target.x - m.x;
-        const dy = target.y - m.y;
-        const dist = Math.hypot(dx, dy) || 1;
-        const vx = (dx / dist) * m.speed;
-        const vy = (dy / dist) * m.speed;
-        m.x += vx * dt;
-        m.y += vy * dt;
-      }
+      const typeCfg = this.monsterConfig(m.type);
+      monsterBehaviour(typeCfg.behaviour).update(this, m, mdt, typeCfg, target);
 
-      const minX =
-        m.side === "left"
-          ? ARENA_PADDING + m.radius
-          : FENCE_X + ARENA_PADDING + m.radius;
-      const maxX =
-        m.side === "left"
-          ? FENCE_X - ARENA_PADDING - m.radius
-          : SCREEN_WIDTH - ARENA_PADDING - m.radius;
+      const half = this.halfBounds(m.side);
+      const minX = half.minX + ARENA_PADDING + m.radius;
+      const maxX = half.maxX - ARENA_PADDING - m.radius;
       const minY = ARENA_PADDING + m.radius;
       const maxY = SCREEN_HEIGHT - ARENA_PADDING - m.radius;
       m.x = clamp(m.x, minX, maxX);
       m.y = clamp(m.y, minY, maxY);
     }
 
-
-// spitters: fire projectiles at the nearest player on their side
-for (const m of this.monsters) {
-  if (!m.isAlive) continue;
-  if (m.type !== "spitter") continue;
-
-  const targets = this.players.filter(p => p.side === m.side && p.isAlive);
-  if (targets.length === 0) continue;
-
-  // choose nearest target
-  let target = targets[0];
-  let bestDist = Infinity;
-  for (const p of targets) {
-    const d = Math.hypot(p.x - m.x, p.y - m.y);
-    if (d < bestDist) {
-      bestDist = d;
-      target = p;
+    // thorn auras (passive item) chip at monsters close to their owner
+    const thornsRadius = this.balance.player.thornsRadius;
+    for (const p of this.players) {
+      const dps = p.itemStat("thornsDps");
+      if (dps <= 0 || !p.isTargetable) continue;
+      for (const m of this.monsters) {
+        if (!m.isAlive || m.side !== p.side) continue;
+        if (Math.hypot(m.x - p.x, m.y - p.y) > thornsRadius + m.radius) continue;
+        this.damageMonster(m, dps * dt, { kind: "thorns", ownerId: p.id });
+      }
     }
-  }
-
-  m.shotTimer -= dt;
 
-  // Only shoot if within range
-  if (bestDist <= SPITTER_RANGE && m.shotTimer <= 0) {
-    const dx = target.x - m.x;
-    const dy = target.y - m.y;
-    const dist = Math.hypot(dx, dy) || 1;
-
-    const vx = (dx / dist) * SPITTER_PROJECTILE_SPEED;
-    const vy = (dy / dist) * SPITTER_PROJECTILE_SPEED;
-
-    const startX = m.x + (dx / dist) * (m.radius + 6);
-    const startY = m.y + (dy / dist) * (m.radius + 6);
-
-    this.enemyBullets.push(
-      new EnemyBullet(
-        this.nextEnemyBulletId++,
-        m.side,
-        startX,
-        startY,
-        vx,
-        vy,
-        SPITTER_PROJECTILE_DAMAGE
-      )
-    );
-
-    m.shotTimer = SPITTER_COOLDOWN + Math.random() * SPITTER_COOLDOWN_JITTER;
-  }
-}
+    // deployables (turrets, traps) work until they're used up
+    for (const d of this.deployables) {
+      const cfg = this.balance.deployables[d.kind];
+      const behaviour = cfg && DEPLOYABLE_BEHAVIOURS[cfg.behaviour];
+      if (behaviour) behaviour.update(this, d, dt, cfg);
+    }
+    this.deployables = this.deployables.filter(d => d.durability > 0);
 
 // update enemy bullets (spitter blobs)
 for (const eb of this.enemyBullets) {
@@ -1072,11 +1675,11 @@ for (const eb of this.enemyBullets) {
 for (const eb of this.enemyBullets) {
   if (eb._dead) continue;
   for (const p of this.players) {
-    if (!p.isAlive) continue;
+    if (!p.isTargetable || p.isInvulnerable) continue; // dashing through it
     if (p.side !== eb.side) continue; // never cross-halves
     const dist = Math.hypot(p.x - eb.x, p.y - eb.y);
     if (dist <= 18) {
-      p.takeDamage(eb.damage);
+      this.damagePlayer(p, eb.damage, { kind: eb.kind || "spitter", monsterId: eb.monsterId });
       eb._dead = true;
       break;
     }
@@ -1090,7 +1693,7 @@ this.enemyBullets = this.enemyBullets.filter(
     // Do not allow spitter projectiles to visually cross the fence.
     // They also won't damage the other player (collision checks), but this
     // removes the confusing "shots flying to the other side" effect.
-    (eb.side === "left" ? eb.x <= FENCE_X - 6 : eb.x >= FENCE_X + 6) &&
+    !this.pastFence(eb.side, eb.x, 6) &&
     eb.x >= -50 &&
     eb.x <= SCREEN_WIDTH + 50 &&
     eb.y >= -50 &&
@@ -1104,6 +1707,15 @@ this.enemyBullets = this.enemyBullets.filter(
       g.timer -= dt;
       if (g.timer <= 0 && !g._exploded) {
         g._exploded = true;
+        this.emit("grenade_exploded", {
+          grenadeId: g.id,
+          ownerId: g.ownerId,
+          side: g.side,
+          x: g.x,
+          y: g.y,
+          radius: g.radius,
+        });
+        const source = { kind: "grenade", ownerId: g.ownerId };
 
         // Damage players on the same side only
         for (const p of this.players) {
@@ -1113,7 +1725,11 @@ this.enemyBullets = this.enemyBullets.filter(
           if (d <= g.radius) {
             // Linear falloff for nicer feel
             const t = 1 - d / g.radius;
-            p.takeDamage(g.damage * (0.4 + 0.6 * t));
+            this.damagePlayer(p, g.damage * (0.4 + 0.6 * t), source);
+            // (dashing through it dodges the effect along with the damage)
+            if (this.balance.grenade.effect && !p.isInvulnerable) {
+              this.applyEffect(p, this.balance.grenade.effect, { sourceId: g.ownerId });
+            }
           }
         }
 
@@ -1124,8 +1740,8 @@ this.enemyBullets = this.enemyBullets.filter(
           const d = Math.hypot(m.x - g.x, m.y - g.y);
           if (d <= g.radius) {
             const t = 1 - d / g.radius;
-            m.hp -= g.damage * (0.6 + 0.6 * t);
-            if (m.hp <= 0) m.isAlive = false;
+            this.damageMonster(m, g.damage * (0.6 + 0.6 * t), source);
+            if (this.balance.grenade.effect) this.applyEffect(m, this.balance.grenade.effect, { sourceId: g.ownerId });
           }
         }
       }
@@ -1134,10 +1750,16 @@ this.enemyBullets = this.enemyBullets.filter(
     // Remove exploded grenades (keep a tiny linger for visuals if desired)
     this.grenades = this.grenades.filter(g => !g._exploded);
 
-    // update bullets
+    // update bullets (weapon behaviours may steer their own)
     for (const b of this.bullets) {
-      b.x += b.vx * dt;
-      b.y += b.vy * dt;
+      const behaviour = weaponBehaviour(b.behaviour);
+      b.age += dt;
+      if (behaviour.move) {
+        behaviour.move(this, b, dt, b.stats || this.balance.weapons[b.weaponType]);
+      } else {
+        b.x += b.vx * dt;
+        b.y += b.vy * dt;
+      }
       b.lifetime -= dt;
     }
 
@@ -1147,7 +1769,7 @@ this.enemyBullets = this.enemyBullets.filter(
         // Do not allow player projectiles to visually cross the fence.
         // They also won't damage the other side (collision checks), but this removes
         // the confusing "weapons flying into the other player's half" effect.
-        (b.side === "left" ? b.x <= FENCE_X - 6 : b.x >= FENCE_X + 6) &&
+        !this.pastFence(b.side, b.x, 6) &&
         b.x >= -50 &&
         b.x <= SCREEN_WIDTH + 50 &&
         b.y >= -50 &&
@@ -1155,50 +1777,39 @@ this.enemyBullets = this.enemyBullets.filter(
     );
 
     // collisions bullets ↔ monsters
+    const shards = [];
     for (const b of this.bullets) {
       if (b._dead) continue;
+      const behaviour = weaponBehaviour(b.behaviour);
+      const cfg = b.stats || this.balance.weapons[b.weaponType];
       let hits = 0;
       for (const m of this.monsters) {
         if (!m.isAlive) continue;
         if (m.side !== b.side) continue;
-        const dist = Math.hypot(m.x - b.x, m.y - b.y);
-        if (dist <= m.radius + 5) {
-          m.takeDamage(b.damage);
-          hits += 1;
-          if (!m.isAlive) {
-            const owner = this.getPlayer(b.ownerId);
-            if (owner) {
-              owner.monstersKilled += 1;
-              owner.score += 15;
-              if (Math.random() < GOLD_DROP_CHANCE) {
-                const gold = new GoldDrop(
-                  this.nextGoldId++,
-                  m.x,
-                  m.y,
-                  GOLD_PER_PICKUP
-                );
-                this.goldDrops.push(gold);
-              }
-              if (Math.random() < HEART_DROP_CHANCE) {
-                const heart = new HeartPickup(
-                  this.nextHeartId++,
-                  m.x,
-                  m.y,
-                  HEART_HEAL
-                );
-                this.hearts.push(heart);
-              }
-
-              if (Math.random() < GREEN_POTION_DROP_CHANCE) {
-                const potion = new GreenPotionPickup(
-                  this.nextGreenPotionId++,
-                  m.x,
-                  m.y
-                );
-                this.greenPotions.push(potion);
-              }
-            }
-          }
+        if (b.hitIds.has(m.id)) continue;
+        const hit = behaviour.hits ? behaviour.hits(b, m, cfg) : Math.hypot(m.x - b.x, m.y - b.y) <= m.radius + 5;
+        if (!hit) continue;
+        b.hitIds.add(m.id);
+        hits += 1;
+
+        // Shields stop it dead, piercing or not, without damage (or splitting).
+        const typeCfg = this.monsterConfig(m.type);
+        const guard = monsterBehaviour(typeCfg.behaviour);
+        if (guard.blocks && guard.blocks(m, b, typeCfg)) {
+          this.emit("hit_blocked", { monsterId: m.id, ownerId: b.ownerId, x: b.x, y: b.y });
+          b._dead = true;
+          break;
+        }
+        if (cfg.split > 0 && !b.shard && !b.hasSplit) {
+          b.hasSplit = true;
+          shards.push(...this.splitBullet(b, m));
+        }
+        const source = b.deployable
+          ? { kind: "deployable", deployable: b.deployable, ownerId: b.ownerId }
+          : { kind: "weapon", ownerId: b.ownerId, weaponType: b.weaponType };
+        this.damageMonster(m, b.damage, source);
+        if (cfg.hitEffect && m.isAlive && this.rng.chance(cfg.hitEffectChance || 0)) {
+          this.applyEffect(m, cfg.hitEffect, { sourceId: b.ownerId });
         }
       }
       if (hits > 0) {
@@ -1211,47 +1822,65 @@ this.enemyBullets = this.enemyBullets.filter(
     }
 
     this.bullets = this.bullets.filter(b => !b._dead);
+    this.bullets.push(...shards);
 
     // collisions monsters ↔ players
     for (const m of this.monsters) {
-      if (!m.isAlive) continue;
+      if (!m.isAlive || m.contactTimer > 0) continue;
+      const typeCfg = this.monsterConfig(m.type);
       for (const p of this.players) {
-        if (!p.isAlive) continue;
+        if (!p.isTargetable || p.isInvulnerable) continue;
         if (p.side !== m.side) continue;
         const dist = Math.hypot(p.x - m.x, p.y - m.y);
         if (dist <= m.radius + 18) {
           // Make contact hits hurt more now that there are more mobs.
-          p.takeDamage(12);
-          m.takeDamage(9999);
+          const damage = (typeCfg.contactDamage || this.balance.player.contactDamage) * p.contactDamageMult;
+          this.damagePlayer(p, damage, { kind: "contact", monsterId: m.id });
+          if (typeCfg.contactCooldown) {
+            // Bosses survive it, and need a moment before the next touch.
+            m.contactTimer = typeCfg.contactCooldown;
+          } else {
+            // The monster spends itself on the hit (no kill credit or drops).
+            this.damageMonster(m, m.hp, { kind: "contact", ownerId: p.id });
+          }
+          break;
         }
       }
     }
 
     this.monsters = this.monsters.filter(m => m.isAlive);
+    this.monsters.push(...this.newMonsters);
+    this.newMonsters = [];
 
     // pickups
     for (const p of this.players) {
-      if (!p.isAlive) continue;
+      if (!p.isTargetable) continue;
+      const pickupRadius = p.pickupRadius;
       for (const g of this.goldDrops) {
         const dist = Math.hypot(p.x - g.x, p.y - g.y);
-        if (dist <= PICKUP_RADIUS) {
+        if (dist <= pickupRadius && !g._taken) {
           p.gold += g.amount;
           g._taken = true;
+          this.emit("pickup_collected", { playerId: p.id, kind: "gold", amount: g.amount, x: g.x, y: g.y });
         }
       }
       for (const h of this.hearts) {
         const dist = Math.hypot(p.x - h.x, p.y - h.y);
-        if (dist <= PICKUP_RADIUS) {
+        if (dist <= pickupRadius && !h._taken) {
           p.heal(h.healAmount);
           h._taken = true;
+          this.emit("pickup_collected", { playerId: p.id, kind: "heart", amount: h.healAmount, x: h.x, y: h.y });
         }
       }
 
       for (const gp of this.greenPotions) {
         const dist = Math.hypot(p.x - gp.x, p.y - gp.y);
-        if (dist <= PICKUP_RADIUS) {
-          p.applyEnrage(ENRAGE_DURATION);
+        if (dist <= pickupRadius && !gp._taken) {
+          const effect = this.balance.drops.greenPotionEffect || "enrage";
+          this.applyEffect(p, effect, { sourceId: p.id });
           gp._taken = true;
+          const duration = this.balance.statusEffects[effect].duration;
+          this.emit("pickup_collected", { playerId: p.id, kind: "green_potion", amount: duration, x: gp.x, y: gp.y });
         }
       }
     }
@@ -1260,14 +1889,129 @@ this.enemyBullets = this.enemyBullets.filter(
     this.hearts = this.hearts.filter(h => !h._taken);
     this.greenPotions = this.greenPotions.filter(gp => !gp._taken);
 
-    // game over?
-    const aliveLeft = this.players.find(p => p.side === "left" && p.isAlive);
-    const aliveRight = this.players.find(p => p.side === "right" && p.isAlive);
-    if (!aliveLeft || !aliveRight) {
-      this.state = "GAME_OVER";
-      if (aliveLeft && !aliveRight) this.winner = "left";
-      else if (aliveRight && !aliveLeft) this.winner = "right";
-      else this.winner = "draw";
+    // co-op: standing next to a downed teammate gets them back up
+    if (this.mode === "coop") this.updateRevives(dt);
+    if (this.winCondition === "lives") this.updateRespawns();
+
+    this.checkMatchEnd();
+  }
+
+  // game over? (only once a whole side is down; co-op / solo have no winner)
+  checkMatchEnd() {
+    if (this.state === "GAME_OVER") return;
+    const aliveLeft = this.teamPlayers("left").some(p => p.isAlive);
+    const aliveRight = this.teamPlayers("right").some(p => p.isAlive);
+    if (this.sharedArena) {
+      if (!aliveLeft) this.endMatch(null);
+      return;
+    }
+    if (aliveLeft && !aliveRight) {
+      this.endMatch("left");
+    } else if (aliveRight && !aliveLeft) {
+      this.endMatch("right");
+    } else if (!aliveLeft && !aliveRight) {
+      // Both sides went down on the same tick: everyone gets back up for
+      // sudden death. A second double knock-out goes to the better score.
+      if (this.suddenDeath) this.endMatch(this.leadingSide("score") || "draw");
+      else this.startSuddenDeath({ revive: true });
+    } else if (this.winCondition === "kills") {
+      const target = this.balance.rules.killTarget;
+      if (this.teamTotal("left", "monstersKilled") >= target || this.teamTotal("right", "monstersKilled") >= target) {
+        this.decideByTotal("monstersKilled");
+      }
+    } else if (this.winCondition === "score" && this.suddenDeath) {
+      // Tied after the last round: first side to pull ahead wins.
+      this.decideByTotal("score");
+    }
+  }
+
+  endMatch(winner) {
+    this.state = "GAME_OVER";
+    this.winner = winner;
+    if (winner !== "left" && winner !== "right") return;
+
+    // Series score: a draw counts for nobody.
+    const team = this.sideTeam(winner);
+    this.series.wins[team] += 1;
+    if (this.series.wins[team] > this.seriesLength / 2) this.series.winner = team;
+  }
+
+  // Sum of a player number (score, monstersKilled) over `side`'s team.
+  teamTotal(side, key) {
+    return this.teamPlayers(side).reduce((sum, p) => sum + p[key], 0);
+  }
+
+  // The side ahead on teamTotal(key), or null when level.
+  leadingSide(key) {
+    const left = this.teamTotal("left", key);
+    const right = this.teamTotal("right", key);
+    if (left === right) return null;
+    return left > right ? "left" : "right";
+  }
+
+  // The side ahead on `key` wins; level goes to sudden death, where the
+  // next check that finds a leader ends it.
+  decideByTotal(key) {
+    const leader = this.leadingSide(key);
+    if (leader) this.endMatch(leader);
+    else if (!this.suddenDeath) this.startSuddenDeath({ revive: false });
+  }
+
+  // Tie-break: no more respawns, and with `revive` everyone who went down
+  // (but didn't forfeit) is back with rules.suddenDeathHp at their start spot.
+  startSuddenDeath({ revive }) {
+    const rules = this.balance.rules;
+    this.suddenDeath = true;
+    for (const p of this.players) {
+      p.lives = Math.min(p.lives, 1);
+      if (!revive || p.isAlive || p.forfeited) continue;
+      p.lives = 1;
+      this.respawnPlayer(p, Math.min(p.maxHp, rules.suddenDeathHp));
+    }
+    this.emit("sudden_death", { round: this.round });
+  }
+
+  // "lives" rule: a player who went down spends a life and, with any left,
+  // is straight back at their start spot with full hp and brief i-frames.
+  updateRespawns() {
+    for (const p of this.players) {
+      if (p.isAlive || p.lives <= 0) continue;
+      p.lives -= 1;
+      if (p.lives > 0) this.respawnPlayer(p, p.maxHp);
+    }
+  }
+
+  respawnPlayer(p, hp) {
+    p.hp = hp;
+    p.effects.clear();
+    p.reviveProgress = 0;
+    p.resetPosition();
+    p.dashTimer = 0;
+    p.invulnerableTimer = Math.max(p.invulnerableTimer, this.balance.rules.respawnInvulnerability);
+    this.emit("player_respawned", { playerId: p.id, lives: p.lives, x: p.x, y: p.y });
+  }
+
+  // Co-op revives: a downed player fills up reviveProgress while a teammate
+  // who's still up stands within coop.reviveRadius, and gets back up with
+  // coop.reviveHp once it reaches coop.reviveTime. Walking away resets it.
+  updateRevives(dt) {
+    const coop = this.balance.coop;
+    for (const p of this.players) {
+      // Whoever forfeited is gone for good.
+      if (p.isAlive || p.forfeited) continue;
+      const reviver = this.teamPlayers(p.side).find(
+        mate => mate.isTargetable && Math.hypot(mate.x - p.x, mate.y - p.y) <= coop.reviveRadius
+      );
+      if (!reviver) {
+        p.reviveProgress = 0;
+        continue;
+      }
+      p.reviveProgress += dt;
+      if (p.reviveProgress < coop.reviveTime) continue;
+      p.reviveProgress = 0;
+      p.hp = Math.min(p.maxHp, coop.reviveHp);
+      p.effects.clear();
+      this.emit("player_revived", { playerId: p.id, reviverId: reviver.id, x: p.x, y: p.y });
     }
   }
 
@@ -1281,7 +2025,7 @@ this.enemyBullets = this.enemyBullets.filter(
       return;
     }
 
-    if (this.leftReady && this.rightReady) {
+    if (this.sides.every(side => this.sideReady(side))) {
       this.state = "PLAYING";
       this.round += 1;
       this.startNewRound();
@@ -1295,6 +2039,7 @@ this.enemyBullets = this.enemyBullets.filter(
   exportState() {
     return {
       state: this.state,
+      aimMode: this.aimMode,
       grenades: this.grenades,
       winner: this.winner,
       round: this.round,
@@ -1305,11 +2050,28 @@ this.enemyBullets = this.enemyBullets.filter(
         left: Math.max(0, this.extraPlanLeft.length - this.extraPlanSpawnedLeft),
         right: Math.max(0, this.extraPlanRight.length - this.extraPlanSpawnedRight),
       },
+      mode: this.mode,
+      teamSize: this.teamSize,
+      winCondition: this.winCondition,
+      suddenDeath: this.suddenDeath,
+      series: {
+        length: this.seriesLength,
+        game: this.series.game,
+        wins: [...this.series.wins],
+        swapped: this.series.swapped,
+        winner: this.series.winner,
+      },
       leftReady: this.leftReady,
       rightReady: this.rightReady,
       players: this.players.map(p => ({
         id: p.id,
         side: p.side,
+        slot: p.slot,
+        ready: p.ready,
+        reviveProgress: p.reviveProgress,
+        lives: p.lives,
+        rematch: p.rematch,
+        forfeited: p.forfeited,
         x: p.x,
         y: p.y,
         aimDx: p.aimDx,
@@ -1321,10 +2083,24 @@ this.enemyBullets = this.enemyBullets.filter(
         monstersKilled: p.monstersKilled,
         weaponType: p.weaponType,
         weaponLevel: p.weaponLevel,
-
-        // buffs
-        isEnraged: p.isEnraged,
-        enrageTimer: p.enrageTimer
+        upgradePath: p.upgradePath.slice(),
+        items: { ...p.items },
+        away: p.away,
+
+        // status effects ({ type, timer, stacks, absorb })
+        effects: p.effects.export(),
+        weaponCharge: p.weaponCharge,
+
+        // dash
+        dashLevel: p.dashLevel,
+        dashCooldown: p.dashCooldown,
+        dashCooldownMax: p.dashCooldownMax,
+        dashSpeed: p.dashSpeed,
+        isDashing: p.isDashing,
+        // last movement direction = where the next dash goes
+        moveDx: p.moveDx,
+        moveDy: p.moveDy,
+        invulnerable: p.isInvulnerable
       })),
       monsters: this.monsters.map(m => ({
         id: m.id,
@@ -1332,7 +2108,13 @@ this.enemyBullets = this.enemyBullets.filter(
         type: m.type,
         x: m.x,
         y: m.y,
-        hp: m.hp
+        hp: m.hp,
+        maxHp: m.maxHp,
+        radius: m.radius,
+        mode: m.mode,
+        phase: m.phase,
+        effects: m.effects.types(),
+        facing: Math.round(Math.atan2(m.facingY, m.facingX) * 100) / 100
       })),
       enemyBullets: this.enemyBullets.map(eb => ({
         id: eb.id,
@@ -1345,12 +2127,25 @@ this.enemyBullets = this.enemyBullets.filter(
       })),
       grenades: this.grenades.map(g => ({
         id: g.id,
+        ownerId: g.ownerId,
         side: g.side,
         x: g.x,
         y: g.y,
         timer: g.timer,
         radius: g.radius
       })),
+      deployables: this.deployables.map(d => ({
+        id: d.id,
+        kind: d.kind,
+        ownerId: d.ownerId,
+        side: d.side,
+        x: d.x,
+        y: d.y,
+        aim: d.aim,
+        radius: d.radius,
+        durability: d.durability,
+        maxDurability: d.maxDurability
+      })),
       bullets: this.bullets.map(b => ({
         id: b.id,
         side: b.side,
@@ -1358,7 +2153,11 @@ this.enemyBullets = this.enemyBullets.filter(
         y: b.y,
         vx: b.vx,
         vy: b.vy,
-        weaponType: b.weaponType
+        weaponType: b.weaponType,
+        deployable: b.deployable || null,
+        kind: b.behaviour,
+        // Reach of melee lines (thrust), 0 for projectiles.
+        length: b.length || 0
       })),
       goldDrops: this.goldDrops.map(g => ({
         id: g.id,
@@ -1390,4 +2189,16 @@ this.enemyBullets = this.enemyBullets.filter(
   }
 }
 
-module.exports = { GameCore };
+module.exports = {
+  GameCore,
+  shopActionCost,
+  AIM_MODES,
+  TEAM_SIZES,
+  GAME_MODES,
+  WIN_CONDITIONS,
+  SERIES_LENGTHS,
+  SCREEN_WIDTH,
+  SCREEN_HEIGHT,
+  FENCE_X,
+  ARENA_PADDING,
+};
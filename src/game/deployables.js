@@ -0,0 +1,105 @@
+// src/game/deployables.js
+//
+// Deployables: defenses a player buys in the shop (`deploy:<kind>`) for their
+// own half. They're placed when the next wave starts (like grenades) and stay
+// across waves until their durability runs out. Every kind is an entry in
+// balance.deployables:
+//
+//   "spikes": { "behaviour": "spikes", "radius": 26, "durability": 12,
+//               "maxActive": 3, "damage": 25 }
+//
+//   radius:      size (hit area for traps, footprint for turrets)
+//   durability:  how much use it has; what a "use" is depends on the behaviour
+//   maxActive:   most of this kind one side can have out (placed + bought)
+//
+// A behaviour is an object with:
+//   numbers:                   extra numeric fields its balance entry needs
+//   effectRefs:                fields naming a status effect
+//   update(game, d, dt, cfg):  every PLAYING tick; spends d.durability
+//
+// Damage they deal is credited to their owner as
+// { kind: "deployable", deployable: <kind>, ownerId }.
+
+const DEPLOYABLE_NUMBERS = ["radius", "durability", "maxActive"];
+
+const DEPLOYABLE_BEHAVIOURS = {
+  // Shoots the nearest monster within `range` every `cooldown` seconds.
+  // Durability = shots.
+  turret: {
+    numbers: ["range", "cooldown", "damage", "bulletSpeed", "lifetime"],
+    update(game, d, dt, cfg) {
+      d.timer = Math.max(0, d.timer - dt);
+      if (d.timer > 0) return;
+      const target = game.nearestMonster(d.side, d);
+      if (!target || Math.hypot(target.x - d.x, target.y - d.y) > cfg.range) return;
+      d.aim = Math.atan2(target.y - d.y, target.x - d.x);
+      game.spawnDeployableBullet(d, d.aim, cfg);
+      d.timer = cfg.cooldown;
+      d.durability -= 1;
+    },
+  },
+
+  // Hurts every monster that steps on it, once per monster. Durability = hits.
+  spikes: {
+    numbers: ["damage"],
+    update(game, d, dt, cfg) {
+      for (const m of game.monsters) {
+        if (d.durability <= 0) return;
+        if (!m.isAlive || m.side !== d.side || d.hitIds.has(m.id)) continue;
+        if (Math.hypot(m.x - d.x, m.y - d.y) > cfg.radius + m.radius) continue;
+        d.hitIds.add(m.id);
+        d.durability -= 1;
+        game.damageMonster(m, cfg.damage, { kind: "deployable", deployable: d.kind, ownerId: d.ownerId });
+      }
+    },
+  },
+
+  // Puts status effect `effect` on monsters wading through it. Durability =
+  // seconds it lasts.
+  puddle: {
+    numbers: [],
+    effectRefs: ["effect"],
+    update(game, d, dt, cfg) {
+      d.durability -= dt;
+      for (const m of game.monsters) {
+        if (!m.isAlive || m.side !== d.side || m.effects.has(cfg.effect)) continue;
+        if (Math.hypot(m.x - d.x, m.y - d.y) > cfg.radius + m.radius) continue;
+        game.applyEffect(m, cfg.effect, { sourceId: d.ownerId });
+      }
+    },
+  },
+};
+
+// Problems with balance `b`'s deployables (see balance.js balanceErrors).
+function deployableErrors(b) {
+  const errors = [];
+  const isNumber = v => typeof v === "number" && Number.isFinite(v);
+  const effects = b.statusEffects || {};
+  for (const [kind, cfg] of Object.entries(b.deployables || {})) {
+    const where = `deployables.${kind}`;
+    if (!cfg || typeof cfg !== "object") {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    const behaviour = DEPLOYABLE_BEHAVIOURS[cfg.behaviour];
+    if (!behaviour) {
+      errors.push(`${where}.behaviour "${cfg.behaviour}" is not a known deployable behaviour`);
+      continue;
+    }
+    for (const key of [...DEPLOYABLE_NUMBERS, ...behaviour.numbers]) {
+      if (!isNumber(cfg[key])) errors.push(`${where}.${key} must be a number`);
+    }
+    for (const key of behaviour.effectRefs || []) {
+      if (!Object.hasOwn(effects, cfg[key])) errors.push(`${where}.${key} must name a status effect`);
+    }
+  }
+  for (const item of Array.isArray(b.shop) ? b.shop : []) {
+    const id = item && typeof item.id === "string" ? item.id : "";
+    if (id.startsWith("deploy:") && !Object.hasOwn(b.deployables || {}, id.slice("deploy:".length))) {
+      errors.push(`shop item "${id}" deploys an unknown deployable`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { DEPLOYABLE_BEHAVIOURS, deployableErrors };
@@ -0,0 +1,198 @@
+// src/game/effects.js
+//
+// Status effects: timed buffs and debuffs that players and monsters carry
+// (Player.effects / Monster.effects). Every effect is an entry in
+// balance.statusEffects:
+//
+//   "burn": { "label": "Burning", "duration": 3, "stacking": "refresh",
+//             "dps": 5 }
+//
+//   duration:   seconds it lasts (whoever applies it may pass another)
+//   stacking:   what applying it again while it's active does:
+//                 refresh: timer back to the longer of the two
+//                 extend:  adds the new duration on top, up to maxDuration
+//                 stack:   one more stack (up to maxStacks) and refresh;
+//                          dps and absorb count once per stack
+//   dps:        damage per second, dealt every EFFECT_TICK seconds
+//   absorb:     damage soaked before hp; the effect ends once it's used up
+//   stun:       true = can't move, attack or dash
+//   modifiers:  multipliers on the carrier's stats (see MODIFIERS); every
+//               active effect's multiplier counts once
+//
+// GameCore.applyEffect is the way in: weapons (hitEffect / hitEffectChance),
+// grenades (grenade.effect), green potions (drops.greenPotionEffect) and shop
+// items (`buff:<effect>` on the buyer, `curse:<effect>` on the opponent,
+// `team:<effect>` on the whole co-op team) all go through it. Monster entries
+// can list effects they're `immune` to.
+
+const STACKING_RULES = ["refresh", "extend", "stack"];
+const MODIFIERS = ["speedMult", "damageMult", "attackSpeedMult"];
+// Damage over time lands in chunks this far apart (fewer hit events).
+const EFFECT_TICK = 0.5;
+
+class StatusEffects {
+  constructor(balance) {
+    this.balance = balance;
+    // { type, timer, stacks, absorb, tickTimer, sourceId }, in the order applied
+    this.active = [];
+  }
+
+  config(type) {
+    const effects = this.balance.statusEffects;
+    return Object.hasOwn(effects, type) ? effects[type] : null;
+  }
+
+  get(type) {
+    return this.active.find(e => e.type === type) || null;
+  }
+
+  has(type) {
+    return this.get(type) !== null;
+  }
+
+  // Applies (or re-applies) an effect. `sourceId` is the player credited with
+  // its damage, if any. Returns false for unknown effects.
+  apply(type, { duration = null, sourceId = null } = {}) {
+    const cfg = this.config(type);
+    if (!cfg) return false;
+    const seconds = duration !== null ? duration : cfg.duration;
+    const absorb = cfg.absorb || 0;
+
+    const current = this.get(type);
+    if (!current) {
+      this.active.push({ type, timer: seconds, stacks: 1, absorb, tickTimer: EFFECT_TICK, sourceId });
+      return true;
+    }
+
+    current.sourceId = sourceId;
+    if (cfg.stacking === "stack") {
+      current.stacks = Math.min(cfg.maxStacks || 1, current.stacks + 1);
+      current.timer = Math.max(current.timer, seconds);
+      current.absorb = Math.min(absorb * current.stacks, current.absorb + absorb);
+    } else if (cfg.stacking === "extend") {
+      current.timer = Math.min(cfg.maxDuration || Infinity, current.timer + seconds);
+      current.absorb = Math.max(current.absorb, absorb);
+    } else {
+      current.timer = Math.max(current.timer, seconds);
+      current.absorb = Math.max(current.absorb, absorb);
+    }
+    return true;
+  }
+
+  remove(type) {
+    this.active = this.active.filter(e => e.type !== type);
+  }
+
+  clear() {
+    this.active = [];
+  }
+
+  // Runs the clocks. Returns the damage-over-time due this tick as
+  // [{ type, damage, sourceId }] for GameCore to deal.
+  update(dt) {
+    const ticks = [];
+    for (const e of this.active) {
+      const cfg = this.config(e.type);
+      const elapsed = Math.min(dt, e.timer);
+      e.timer -= dt;
+      if (!cfg || !cfg.dps) continue;
+      e.tickTimer -= elapsed;
+      while (e.tickTimer <= 0) {
+        e.tickTimer += EFFECT_TICK;
+        ticks.push({ type: e.type, damage: cfg.dps * e.stacks * EFFECT_TICK, sourceId: e.sourceId });
+      }
+    }
+    this.active = this.active.filter(e => e.timer > 0);
+    return ticks;
+  }
+
+  // Product of every active effect's `name` modifier (1 = unchanged).
+  mult(name) {
+    let mult = 1;
+    for (const e of this.active) {
+      const cfg = this.config(e.type);
+      const modifiers = (cfg && cfg.modifiers) || {};
+      if (typeof modifiers[name] === "number") mult *= modifiers[name];
+    }
+    return mult;
+  }
+
+  get stunned() {
+    return this.active.some(e => {
+      const cfg = this.config(e.type);
+      return Boolean(cfg && cfg.stun);
+    });
+  }
+
+  // Lets absorbing effects (shield) soak `amount`; returns what's left for hp.
+  absorbDamage(amount) {
+    for (const e of this.active) {
+      if (amount <= 0) break;
+      if (e.absorb <= 0) continue;
+      const soaked = Math.min(e.absorb, amount);
+      e.absorb -= soaked;
+      amount -= soaked;
+      if (e.absorb <= 0) e.timer = 0;
+    }
+    this.active = this.active.filter(e => e.timer > 0);
+    return amount;
+  }
+
+  types() {
+    return this.active.map(e => e.type);
+  }
+
+  export() {
+    return this.active.map(e => ({ type: e.type, timer: e.timer, stacks: e.stacks, absorb: e.absorb }));
+  }
+}
+
+// Problems with balance `b`'s statusEffects and the places that name an
+// effect (see balance.js balanceErrors).
+function statusEffectErrors(b) {
+  const errors = [];
+  const isNumber = v => typeof v === "number" && Number.isFinite(v);
+  const effects = b.statusEffects;
+  if (!effects || typeof effects !== "object") return ['missing section "statusEffects"'];
+
+  for (const [id, cfg] of Object.entries(effects)) {
+    const where = `statusEffects.${id}`;
+    if (!cfg || typeof cfg !== "object") {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (!isNumber(cfg.duration)) errors.push(`${where}.duration must be a number`);
+    if (!STACKING_RULES.includes(cfg.stacking)) {
+      errors.push(`${where}.stacking must be one of ${STACKING_RULES.join(", ")}`);
+    }
+    for (const key of ["dps", "absorb", "maxStacks", "maxDuration"]) {
+      if (cfg[key] !== undefined && !isNumber(cfg[key])) errors.push(`${where}.${key} must be a number`);
+    }
+    for (const [name, value] of Object.entries(cfg.modifiers || {})) {
+      if (!MODIFIERS.includes(name)) errors.push(`${where}.modifiers.${name} is not a known modifier`);
+      else if (!isNumber(value)) errors.push(`${where}.modifiers.${name} must be a number`);
+    }
+  }
+
+  const known = id => typeof id === "string" && Object.hasOwn(effects, id);
+  const check = (where, id) => {
+    if (id !== undefined && !known(id)) errors.push(`${where} "${id}" is not a status effect`);
+  };
+  for (const [id, w] of Object.entries(b.weapons || {})) check(`weapons.${id}.hitEffect`, w && w.hitEffect);
+  check("grenade.effect", b.grenade && b.grenade.effect);
+  check("drops.greenPotionEffect", b.drops && b.drops.greenPotionEffect);
+  const monsters = b.monsters || {};
+  const entries = [...Object.entries(monsters.types || {}).map(([id, t]) => [`monsters.types.${id}`, t]), ["monsters.boss", monsters.boss]];
+  for (const [where, t] of entries) {
+    if (!t || t.immune === undefined) continue;
+    if (!Array.isArray(t.immune)) errors.push(`${where}.immune must be an array`);
+    else for (const id of t.immune) check(`${where}.immune`, id);
+  }
+  for (const item of Array.isArray(b.shop) ? b.shop : []) {
+    const id = item && typeof item.id === "string" ? item.id : "";
+    if (["buff:", "curse:", "team:"].some(prefix => id.startsWith(prefix))) check(`shop item "${id}" applies`, id.slice(id.indexOf(":") + 1));
+  }
+  return errors;
+}
+
+module.exports = { StatusEffects, STACKING_RULES, MODIFIERS, EFFECT_TICK, statusEffectErrors };
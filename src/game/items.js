@@ -0,0 +1,58 @@
+// src/game/items.js
+//
+// Passive items: things a player buys in the shop (`item:<id>`) and keeps for
+// the rest of the match. Every item is an entry in balance.items:
+//
+//   "armor": { "label": "Armor", "hint": "-15% contact damage", "cost": 12,
+//              "maxStacks": 3, "stats": { "contactArmor": 0.15 } }
+//
+// A player can own up to `maxStacks` of each; `stats` count once per copy
+// owned and add up across items. The stats (Player.itemStat):
+//   maxHp:         extra max hp (buying it heals by the same amount)
+//   contactArmor:  fraction taken off monster contact damage (capped at
+//                  MAX_CONTACT_ARMOR)
+//   lifesteal:     fraction of weapon damage dealt that heals you
+//   pickupRadius:  added to balance.player.pickupRadius
+//   thornsDps:     damage per second to monsters within
+//                  balance.player.thornsRadius of you
+
+const ITEM_STATS = ["maxHp", "contactArmor", "lifesteal", "pickupRadius", "thornsDps"];
+const MAX_CONTACT_ARMOR = 0.8;
+
+function itemConfig(balance, id) {
+  const items = balance.items || {};
+  return Object.hasOwn(items, id) ? items[id] : null;
+}
+
+// Sum of `stat` over everything in `owned` ({ itemId: count }).
+function itemStat(balance, owned, stat) {
+  let total = 0;
+  for (const [id, count] of Object.entries(owned)) {
+    const item = itemConfig(balance, id);
+    const value = item && item.stats ? item.stats[stat] : undefined;
+    if (typeof value === "number") total += value * count;
+  }
+  return total;
+}
+
+// Problems with balance `b`'s items (see balance.js balanceErrors).
+function itemErrors(b) {
+  const errors = [];
+  const isNumber = v => typeof v === "number" && Number.isFinite(v);
+  for (const [id, item] of Object.entries(b.items || {})) {
+    const where = `items.${id}`;
+    if (!item || typeof item !== "object") {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (!isNumber(item.cost)) errors.push(`${where}.cost must be a number`);
+    if (!isNumber(item.maxStacks) || item.maxStacks < 1) errors.push(`${where}.maxStacks must be a number of at least 1`);
+    for (const [stat, value] of Object.entries(item.stats || {})) {
+      if (!ITEM_STATS.includes(stat)) errors.push(`${where}.stats.${stat} is not an item stat`);
+      else if (!isNumber(value)) errors.push(`${where}.stats.${stat} must be a number`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { ITEM_STATS, MAX_CONTACT_ARMOR, itemConfig, itemStat, itemErrors };
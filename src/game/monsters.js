@@ -0,0 +1,328 @@
+// src/game/monsters.js
+//
+// Monster behaviours: how each monster type moves and attacks. Every entry in
+// balance.monsters.types names its behaviour (default "chase") and carries its
+// numbers; adding a monster means a balance entry, a behaviour here if none of
+// the existing ones fit, a `send:<type>` shop item if players may send it, and
+// a sprite / colour in public/client.js. Bosses use balance.monsters.boss and
+// the "boss" behaviour below.
+//
+// A behaviour is an object with:
+//   numbers:                        extra numeric fields its balance entry needs
+//   typeRefs:                       fields naming another monster type
+//   init(game, m, cfg):             optional, once when the monster spawns
+//   update(game, m, dt, cfg, target):
+//                                   every PLAYING tick; target is the nearest
+//                                   targetable player on m's half (or null).
+//                                   Moves m (GameCore clamps it to its half
+//                                   afterwards) and does any attacks.
+//   onDeath(game, m, cfg, source):  optional, after m dies (source as in
+//                                   GameCore.damageMonster)
+//   blocks(m, b, cfg):              optional, true when m shrugs off player
+//                                   projectile b without taking damage
+//   errors(cfg, where, typeIds):    optional, problems with the parts of its
+//                                   balance entry that aren't plain numbers
+//
+// m.mode is a short behaviour state ("windup", "dash", ...) exported to the
+// client for telegraphs; m.facingX / m.facingY is the way m is looking.
+//
+// Behaviours may use game.rng; monsters update in array order every tick, so
+// matches stay deterministic.
+
+const DEFAULT_MONSTER_BEHAVIOUR = "chase";
+
+function faceTowards(m, x, y) {
+  const dx = x - m.x;
+  const dy = y - m.y;
+  const d = Math.hypot(dx, dy);
+  if (d > 0.0001) {
+    m.facingX = dx / d;
+    m.facingY = dy / d;
+  }
+  return d;
+}
+
+// Walk at `speed` towards (x, y), stopping `stopAt` short of it.
+function walkTowards(m, x, y, dt, speed = m.speed, stopAt = 0) {
+  const d = faceTowards(m, x, y);
+  if (d <= stopAt) return;
+  const step = Math.min(speed * dt, d - stopAt);
+  m.x += m.facingX * step;
+  m.y += m.facingY * step;
+}
+
+// -------------------------------------------------
+// Boss attack patterns
+// -------------------------------------------------
+// Each boss phase lists attacks: { pattern, cooldown, count, ... }. The
+// pattern fires `count` things every `cooldown` seconds:
+//   radial:  projectiles evenly around the boss, rotated by `turn` radians
+//            each burst so there's always a gap to find
+//   aimed:   projectiles at the target, fanned over `spread` radians
+//   summon:  adds of `monsterType` around the boss (waves.maxMonsters caps)
+const BOSS_PATTERNS = {
+  radial: {
+    numbers: ["turn"],
+    fire(game, m, attack, cfg) {
+      m.patternAngle += attack.turn;
+      for (let i = 0; i < attack.count; i++) {
+        game.spawnEnemyBullet(m, m.patternAngle + (Math.PI * 2 * i) / attack.count, cfg, "boss");
+      }
+    },
+  },
+  aimed: {
+    numbers: ["spread"],
+    fire(game, m, attack, cfg, target) {
+      if (!target) return;
+      const angle = Math.atan2(target.y - m.y, target.x - m.x);
+      for (let i = 0; i < attack.count; i++) {
+        const t = attack.count > 1 ? i / (attack.count - 1) - 0.5 : 0;
+        game.spawnEnemyBullet(m, angle + t * attack.spread, cfg, "boss");
+      }
+    },
+  },
+  summon: {
+    numbers: [],
+    typeRefs: ["monsterType"],
+    fire(game, m, attack) {
+      for (let i = 0; i < attack.count; i++) {
+        const angle = m.patternAngle + (Math.PI * 2 * i) / attack.count;
+        const x = m.x + Math.cos(angle) * (m.radius + 20);
+        const y = m.y + Math.sin(angle) * (m.radius + 20);
+        game.spawnChildMonster(m, attack.monsterType, x, y);
+      }
+    },
+  },
+};
+
+// The index of the phase a boss at `hpFraction` should be in: the last one
+// whose hpBelow it has dropped to.
+function bossPhaseFor(phases, hpFraction) {
+  let phase = 0;
+  for (let i = 1; i < phases.length; i++) {
+    if (hpFraction <= phases[i].hpBelow) phase = i;
+  }
+  return phase;
+}
+
+function startBossPhase(m, index, phase) {
+  m.phase = index;
+  m.attackTimers = phase.attacks.map(a => a.cooldown / 2);
+}
+
+const MONSTER_BEHAVIOURS = {
+  // Walk straight at the nearest player.
+  chase: {
+    numbers: [],
+    update(game, m, dt, cfg, target) {
+      if (target) walkTowards(m, target.x, target.y, dt);
+    },
+  },
+
+  // Chase, and spit a blob at the player when within `range`.
+  ranged: {
+    numbers: ["range", "cooldown", "cooldownJitter", "projectileSpeed", "projectileDamage", "projectileLifetime"],
+    init(game, m) {
+      m.shotTimer = game.rng.range(0.4, 1.0);
+    },
+    update(game, m, dt, cfg, target) {
+      if (!target) return;
+      walkTowards(m, target.x, target.y, dt);
+      m.shotTimer -= dt;
+      const dist = Math.hypot(target.x - m.x, target.y - m.y);
+      if (dist <= cfg.range && m.shotTimer <= 0) {
+        game.spawnEnemyBullet(m, Math.atan2(target.y - m.y, target.x - m.x), cfg);
+        m.shotTimer = cfg.cooldown + game.rng.next() * cfg.cooldownJitter;
+      }
+    },
+  },
+
+  // Walks up to `chargeRange`, stands still for `windupTime` (telegraph),
+  // then dashes along the locked direction at `dashSpeed` for `dashTime`.
+  charger: {
+    numbers: ["chargeRange", "windupTime", "dashSpeed", "dashTime", "chargeCooldown"],
+    init(game, m) {
+      m.mode = "chase";
+      m.modeTimer = 0;
+      m.chargeCooldown = 0;
+    },
+    update(game, m, dt, cfg, target) {
+      m.chargeCooldown = Math.max(0, m.chargeCooldown - dt);
+      if (m.mode === "windup") {
+        m.modeTimer -= dt;
+        if (m.modeTimer <= 0) {
+          m.mode = "dash";
+          m.modeTimer = cfg.dashTime;
+        }
+        return;
+      }
+      if (m.mode === "dash") {
+        m.x += m.facingX * cfg.dashSpeed * dt;
+        m.y += m.facingY * cfg.dashSpeed * dt;
+        m.modeTimer -= dt;
+        if (m.modeTimer <= 0) {
+          m.mode = "chase";
+          m.chargeCooldown = cfg.chargeCooldown;
+        }
+        return;
+      }
+      if (!target) return;
+      const dist = Math.hypot(target.x - m.x, target.y - m.y);
+      if (dist <= cfg.chargeRange && m.chargeCooldown <= 0) {
+        faceTowards(m, target.x, target.y);
+        m.mode = "windup";
+        m.modeTimer = cfg.windupTime;
+        return;
+      }
+      walkTowards(m, target.x, target.y, dt);
+    },
+  },
+
+  // Chases; when killed (not when it spends itself on contact) it bursts into
+  // `splitCount` monsters of `childType`. Those never split again.
+  splitter: {
+    numbers: ["splitCount"],
+    typeRefs: ["childType"],
+    update(game, m, dt, cfg, target) {
+      if (target) walkTowards(m, target.x, target.y, dt);
+    },
+    onDeath(game, m, cfg, source) {
+      if (source.kind === "contact" || m.parentId !== null) return;
+      const count = Math.round(cfg.splitCount);
+      for (let i = 0; i < count; i++) {
+        const angle = (Math.PI * 2 * i) / count;
+        game.spawnChildMonster(m, cfg.childType, m.x + Math.cos(angle) * m.radius, m.y + Math.sin(angle) * m.radius);
+      }
+    },
+  },
+
+  // Hangs back `keepDistance` from the player and every `healCooldown`
+  // seconds restores `healFraction` of max hp to the other monsters within
+  // `healRadius`. Bosses are left alone, or a healer or two would make them
+  // unkillable.
+  healer: {
+    numbers: ["keepDistance", "healRadius", "healFraction", "healCooldown"],
+    init(game, m, cfg) {
+      m.healTimer = cfg.healCooldown;
+    },
+    update(game, m, dt, cfg, target) {
+      if (target) walkTowards(m, target.x, target.y, dt, m.speed, cfg.keepDistance);
+      m.healTimer -= dt;
+      if (m.healTimer > 0) return;
+      m.healTimer = cfg.healCooldown;
+
+      const healed = [];
+      for (const other of game.monsters) {
+        if (other === m || !other.isAlive || other.side !== m.side) continue;
+        if (other.hp >= other.maxHp || game.monsterConfig(other.type).behaviour === "boss") continue;
+        if (Math.hypot(other.x - m.x, other.y - m.y) > cfg.healRadius) continue;
+        other.hp = Math.min(other.maxHp, other.hp + other.maxHp * cfg.healFraction);
+        healed.push(other.id);
+      }
+      if (healed.length > 0) {
+        game.emit("monsters_healed", { monsterId: m.id, side: m.side, x: m.x, y: m.y, radius: cfg.healRadius, healed });
+      }
+    },
+  },
+
+  // Chases behind a shield: projectiles coming from within `shieldArc`
+  // radians of where it faces are blocked. Flank it, or blow it up.
+  shielded: {
+    numbers: ["shieldArc"],
+    update(game, m, dt, cfg, target) {
+      if (target) walkTowards(m, target.x, target.y, dt);
+    },
+    blocks(m, b, cfg) {
+      // Which way the projectile is relative to m (a spear thrust sits at
+      // the spear's base, i.e. the player).
+      const dx = b.x - m.x;
+      const dy = b.y - m.y;
+      const d = Math.hypot(dx, dy);
+      if (d < 0.0001) return false;
+      const cos = (dx * m.facingX + dy * m.facingY) / d;
+      return cos >= Math.cos(cfg.shieldArc / 2);
+    },
+  },
+
+  // Scripted fights in phases keyed on hp (see balance.monsters.boss). Each
+  // phase walks at `speedMult` x speed and runs its own attacks; dropping
+  // into the next phase freezes the boss for `phaseTransitionTime` seconds
+  // (mode "transition", the client's telegraph) before it starts. Touching a
+  // player hurts without killing the boss (contactDamage / contactCooldown).
+  boss: {
+    numbers: ["phaseTransitionTime", "projectileSpeed", "projectileDamage", "projectileLifetime", "contactDamage", "contactCooldown"],
+    init(game, m, cfg) {
+      m.patternAngle = 0;
+      startBossPhase(m, 0, cfg.phases[0]);
+    },
+    update(game, m, dt, cfg, target) {
+      const next = bossPhaseFor(cfg.phases, m.hp / m.maxHp);
+      if (next > m.phase) {
+        startBossPhase(m, next, cfg.phases[next]);
+        m.mode = "transition";
+        m.modeTimer = cfg.phaseTransitionTime;
+        game.emit("boss_phase", { monsterId: m.id, monsterType: m.type, side: m.side, phase: next, x: m.x, y: m.y });
+      }
+      if (m.mode === "transition") {
+        m.modeTimer -= dt;
+        if (m.modeTimer <= 0) m.mode = null;
+        return;
+      }
+
+      const phase = cfg.phases[m.phase];
+      if (target) walkTowards(m, target.x, target.y, dt, m.speed * phase.speedMult);
+      phase.attacks.forEach((attack, i) => {
+        m.attackTimers[i] -= dt;
+        if (m.attackTimers[i] > 0) return;
+        m.attackTimers[i] = attack.cooldown;
+        BOSS_PATTERNS[attack.pattern].fire(game, m, attack, cfg, target);
+      });
+    },
+    errors(cfg, where, typeIds) {
+      const errors = [];
+      const isNumber = v => typeof v === "number" && Number.isFinite(v);
+      if (!Array.isArray(cfg.phases) || cfg.phases.length === 0) {
+        return [`${where}.phases must be a non-empty array`];
+      }
+      cfg.phases.forEach((phase, i) => {
+        const at = `${where}.phases[${i}]`;
+        if (!phase || typeof phase !== "object") {
+          errors.push(`${at} must be an object`);
+          return;
+        }
+        for (const key of ["hpBelow", "speedMult"]) {
+          if (!isNumber(phase[key])) errors.push(`${at}.${key} must be a number`);
+        }
+        if (i > 0 && isNumber(phase.hpBelow) && !(phase.hpBelow < (cfg.phases[i - 1] || {}).hpBelow)) {
+          errors.push(`${at}.hpBelow must be lower than the phase before it`);
+        }
+        if (!Array.isArray(phase.attacks)) {
+          errors.push(`${at}.attacks must be an array`);
+          return;
+        }
+        phase.attacks.forEach((attack, j) => {
+          const atk = `${at}.attacks[${j}]`;
+          const pattern = attack && BOSS_PATTERNS[attack.pattern];
+          if (!pattern) {
+            errors.push(`${atk}.pattern "${attack && attack.pattern}" is not a known boss attack`);
+            return;
+          }
+          for (const key of ["cooldown", "count", ...pattern.numbers]) {
+            if (!isNumber(attack[key])) errors.push(`${atk}.${key} must be a number`);
+          }
+          if (isNumber(attack.cooldown) && attack.cooldown <= 0) errors.push(`${atk}.cooldown must be above 0`);
+          for (const key of pattern.typeRefs || []) {
+            if (!typeIds.includes(attack[key])) errors.push(`${atk}.${key} must name a monster type`);
+          }
+        });
+      });
+      return errors;
+    },
+  },
+};
+
+function monsterBehaviour(name) {
+  return MONSTER_BEHAVIOURS[name] || MONSTER_BEHAVIOURS[DEFAULT_MONSTER_BEHAVIOUR];
+}
+
+module.exports = { MONSTER_BEHAVIOURS, DEFAULT_MONSTER_BEHAVIOUR, BOSS_PATTERNS, monsterBehaviour };
@@ -0,0 +1,47 @@
+// src/game/rng.js
+//
+// Seedable PRNG for the simulation. GameCore routes ALL randomness through one
+// of these, so two cores with the same seed and the same inputs produce the
+// same match (tests, replays, balance runs).
+
+// mulberry32: tiny, fast, good enough for gameplay (not for crypto).
+class Rng {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Float in [0, 1).
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [a, b).
+  range(a, b) {
+    return a + this.next() * (b - a);
+  }
+
+  // Integer in [min, max] (inclusive).
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  // true with probability p.
+  chance(p) {
+    return this.next() < p;
+  }
+
+  pick(arr) {
+    return arr[Math.floor(this.next() * arr.length)];
+  }
+}
+
+// Fresh seed for matches that don't ask for a specific one.
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+module.exports = { Rng, randomSeed };
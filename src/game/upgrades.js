@@ -0,0 +1,106 @@
+// src/game/upgrades.js
+//
+// Weapon upgrade trees. Every weapon can have a tree of named nodes in
+// balance.weaponUpgrades.trees.<weapon>, keyed by node id:
+//
+//   "sharpen": { "label": "Sharpened", "hint": "+30% damage", "cost": 10,
+//                "effects": { "damage": 0.3 } },
+//   "serrated": { "label": "...", "cost": 14, "requires": "sharpen", ... }
+//
+// A node without `requires` is a root. A node can be bought once its parent
+// is owned, and picking it locks its siblings (same parent) for the rest of
+// the match - that's the branching. Players buy nodes in the shop with the
+// `upgrade:<nodeId>` action; the nodes they took, in order, are their path.
+//
+// Effects stack along the path:
+//   damage, bulletSpeed:  fraction of the weapon's base value (+0.3 = +30%)
+//   cooldown:             multiplier (floored at weaponUpgrades.minCooldown)
+//   anything else:        added to the stat - weapon numbers (pierce, count,
+//                         reach, chargeTime, ...) or one of:
+//   critChance:           chance a projectile deals weaponUpgrades.critMult x
+//   split:                shards a projectile bursts into on its first hit
+//   hitEffectChance:      chance a hit applies the weapon's hitEffect
+//                         (a status effect, see effects.js)
+
+const PERCENT_EFFECTS = ["damage", "bulletSpeed"];
+const MULT_EFFECTS = ["cooldown"];
+// Stats every weapon starts at 0 for; only upgrades raise them.
+const EXTRA_STATS = { critChance: 0, split: 0, hitEffectChance: 0 };
+
+function upgradeTree(balance, weaponType) {
+  return (balance.weaponUpgrades.trees && balance.weaponUpgrades.trees[weaponType]) || {};
+}
+
+function upgradeNode(balance, weaponType, nodeId) {
+  const tree = upgradeTree(balance, weaponType);
+  return Object.hasOwn(tree, nodeId) ? { id: nodeId, ...tree[nodeId] } : null;
+}
+
+// Nodes that can be bought next after `path` (ignoring gold).
+function availableUpgrades(balance, weaponType, path) {
+  const owned = new Set(path);
+  const takenParents = new Set(path.map(id => {
+    const node = upgradeNode(balance, weaponType, id);
+    return (node && node.requires) || null;
+  }));
+  return Object.entries(upgradeTree(balance, weaponType))
+    .filter(([id, node]) => {
+      const parent = node.requires || null;
+      return !owned.has(id) && (parent === null || owned.has(parent)) && !takenParents.has(parent);
+    })
+    .map(([id, node]) => ({ id, ...node }));
+}
+
+// The weapon's config with every node on `path` applied.
+function weaponStats(balance, weaponType, path) {
+  const base = balance.weapons[weaponType];
+  const stats = { ...EXTRA_STATS, ...base };
+  let cooldownMult = 1;
+  const percent = { damage: 0, bulletSpeed: 0 };
+
+  for (const id of path) {
+    const node = upgradeNode(balance, weaponType, id);
+    for (const [stat, value] of Object.entries((node && node.effects) || {})) {
+      if (PERCENT_EFFECTS.includes(stat)) percent[stat] += value;
+      else if (MULT_EFFECTS.includes(stat)) cooldownMult *= value;
+      else stats[stat] = (stats[stat] || 0) + value;
+    }
+  }
+
+  stats.damage = base.damage * (1 + percent.damage);
+  stats.bulletSpeed = base.bulletSpeed * (1 + percent.bulletSpeed);
+  stats.cooldown = Math.max(balance.weaponUpgrades.minCooldown, base.cooldown * cooldownMult);
+  return stats;
+}
+
+// Problems with the trees in balance `b` (see balance.js balanceErrors).
+// `statsFor(weaponType)` lists the numeric stats effects may touch.
+function upgradeTreeErrors(b, statsFor) {
+  const errors = [];
+  const trees = (b.weaponUpgrades && b.weaponUpgrades.trees) || {};
+  for (const [weaponType, tree] of Object.entries(trees)) {
+    if (!b.weapons || !Object.hasOwn(b.weapons, weaponType)) {
+      errors.push(`weaponUpgrades.trees.${weaponType} is not a weapon`);
+      continue;
+    }
+    const known = [...statsFor(weaponType), ...Object.keys(EXTRA_STATS)];
+    for (const [id, node] of Object.entries(tree || {})) {
+      const where = `weaponUpgrades.trees.${weaponType}.${id}`;
+      if (!node || typeof node !== "object") {
+        errors.push(`${where} must be an object`);
+        continue;
+      }
+      if (typeof node.cost !== "number" || !Number.isFinite(node.cost)) errors.push(`${where}.cost must be a number`);
+      if (node.requires != null && !Object.hasOwn(tree, node.requires)) {
+        errors.push(`${where}.requires "${node.requires}" is not in the tree`);
+      }
+      for (const [stat, value] of Object.entries(node.effects || {})) {
+        if (!known.includes(stat)) errors.push(`${where}.effects.${stat} is not a weapon stat`);
+        else if (typeof value !== "number" || !Number.isFinite(value)) errors.push(`${where}.effects.${stat} must be a number`);
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = { upgradeTree, upgradeNode, availableUpgrades, weaponStats, upgradeTreeErrors };
@@ -0,0 +1,186 @@
+// src/game/weapons.js
+//
+// Weapon behaviours: how a weapon turns "the player wants to shoot" into
+// projectiles. Each weapon in balance.json names its behaviour and carries its
+// numbers; adding a weapon means a balance entry, a behaviour here if none of
+// the existing ones fit, and a sprite in public/client.js (plus, optionally,
+// an upgrade tree in balance.weaponUpgrades.trees).
+//
+// A behaviour is an object with:
+//   numbers:                       extra numeric fields its balance entry needs
+//   trigger(game, p, cfg, ctx):    every PLAYING tick for a live, present player.
+//                                  ctx = { held, target, dt }
+//                                    held:   trying to shoot (auto aim: there is
+//                                            a target; manual aim: fire is held)
+//                                    target: the auto-aim monster (null in manual)
+//                                  Fires through game.spawnBullet().
+//   move(game, b, dt, cfg):        optional custom projectile movement
+//                                  (default: straight line at b.vx / b.vy)
+//   hits(b, m, cfg):               optional custom hit test (default: the
+//                                  projectile's point is inside the monster)
+//   dps(cfg):                      rough damage per second, for bots picking a
+//                                  weapon
+//
+// Projectiles hit each monster at most once (b.hitIds); `pierce` is how many
+// extra monsters they may pass through.
+//
+// `cfg` is the player's weapon stats: the balance entry with their upgrades
+// applied (see upgrades.js).
+//
+// Behaviours only touch game.rng in trigger() (spawnBullet's crit roll counts),
+// and always in the same order for the same inputs, so matches stay
+// deterministic.
+
+const DEFAULT_BEHAVIOUR = "straight";
+
+function aimAngle(p) {
+  return Math.atan2(p.aimDy, p.aimDx);
+}
+
+function jitter(game, cfg) {
+  return (game.rng.next() - 0.5) * cfg.spread;
+}
+
+// Distance from point (px, py) to the segment a -> b.
+function distanceToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+}
+
+// Bow: lets go once the draw is done (auto aim) or when fire is released
+// (manual aim). Damage and speed scale with how far it was drawn.
+function releaseCharged(game, p, cfg) {
+  const power = Math.max(cfg.minCharge, p.weaponCharge);
+  p.weaponCharge = 0;
+  p.startWeaponCooldown();
+  game.spawnBullet(p, {
+    angle: aimAngle(p) + jitter(game, cfg) * (1.5 - power),
+    damage: p.shotDamage() * power,
+    speed: p.bulletSpeed * (0.6 + 0.4 * power),
+  });
+}
+
+const WEAPON_BEHAVIOURS = {
+  // One projectile in a straight line.
+  straight: {
+    numbers: [],
+    trigger(game, p, cfg, { held }) {
+      if (!held || !p.canShoot()) return;
+      p.startWeaponCooldown();
+      game.spawnBullet(p, { angle: aimAngle(p) + jitter(game, cfg) });
+    },
+    dps: cfg => cfg.damage / cfg.cooldown,
+  },
+
+  // `count` projectiles spread evenly over `fanAngle` radians.
+  fan: {
+    numbers: ["count", "fanAngle"],
+    trigger(game, p, cfg, { held }) {
+      if (!held || !p.canShoot()) return;
+      p.startWeaponCooldown();
+      const base = aimAngle(p) + jitter(game, cfg);
+      const count = Math.max(1, Math.round(cfg.count));
+      for (let i = 0; i < count; i++) {
+        const offset = count === 1 ? 0 : (i / (count - 1) - 0.5) * cfg.fanAngle;
+        game.spawnBullet(p, { angle: base + offset });
+      }
+    },
+    // Only the middle of the fan reliably connects.
+    dps: cfg => (cfg.damage * (1 + (cfg.count - 1) * 0.5)) / cfg.cooldown,
+  },
+
+  // Flies out for `returnAfter` seconds, then homes back to its thrower and is
+  // caught. Can hit every monster once on the way out and once on the way back.
+  boomerang: {
+    numbers: ["returnAfter"],
+    trigger(game, p, cfg, ctx) {
+      WEAPON_BEHAVIOURS.straight.trigger(game, p, cfg, ctx);
+    },
+    move(game, b, dt, cfg) {
+      if (!b.returning && b.age >= cfg.returnAfter) {
+        b.returning = true;
+        b.hitIds.clear();
+      }
+      if (b.returning) {
+        const owner = game.getPlayer(b.ownerId);
+        if (!owner) {
+          b.lifetime = 0;
+          return;
+        }
+        const dx = owner.x - b.x;
+        const dy = owner.y - b.y;
+        const d = Math.hypot(dx, dy);
+        const speed = Math.hypot(b.vx, b.vy);
+        if (d <= Math.max(20, speed * dt)) {
+          b.lifetime = 0; // caught
+          return;
+        }
+        b.vx = (dx / d) * speed;
+        b.vy = (dy / d) * speed;
+      }
+      b.x += b.vx * dt;
+      b.y += b.vy * dt;
+    },
+    dps: cfg => (cfg.damage * 1.6) / cfg.cooldown,
+  },
+
+  // Melee stab: a line `reach` long and `width` wide in front of the player,
+  // held for `thrustTime` seconds. Auto aim only stabs when the target is in
+  // reach. The projectile rides along with the player; its velocity only
+  // carries the direction.
+  thrust: {
+    numbers: ["reach", "width", "thrustTime"],
+    trigger(game, p, cfg, { held, target }) {
+      if (!held || !p.canShoot()) return;
+      if (target && Math.hypot(target.x - p.x, target.y - p.y) > cfg.reach + target.radius) return;
+      p.startWeaponCooldown();
+      const b = game.spawnBullet(p, { angle: aimAngle(p), offset: 10, lifetime: cfg.thrustTime });
+      b.length = cfg.reach;
+    },
+    move(game, b) {
+      const owner = game.getPlayer(b.ownerId);
+      if (!owner) return;
+      const speed = Math.hypot(b.vx, b.vy) || 1;
+      b.x = owner.x + (b.vx / speed) * 10;
+      b.y = owner.y + (b.vy / speed) * 10;
+    },
+    hits(b, m, cfg) {
+      const speed = Math.hypot(b.vx, b.vy) || 1;
+      const tipX = b.x + (b.vx / speed) * b.length;
+      const tipY = b.y + (b.vy / speed) * b.length;
+      return distanceToSegment(m.x, m.y, b.x, b.y, tipX, tipY) <= m.radius + cfg.width / 2;
+    },
+    // Has to walk up to things first.
+    dps: cfg => (cfg.damage / cfg.cooldown) * 0.7,
+  },
+
+  // Draws for `chargeTime` seconds (shortened by attack speed effects like
+  // the cooldown is), see releaseCharged().
+  charge: {
+    numbers: ["chargeTime", "minCharge"],
+    trigger(game, p, cfg, { held, dt }) {
+      if (!p.canShoot()) return;
+      if (held) {
+        const chargeTime = Math.max(0.05, cfg.chargeTime) / p.attackSpeedMult;
+        p.weaponCharge = Math.min(1, p.weaponCharge + dt / chargeTime);
+        if (game.aimMode !== "manual" && p.weaponCharge >= 1) releaseCharged(game, p, cfg);
+      } else if (p.weaponCharge > 0 && game.aimMode === "manual") {
+        releaseCharged(game, p, cfg);
+      }
+    },
+    dps: cfg => cfg.damage / (cfg.cooldown + cfg.chargeTime),
+  },
+};
+
+function weaponBehaviour(name) {
+  return WEAPON_BEHAVIOURS[name] || WEAPON_BEHAVIOURS[DEFAULT_BEHAVIOUR];
+}
+
+function weaponDps(cfg) {
+  return weaponBehaviour(cfg.behaviour).dps(cfg);
+}
+
+module.exports = { WEAPON_BEHAVIOURS, DEFAULT_BEHAVIOUR, weaponBehaviour, weaponDps };
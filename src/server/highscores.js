@@ -0,0 +1,49 @@
+// src/server/highscores.js
+//
+// High-score table for solo runs, kept in one small JSON file next to the
+// replays (HIGHSCORE_FILE overrides it, e.g. in tests). Best first: furthest
+// round, then score. Served read-only at GET /highscores.
+//
+// File format (JSON):
+//   [{ round, score, monstersKilled, weaponType, room, createdAt }, ...]
+
+const fs = require("fs");
+const path = require("path");
+
+const HIGHSCORE_FILE = process.env.HIGHSCORE_FILE || path.join(__dirname, "..", "..", "highscores.json");
+// Only this many runs are kept.
+const MAX_HIGHSCORES = 20;
+
+function compareScores(a, b) {
+  return b.round - a.round || b.score - a.score;
+}
+
+// The table, best first (empty if the file is missing or unreadable).
+function loadHighScores() {
+  try {
+    const list = JSON.parse(fs.readFileSync(HIGHSCORE_FILE, "utf8"));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// Adds a finished run; returns its place in the table (1 = best) or null if
+// it didn't make the cut. Written synchronously so two runs ending on the
+// same tick can't overwrite each other.
+function recordHighScore({ round, score, monstersKilled, weaponType = null, room = null }) {
+  const entry = { round, score, monstersKilled, weaponType, room, createdAt: new Date().toISOString() };
+  const list = [...loadHighScores(), entry].sort(compareScores).slice(0, MAX_HIGHSCORES);
+  const rank = list.indexOf(entry) + 1;
+  if (rank === 0) return null;
+  try {
+    fs.mkdirSync(path.dirname(HIGHSCORE_FILE), { recursive: true });
+    fs.writeFileSync(HIGHSCORE_FILE, JSON.stringify(list, null, 2));
+  } catch (err) {
+    console.error("Failed to save high scores:", err.message);
+    return null;
+  }
+  return rank;
+}
+
+module.exports = { loadHighScores, recordHighScore, HIGHSCORE_FILE, MAX_HIGHSCORES };
@@ -2,16 +2,17 @@
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
-const { GameCore } = require("../game/core");
 const WebSocket = require("ws");
+const { Room, ReplayRoom } = require("./room");
+const { listReplays, loadReplay } = require("./replay");
+const { loadHighScores } = require("./highscores");
+const { TEAM_SIZES, GAME_MODES, WIN_CONDITIONS, SERIES_LENGTHS } = require("../game/core");
 
 const PORT = process.env.PORT || 3000;
-// Higher tick-rate reduces "hitchy" movement and makes the game feel snappier.
-const TICK_RATE = 60;
 const publicDir = path.join(__dirname, "..", "..", "public");
 
 // Static file server (serves public/)
-const server = http.createServer((req, res) => {
+function serveStatic(req, res) {
   let filePath = req.url;
   if (!filePath || filePath === "/") {
     filePath = "/index.html";
@@ -36,120 +37,213 @@ const server = http.createServer((req, res) => {
     res.writeHead(200, { "Content-Type": contentType });
     res.end(data);
   });
-});
-
-// WebSocket server
-const wss = new WebSocket.Server({ server, path: "/ws" });
-
-let game = new GameCore();
+}
 
-// Map ws -> { playerId, lastInput }
-const clients = new Map();
+// GET /highscores: the solo high-score table as JSON (see highscores.js).
+function handleRequest(req, res) {
+  if (req.url === "/highscores") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(loadHighScores()));
+    return;
+  }
+  serveStatic(req, res);
+}
 
-function emptyInput() {
-  return { up: false, down: false, left: false, right: false };
+// -----------------------------------------------------
+// Lobby / rooms
+// -----------------------------------------------------
+// Every socket lives in at most one room. The "main" room always exists so a
+// plain "open / in two tabs" still works; extra rooms are created on demand
+// and torn down once their last client leaves.
+const DEFAULT_ROOM_ID = "main";
+const MAX_ROOMS = 32;
+const ROOM_CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // no I/O (look like 1/0)
+
+const LOBBY_MESSAGES = new Set([
+  "list_rooms",
+  "create_room",
+  "join_room",
+  "leave_room",
+  "list_replays",
+  "watch_replay",
+]);
+
+function normalizeRoomId(roomId) {
+  if (typeof roomId !== "string") return null;
+  const id = roomId.trim();
+  if (id.toLowerCase() === DEFAULT_ROOM_ID) return DEFAULT_ROOM_ID;
+  return id.toUpperCase();
 }
 
-function clearAllInputs() {
-  for (const info of clients.values()) {
-    info.lastInput = emptyInput();
+function sendTo(ws, obj) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(obj));
   }
 }
 
-wss.on("connection", ws => {
-  console.log("Client connected");
+// Builds the HTTP + WebSocket server and its lobby. Nothing listens until
+// server.listen() is called: running this file does that on PORT, tests
+// listen on an ephemeral port.
+//
+// roomOptions are passed to every Room created (e.g. gameOptions,
+// tickIntervalMs), so tests can play short, fast-forwarded matches.
+function createServer({ roomOptions = {} } = {}) {
+  const server = http.createServer(handleRequest);
+  const wss = new WebSocket.Server({ server, path: "/ws" });
+
+  const rooms = new Map(); // roomId -> Room
+  const socketRooms = new Map(); // ws -> Room
+
+  rooms.set(DEFAULT_ROOM_ID, new Room(DEFAULT_ROOM_ID, "Main", { ...roomOptions, persistent: true }));
+
+  function addRoom(room) {
+    room.onIdle = closeRoomIfIdle;
+    rooms.set(room.id, room);
+    console.log(`Room ${room.id} created`);
+  }
 
-  const usedIds = new Set([...clients.values()].map(c => c.playerId));
-  let playerId = 0; // 0 = spectator
-  if (!usedIds.has(1)) playerId = 1;
-  else if (!usedIds.has(2)) playerId = 2;
+  function closeRoomIfIdle(room) {
+    // Keep the room while a dropped player may still reconnect with their token.
+    if (room.persistent || !room.isEmpty || room.hasSessions) return;
+    room.dispose();
+    rooms.delete(room.id);
+    console.log(`Room ${room.id} closed`);
+  }
 
-  clients.set(ws, { playerId, lastInput: emptyInput() });
+  function generateRoomCode() {
+    for (;;) {
+      let code = "";
+      for (let i = 0; i < 4; i++) {
+        code += ROOM_CODE_LETTERS[Math.floor(Math.random() * ROOM_CODE_LETTERS.length)];
+      }
+      if (!rooms.has(code)) return code;
+    }
+  }
 
-  ws.send(JSON.stringify({ type: "welcome", playerId }));
+  function listRooms() {
+    return [...rooms.values()].map(r => r.summary());
+  }
 
-  ws.on("message", msg => {
-    let data;
-    try {
-      data = JSON.parse(msg.toString());
-    } catch {
-      return;
-    }
+  // dropped = the socket closed unexpectedly (player may come back with a token).
+  function leaveCurrentRoom(ws, { dropped = false } = {}) {
+    const room = socketRooms.get(ws);
+    if (!room) return;
+    socketRooms.delete(ws);
+    room.leave(ws, { dropped });
+    closeRoomIfIdle(room);
+  }
 
-    const client = clients.get(ws);
-    if (!client) return;
-    // spectators should not control the game
-    if (client.playerId === 0) return;
-
-    if (data.type === "input") {
-      // movement input
-      client.lastInput = { ...emptyInput(), ...(data.keys || {}) };
-    } else if (data.type === "weapon_select") {
-      // weapon select in WEAPON_SELECT state
-      const weapon = data.weaponType;
-      game.handleWeaponChoice(client.playerId, weapon);
-    } else if (data.type === "shop_action") {
-      // upgrade / send_mobs in SHOP state
-      const action = data.action;
-      game.handleShopAction(client.playerId, action);
-    } else if (data.type === "ready") {
-      // player ready in SHOP
-      game.handleReady(client.playerId);
-    } else if (data.type === "restart") {
-      // restart from GAME_OVER
-      game.handleRestart();
-      clearAllInputs();
-    }
-  });
+  function joinRoom(ws, room, token) {
+    leaveCurrentRoom(ws);
+    socketRooms.set(ws, room);
+    const playerId = room.join(ws, typeof token === "string" ? token : null);
+    console.log(`Client joined room ${room.id} as ${playerId ? `P${playerId}` : "spectator"}`);
+  }
 
-  ws.on("close", () => {
-    const info = clients.get(ws);
-    clients.delete(ws);
-
-    // If a player disconnects, make sure we don't keep stale inputs / selections around.
-    if (info && (info.playerId === 1 || info.playerId === 2)) {
-      const p = game.getPlayer ? game.getPlayer(info.playerId) : null;
-      if (p) {
-        // During weapon select, disconnect should clear their selection so the game can't start early.
-        if (game.state === "WEAPON_SELECT") {
-          p.weaponType = null;
-          p.weaponChosen = false;
-        }
-
-        // During an active round, treat disconnect as a loss.
-        if (game.state === "PLAYING") {
-          p.hp = 0;
-        }
+  function handleLobbyMessage(ws, data) {
+    if (data.type === "list_rooms") {
+      sendTo(ws, { type: "rooms", rooms: listRooms() });
+    } else if (data.type === "create_room") {
+      if (rooms.size >= MAX_ROOMS) {
+        sendTo(ws, { type: "lobby_error", message: "Too many rooms open, try again later." });
+        return;
       }
-    }
-    console.log("Client disconnected");
-  });
-});
-
-// Game loop
-setInterval(() => {
-  // collect inputs for each player
-  const inputs = {};
-  for (const [_ws, info] of clients.entries()) {
-    if (info.playerId === 1 || info.playerId === 2) {
-      inputs[info.playerId] = info.lastInput || emptyInput();
+      const id = generateRoomCode();
+      const name = typeof data.name === "string" && data.name.trim()
+        ? data.name.trim().slice(0, 32)
+        : `Room ${id}`;
+      // Optional fixed seed, e.g. to re-play a reported match setup.
+      const gameOptions = { ...roomOptions.gameOptions };
+      if (Number.isInteger(data.seed)) gameOptions.seed = data.seed;
+      // 2 = a 2v2 room (see TEAM_SIZES in core.js).
+      if (TEAM_SIZES.includes(data.teamSize)) gameOptions.teamSize = data.teamSize;
+      // "coop" = everyone on one team against endless waves, "solo" = the
+      // same alone, for the high-score table (see GAME_MODES).
+      if (GAME_MODES.includes(data.mode)) gameOptions.mode = data.mode;
+      // How a versus match is won (see WIN_CONDITIONS in core.js).
+      if (WIN_CONDITIONS.includes(data.winCondition)) gameOptions.winCondition = data.winCondition;
+      // Best of 3 / 5 / 7 (see SERIES_LENGTHS).
+      if (SERIES_LENGTHS.includes(data.seriesLength)) gameOptions.seriesLength = data.seriesLength;
+      const room = new Room(id, name, { ...roomOptions, gameOptions });
+      addRoom(room);
+      joinRoom(ws, room);
+    } else if (data.type === "join_room") {
+      const room = rooms.get(normalizeRoomId(data.roomId));
+      if (!room) {
+        sendTo(ws, { type: "lobby_error", message: `Room "${data.roomId}" not found.` });
+        return;
+      }
+      if (socketRooms.get(ws) === room) return;
+      // data.token: session token from an earlier welcome, to reclaim a player slot.
+      joinRoom(ws, room, data.token);
+    } else if (data.type === "list_replays") {
+      sendTo(ws, { type: "replays", replays: listReplays() });
+    } else if (data.type === "watch_replay") {
+      if (rooms.size >= MAX_ROOMS) {
+        sendTo(ws, { type: "lobby_error", message: "Too many rooms open, try again later." });
+        return;
+      }
+      const replay = loadReplay(data.replayId);
+      if (!replay) {
+        sendTo(ws, { type: "lobby_error", message: "Replay not found." });
+        return;
+      }
+      const id = generateRoomCode();
+      const room = new ReplayRoom(id, `Replay ${id}`, replay);
+      addRoom(room);
+      joinRoom(ws, room);
+    } else if (data.type === "leave_room") {
+      leaveCurrentRoom(ws);
     }
   }
 
-  // Prevent "stuck keys" from affecting non-playing states.
-  // (KeyUp events can be missed on tab switches, restarts, etc.)
-  const effectiveInputs = game.state === "PLAYING" ? inputs : {};
-  game.step(1 / TICK_RATE, effectiveInputs);
-  const state = game.exportState();
+  wss.on("connection", ws => {
+    console.log("Client connected");
 
-  const payload = JSON.stringify({ type: "state", state });
-  for (const ws of clients.keys()) {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(payload);
-    }
+    // The client decides which room to join (URL ?room=CODE, or "main").
+    sendTo(ws, { type: "rooms", rooms: listRooms() });
+
+    ws.on("message", msg => {
+      let data;
+      try {
+        data = JSON.parse(msg.toString());
+      } catch {
+        return;
+      }
+      if (!data || typeof data.type !== "string") return;
+
+      if (LOBBY_MESSAGES.has(data.type)) {
+        handleLobbyMessage(ws, data);
+        return;
+      }
+
+      const room = socketRooms.get(ws);
+      if (room) room.handleMessage(ws, data);
+    });
+
+    ws.on("close", () => {
+      leaveCurrentRoom(ws, { dropped: true });
+      console.log("Client disconnected");
+    });
+  });
+
+  // Disposes every room (saving recordings) and stops accepting connections.
+  function close(callback) {
+    for (const room of rooms.values()) room.dispose();
+    rooms.clear();
+    for (const ws of wss.clients) ws.terminate();
+    wss.close();
+    server.close(callback);
   }
-}, 1000 / TICK_RATE);
 
-server.listen(PORT, () => {
-  console.log(`Fence Fighters server listening on port ${PORT}`);
-});
+  return { server, wss, rooms, close };
+}
+
+if (require.main === module) {
+  const { server } = createServer();
+  server.listen(PORT, () => {
+    console.log(`Fence Fighters server listening on port ${PORT}`);
+  });
+}
+
+module.exports = { createServer, DEFAULT_ROOM_ID, MAX_ROOMS };
@@ -0,0 +1,258 @@
+// src/server/replay.js
+//
+// Match recording + playback.
+//
+// GameCore is deterministic for a given seed (see src/game/rng.js), so a match
+// is fully described by:
+//   - the seed, the PRNG state when the match began, and the GameCore options
+//     (including the balance config the match was played with)
+//   - the per-tick movement inputs passed to GameCore.step (stored on change)
+//   - every GameCore.handleAction call, stamped with the tick it happened before
+//
+// File format (JSON):
+//   {
+//     version, createdAt, room, tickRate, seed, rngState, options, away,
+//     ticks,                         // number of steps recorded
+//     inputs:  [[tick, inputs], ...],
+//     actions: [[tick, playerId, action], ...],
+//     result:  { winner, round } | null
+//   }
+
+const fs = require("fs");
+const path = require("path");
+const { GameCore } = require("../game/core");
+const { Rng } = require("../game/rng");
+const { parseBalance } = require("../game/balance");
+
+const REPLAY_VERSION = 1;
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, "..", "..", "replays");
+// Oldest replays are deleted beyond this many files.
+const MAX_REPLAYS = 50;
+const REPLAY_ID_PATTERN = /^[\w-]+\.json$/;
+// Playback keeps a copy of the game every this many ticks (2 s at 60 Hz), so
+// a seek into ground already covered re-simulates at most this many. A copy
+// is small (no balance config), a few hundred of them for a long match is fine.
+const CHECKPOINT_EVERY = 120;
+
+// GameCore options worth persisting (the live Rng object is not one of them).
+function serializableOptions(options) {
+  const { rng, seed, ...rest } = options || {};
+  return rest;
+}
+
+class ReplayRecorder {
+  constructor(game, { roomId = null, tickRate = 60 } = {}) {
+    this.data = {
+      version: REPLAY_VERSION,
+      createdAt: new Date().toISOString(),
+      room: roomId,
+      tickRate,
+      seed: game.seed,
+      rngState: game.rng.state,
+      options: serializableOptions(game.options),
+      // Players already disconnected when the match began.
+      away: game.players.filter(p => p.away).map(p => p.id),
+      ticks: 0,
+      inputs: [],
+      actions: [],
+      result: null,
+    };
+    this._lastInputs = "{}";
+  }
+
+  get tick() {
+    return this.data.ticks;
+  }
+
+  recordAction(playerId, action) {
+    this.data.actions.push([this.data.ticks, playerId, action]);
+  }
+
+  // Call once per GameCore.step with the exact inputs passed to it.
+  recordStep(inputs) {
+    const json = JSON.stringify(inputs);
+    if (json !== this._lastInputs) {
+      this.data.inputs.push([this.data.ticks, inputs]);
+      this._lastInputs = json;
+    }
+    this.data.ticks += 1;
+  }
+
+  finish(game) {
+    this.data.result = { winner: game.winner, round: game.round, state: game.state };
+    return this.data;
+  }
+}
+
+function ensureReplayDir() {
+  fs.mkdirSync(REPLAY_DIR, { recursive: true });
+}
+
+function pruneReplays() {
+  let files;
+  try {
+    files = fs.readdirSync(REPLAY_DIR).filter(f => REPLAY_ID_PATTERN.test(f)).sort();
+  } catch {
+    return;
+  }
+  for (const f of files.slice(0, Math.max(0, files.length - MAX_REPLAYS))) {
+    fs.unlink(path.join(REPLAY_DIR, f), () => {});
+  }
+}
+
+// Writes a finished recording; returns the replay id (file name).
+function saveReplay(data) {
+  ensureReplayDir();
+  const stamp = data.createdAt.replace(/[:.]/g, "-");
+  const id = `${stamp}_${data.room || "room"}_${data.seed}.json`.replace(/[^\w.-]/g, "_");
+  fs.writeFile(path.join(REPLAY_DIR, id), JSON.stringify(data), err => {
+    if (err) console.error(`Failed to save replay ${id}:`, err.message);
+    else pruneReplays();
+  });
+  return id;
+}
+
+function listReplays() {
+  let files;
+  try {
+    files = fs.readdirSync(REPLAY_DIR);
+  } catch {
+    return [];
+  }
+  return files
+    .filter(f => REPLAY_ID_PATTERN.test(f))
+    .sort()
+    .reverse()
+    .map(id => {
+      // <createdAt>_<room>_<seed>.json
+      const [createdAt, room] = id.replace(/\.json$/, "").split("_");
+      return { id, createdAt, room };
+    });
+}
+
+function loadReplay(id) {
+  if (typeof id !== "string" || !REPLAY_ID_PATTERN.test(id)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(REPLAY_DIR, id), "utf8"));
+    return data && data.version === REPLAY_VERSION ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Deep copy of a GameCore (or anything in it) that keeps class prototypes,
+// Maps / Sets and shared references. Frozen objects (the balance config) are
+// read-only, so they're shared rather than copied.
+function cloneState(value, seen = new Map()) {
+  if (value === null || typeof value !== "object" || Object.isFrozen(value)) return value;
+  if (seen.has(value)) return seen.get(value);
+
+  if (value instanceof Map) {
+    const copy = new Map();
+    seen.set(value, copy);
+    for (const [k, v] of value) copy.set(cloneState(k, seen), cloneState(v, seen));
+    return copy;
+  }
+  if (value instanceof Set) {
+    const copy = new Set();
+    seen.set(value, copy);
+    for (const v of value) copy.add(cloneState(v, seen));
+    return copy;
+  }
+  const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+  seen.set(value, copy);
+  for (const key of Object.keys(value)) copy[key] = cloneState(value[key], seen);
+  return copy;
+}
+
+// Re-simulates a recording tick by tick. Seeks start from the last checkpoint
+// before the target when that saves work: always going backwards (tick 0 if
+// none has been played past yet), and going forwards past ground covered
+// before a backward seek.
+class ReplayPlayer {
+  constructor(data) {
+    this.data = data;
+    // checkpoints[i]: playback state at tick i * CHECKPOINT_EVERY.
+    this.checkpoints = [];
+    this.reset();
+  }
+
+  reset() {
+    const d = this.data;
+    const rng = new Rng(d.seed);
+    rng.state = d.rngState >>> 0;
+    const options = { ...d.options, seed: d.seed, rng };
+    // Older recordings have no balance: they get the current default one.
+    if (d.options && d.options.balance) options.balance = parseBalance(d.options.balance);
+    this.game = new GameCore(options);
+    for (const id of d.away || []) this.game.setPlayerAway(id, true);
+
+    this.tick = 0;
+    this._inputIdx = 0;
+    this._actionIdx = 0;
+    this._inputs = {};
+  }
+
+  get done() {
+    return this.tick >= this.data.ticks;
+  }
+
+  step() {
+    if (this.done) return;
+    const { inputs, actions, tickRate } = this.data;
+
+    while (this._actionIdx < actions.length && actions[this._actionIdx][0] <= this.tick) {
+      const [, playerId, action] = actions[this._actionIdx++];
+      this.game.handleAction(playerId, action);
+    }
+    while (this._inputIdx < inputs.length && inputs[this._inputIdx][0] <= this.tick) {
+      this._inputs = inputs[this._inputIdx++][1];
+    }
+
+    this.game.step(1 / tickRate, this._inputs);
+    this.tick += 1;
+
+    const slot = this.tick / CHECKPOINT_EVERY;
+    if (Number.isInteger(slot) && !this.checkpoints[slot]) this.checkpoints[slot] = this.saveCheckpoint();
+  }
+
+  saveCheckpoint() {
+    return cloneState({
+      game: this.game,
+      tick: this.tick,
+      inputIdx: this._inputIdx,
+      actionIdx: this._actionIdx,
+      inputs: this._inputs,
+    });
+  }
+
+  // Copies again, so the checkpoint stays as it was for the next seek.
+  restoreCheckpoint(checkpoint) {
+    const { game, tick, inputIdx, actionIdx, inputs } = cloneState(checkpoint);
+    this.game = game;
+    this.tick = tick;
+    this._inputIdx = inputIdx;
+    this._actionIdx = actionIdx;
+    this._inputs = inputs;
+  }
+
+  seek(targetTick) {
+    const target = Math.max(0, Math.min(this.data.ticks, Math.floor(targetTick)));
+    let slot = Math.floor(target / CHECKPOINT_EVERY);
+    while (slot > 0 && !this.checkpoints[slot]) slot -= 1;
+    const from = slot * CHECKPOINT_EVERY;
+    if (slot > 0 && (target < this.tick || from > this.tick)) this.restoreCheckpoint(this.checkpoints[slot]);
+    else if (target < this.tick) this.reset();
+    while (this.tick < target) this.step();
+  }
+}
+
+module.exports = {
+  ReplayRecorder,
+  ReplayPlayer,
+  saveReplay,
+  listReplays,
+  loadReplay,
+  REPLAY_DIR,
+  CHECKPOINT_EVERY,
+};
@@ -0,0 +1,606 @@
+// src/server/room.js
+//
+// A room is one independent match: its own GameCore, its own connected clients
+// and its own tick loop. http_ws.js owns the lobby (list / create / join) and
+// routes each socket to exactly one room at a time.
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const { GameCore } = require("../game/core");
+const { BalanceSource, publicBalance } = require("../game/balance");
+const { BotController, BOT_DIFFICULTIES } = require("../game/bot");
+const { SnapshotStream } = require("./snapshots");
+const { ReplayRecorder, ReplayPlayer, saveReplay } = require("./replay");
+const { recordHighScore } = require("./highscores");
+
+// Higher tick-rate reduces "hitchy" movement and makes the game feel snappier.
+const TICK_RATE = 60;
+
+// How long a dropped player's slot is held for a reconnect with their token.
+const RECONNECT_GRACE_MS = 20000;
+
+function emptyInput() {
+  return { up: false, down: false, left: false, right: false };
+}
+
+// Per-tick input from an "input" message: movement keys, plus the aim vector
+// and fire button used in manual aim mode. The aim vector is normalised and
+// rounded so tiny mouse jitter doesn't count as a new input in recordings.
+function inputFromMessage(data) {
+  const keys = data.keys || {};
+  const input = {
+    up: Boolean(keys.up),
+    down: Boolean(keys.down),
+    left: Boolean(keys.left),
+    right: Boolean(keys.right),
+  };
+  const aim = data.aim;
+  if (aim && Number.isFinite(aim.x) && Number.isFinite(aim.y) && (aim.x !== 0 || aim.y !== 0)) {
+    const len = Math.hypot(aim.x, aim.y);
+    input.aimX = Math.round((aim.x / len) * 1000) / 1000;
+    input.aimY = Math.round((aim.y / len) * 1000) / 1000;
+  }
+  if (data.fire) input.fire = true;
+  return input;
+}
+
+// Client message -> GameCore.handleAction payload (only the fields it uses,
+// so recordings don't pick up whatever else a client put in the message).
+function toGameAction(data) {
+  switch (data.type) {
+    case "weapon_select":
+      // weapon select in WEAPON_SELECT state
+      return { type: "weapon_select", weaponType: data.weaponType };
+    case "aim_mode":
+      // auto / manual aim, also in WEAPON_SELECT
+      return { type: "aim_mode", mode: data.mode };
+    case "shop_action":
+      // upgrade / send_mobs in SHOP state
+      return { type: "shop_action", action: data.action };
+    case "ready":
+      // player ready in SHOP
+      return { type: "ready" };
+    case "dash":
+      // dash in PLAYING
+      return { type: "dash" };
+    case "restart":
+      // restart from GAME_OVER
+      return { type: "restart" };
+    default:
+      return null;
+  }
+}
+
+function sendError(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: "lobby_error", message }));
+  }
+}
+
+function newClientInfo(playerId, token) {
+  // ackSeq: last snapshot this client confirmed (null = send a keyframe next).
+  // inputSeq: seq of the latest input message, echoed back so the client can
+  // reconcile its predicted position.
+  return { playerId, lastInput: emptyInput(), token, ackSeq: null, inputSeq: 0 };
+}
+
+// balance.json (or BALANCE_FILE), shared by all rooms and re-read between
+// matches when it changes on disk. Created on first use.
+let sharedBalanceSource = null;
+
+function defaultBalanceSource() {
+  if (!sharedBalanceSource) sharedBalanceSource = new BalanceSource();
+  return sharedBalanceSource;
+}
+
+class Room {
+  // gameOptions are passed straight to GameCore (e.g. { seed }); the balance
+  // config comes from balanceSource unless gameOptions sets one.
+  // tickIntervalMs is wall-clock time between ticks. Every tick still simulates
+  // 1/TICK_RATE seconds, so a smaller value fast-forwards the match (tests).
+  constructor(id, name, {
+    persistent = false,
+    gameOptions = {},
+    balanceSource = defaultBalanceSource(),
+    tickIntervalMs = 1000 / TICK_RATE,
+  } = {}) {
+    this.id = id;
+    this.name = name || id;
+    // Persistent rooms (the default "main" room) survive being empty.
+    this.persistent = persistent;
+    this.createdAt = Date.now();
+
+    this.balanceSource = gameOptions.balance ? null : balanceSource;
+    this.game = new GameCore(
+      this.balanceSource ? { ...gameOptions, balance: this.balanceSource.current() } : gameOptions
+    );
+
+    // Map ws -> { playerId, lastInput, token, ackSeq }
+    this.clients = new Map();
+
+    // Keyframe + delta encoding of the state broadcast.
+    this.snapshots = new SnapshotStream();
+
+    // Recording of the current match (saved to replays/ when it ends).
+    this.recorder = null;
+    this.startRecording();
+
+    // Session token -> { playerId, ws, graceTimer }
+    // ws is null while the player is disconnected and inside the grace window.
+    this.sessions = new Map();
+
+    // playerId -> BotController, for slots played by the server.
+    this.bots = new Map();
+
+    // Set by the lobby: called once nobody is connected or reconnecting.
+    this.onIdle = null;
+
+    this.timer = setInterval(() => this.tick(), tickIntervalMs);
+  }
+
+  get isEmpty() {
+    return this.clients.size === 0;
+  }
+
+  summary() {
+    const ids = [...this.clients.values()].map(c => c.playerId);
+    return {
+      id: this.id,
+      name: this.name,
+      state: this.game.state,
+      round: this.game.round,
+      mode: this.game.mode,
+      winCondition: this.game.winCondition,
+      seriesLength: this.game.seriesLength,
+      // Reconnecting players still hold their slot.
+      players: this.sessions.size + this.bots.size,
+      slots: this.game.players.length,
+      bots: this.bots.size,
+      spectators: ids.filter(id => id === 0).length,
+    };
+  }
+
+  clearAllInputs() {
+    for (const info of this.clients.values()) {
+      info.lastInput = emptyInput();
+    }
+  }
+
+  // Adds a socket to this room and returns the assigned player id (0 = spectator).
+  // A valid session token from an earlier welcome reclaims that player's slot.
+  join(ws, token = null) {
+    const resumed = this.resumeSession(ws, token);
+    if (resumed) return resumed.playerId;
+
+    let playerId = this.freePlayerId(); // 0 = spectator
+    // Between matches a human takes over from a bot.
+    if (playerId === 0 && this.bots.size > 0 && ["WEAPON_SELECT", "GAME_OVER"].includes(this.game.state)) {
+      playerId = [...this.bots.keys()][0];
+      this.removeBot(playerId);
+    }
+
+    let sessionToken = null;
+    if (playerId !== 0) {
+      sessionToken = crypto.randomBytes(16).toString("hex");
+      this.sessions.set(sessionToken, { playerId, ws, graceTimer: null });
+    }
+
+    this.clients.set(ws, newClientInfo(playerId, sessionToken));
+    this.sendWelcome(ws, playerId, sessionToken, false);
+    return playerId;
+  }
+
+  // First player slot nobody holds (0 if all are taken). Slots held for a
+  // reconnecting player or played by a bot are not up for grabs.
+  freePlayerId() {
+    const usedIds = new Set([...this.sessions.values()].map(sess => sess.playerId));
+    for (const id of this.bots.keys()) usedIds.add(id);
+    const free = this.game.players.find(p => !usedIds.has(p.id));
+    return free ? free.id : 0;
+  }
+
+  resumeSession(ws, token) {
+    const sess = token ? this.sessions.get(token) : null;
+    if (!sess) return null;
+
+    // Same token from a second tab while the first is still connected: the
+    // newest socket wins, the old one is dropped to spectator.
+    if (sess.ws && sess.ws !== ws) {
+      const old = this.clients.get(sess.ws);
+      if (old) {
+        old.playerId = 0;
+        old.token = null;
+        old.lastInput = emptyInput();
+        this.sendWelcome(sess.ws, 0, null, false);
+      }
+    }
+
+    if (sess.graceTimer) {
+      clearTimeout(sess.graceTimer);
+      sess.graceTimer = null;
+    }
+    sess.ws = ws;
+    this.applyAction(sess.playerId, { type: "away", away: false });
+
+    this.clients.set(ws, newClientInfo(sess.playerId, token));
+    this.sendWelcome(ws, sess.playerId, token, true);
+    return sess;
+  }
+
+  sendWelcome(ws, playerId, token, resumed) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({
+      type: "welcome",
+      playerId,
+      token,
+      resumed,
+      reconnectGraceMs: RECONNECT_GRACE_MS,
+      room: { id: this.id, name: this.name },
+      balance: publicBalance(this.game.balance),
+      bots: this.botList(),
+    }));
+  }
+
+  // dropped = true for a lost connection (slot is held for RECONNECT_GRACE_MS),
+  // false when the player deliberately left the room (forfeits immediately).
+  leave(ws, { dropped = false } = {}) {
+    const info = this.clients.get(ws);
+    this.clients.delete(ws);
+    if (!info || !info.token) {
+      this.dropBotsIfAbandoned();
+      return;
+    }
+
+    const sess = this.sessions.get(info.token);
+    if (!sess || sess.ws !== ws) return;
+
+    if (!dropped) {
+      this.endSession(info.token);
+      return;
+    }
+
+    sess.ws = null;
+    this.applyAction(sess.playerId, { type: "away", away: true });
+    sess.graceTimer = setTimeout(() => this.endSession(info.token), RECONNECT_GRACE_MS);
+  }
+
+  endSession(token) {
+    const sess = this.sessions.get(token);
+    if (!sess) return;
+    if (sess.graceTimer) clearTimeout(sess.graceTimer);
+    this.sessions.delete(token);
+
+    // Make sure we don't keep stale inputs / selections around.
+    this.applyAction(sess.playerId, { type: "forfeit" });
+    this.dropBotsIfAbandoned();
+
+    if (this.isEmpty && !this.hasSessions && this.onIdle) this.onIdle(this);
+  }
+
+  // Whether anybody still has a stake in this room (connected or reconnecting).
+  get hasSessions() {
+    return this.sessions.size > 0;
+  }
+
+  handleMessage(ws, data) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    // Snapshot acknowledgements (spectators ack too).
+    if (data.type === "ack") {
+      if (Number.isInteger(data.seq) && data.seq <= this.snapshots.seq) {
+        client.ackSeq = Math.max(client.ackSeq || 0, data.seq);
+      }
+      return;
+    }
+    if (data.type === "resync") {
+      client.ackSeq = null;
+      return;
+    }
+
+    // spectators should not control the game
+    if (client.playerId === 0) return;
+
+    if (data.type === "add_bot") {
+      const difficulty = data.difficulty === undefined ? "normal" : data.difficulty;
+      if (!Object.hasOwn(BOT_DIFFICULTIES, difficulty)) {
+        sendError(ws, `Unknown bot difficulty "${difficulty}".`);
+      } else if (!this.addBot(difficulty)) {
+        sendError(ws, "All player slots are taken.");
+      }
+      return;
+    }
+    if (data.type === "remove_bot") {
+      for (const id of [...this.bots.keys()]) this.removeBot(id);
+      return;
+    }
+
+    if (data.type === "input") {
+      // movement (+ manual aim) input
+      client.lastInput = inputFromMessage(data);
+      if (Number.isInteger(data.seq)) client.inputSeq = data.seq;
+      return;
+    }
+
+    const action = toGameAction(data);
+    if (action) this.applyAction(client.playerId, action);
+  }
+
+  // Every change to the match other than movement goes through here, so the
+  // recording sees it.
+  applyAction(playerId, action) {
+    const wasOver = this.game.state === "GAME_OVER";
+    const balanceBefore = this.game.balance;
+    if (wasOver && action.type === "restart") this.reloadBalance();
+    if (this.recorder) this.recorder.recordAction(playerId, action);
+    this.game.handleAction(playerId, action);
+
+    // A forfeit in the shop can end the match without a tick.
+    if (!wasOver && this.game.state === "GAME_OVER") this.matchEnded();
+    if (wasOver && this.game.state !== "GAME_OVER") {
+      // Restarted: fresh match, fresh recording.
+      this.clearAllInputs();
+      this.startRecording();
+      if (this.game.balance !== balanceBefore) {
+        this.broadcast({ type: "balance", balance: publicBalance(this.game.balance) });
+      }
+    }
+  }
+
+  // The match just went to GAME_OVER: save the replay (and a solo run's score).
+  matchEnded() {
+    this.stopRecording();
+    this.saveHighScore();
+  }
+
+  // Picks up balance file edits for the next match only; a running match
+  // never changes numbers halfway through.
+  reloadBalance() {
+    if (!this.balanceSource) return;
+    const balance = this.balanceSource.current();
+    if (balance !== this.game.balance) this.game.useBalance(balance);
+  }
+
+  // -------------------------------------------------
+  // Bots
+  // -------------------------------------------------
+
+  // Puts a bot in the first free player slot; returns its player id (0 = no room).
+  addBot(difficulty = "normal") {
+    const playerId = this.freePlayerId();
+    if (playerId === 0) return 0;
+    this.bots.set(playerId, new BotController(playerId, difficulty));
+    console.log(`Room ${this.id}: ${difficulty} bot joined as P${playerId}`);
+    this.broadcastBots();
+    return playerId;
+  }
+
+  // Like a human leaving for good: the bot's side forfeits.
+  removeBot(playerId) {
+    if (!this.bots.delete(playerId)) return;
+    this.applyAction(playerId, { type: "forfeit" });
+    console.log(`Room ${this.id}: bot P${playerId} removed`);
+    this.broadcastBots();
+  }
+
+  botList() {
+    return [...this.bots.values()].map(bot => ({ playerId: bot.playerId, difficulty: bot.difficulty }));
+  }
+
+  broadcastBots() {
+    this.broadcast({ type: "bots", bots: this.botList() });
+  }
+
+  // Bots only keep playing while a human is around (connected or reconnecting).
+  dropBotsIfAbandoned() {
+    if (this.bots.size === 0 || !this.isEmpty || this.hasSessions) return;
+    for (const id of [...this.bots.keys()]) this.removeBot(id);
+  }
+
+  // Solo runs played by a human go on the high-score table; everyone in the
+  // room hears where it placed (rank null = didn't make it).
+  saveHighScore() {
+    const p = this.game.players[0];
+    if (this.game.mode !== "solo" || this.bots.has(p.id)) return;
+    const entry = {
+      round: this.game.round,
+      score: p.score,
+      monstersKilled: p.monstersKilled,
+      weaponType: p.weaponType,
+      room: this.id,
+    };
+    const rank = recordHighScore(entry);
+    console.log(`Room ${this.id}: solo run ended in round ${entry.round}${rank ? `, high score #${rank}` : ""}`);
+    this.broadcast({ type: "highscore", rank, entry });
+  }
+
+  // -------------------------------------------------
+  // Recording
+  // -------------------------------------------------
+
+  startRecording() {
+    this.recorder = new ReplayRecorder(this.game, { roomId: this.id, tickRate: TICK_RATE });
+  }
+
+  // Saves the current recording if anything worth watching happened.
+  stopRecording() {
+    const rec = this.recorder;
+    this.recorder = null;
+    if (!rec || (this.game.round === 1 && this.game.state === "WEAPON_SELECT")) return null;
+    const id = saveReplay(rec.finish(this.game));
+    console.log(`Room ${this.id}: saved replay ${id}`);
+    return id;
+  }
+
+  tick() {
+    // collect inputs for each player
+    const inputs = {};
+    const inputAcks = {};
+    for (const info of this.clients.values()) {
+      if (info.playerId !== 0) {
+        inputs[info.playerId] = info.lastInput || emptyInput();
+        inputAcks[info.playerId] = info.inputSeq;
+      }
+    }
+
+    // Bots act through the same paths as a client: actions via applyAction
+    // (so they're recorded), movement as this tick's input.
+    const game = this.game;
+    const dt = 1 / TICK_RATE;
+    for (const [id, bot] of this.bots) {
+      for (const action of bot.actions(game, dt)) this.applyAction(id, action);
+      inputs[id] = bot.input(game, dt);
+    }
+
+    // Prevent "stuck keys" from affecting non-playing states.
+    // (KeyUp events can be missed on tab switches, restarts, etc.)
+    const effectiveInputs = game.state === "PLAYING" ? inputs : {};
+    const wasOver = game.state === "GAME_OVER";
+    game.step(dt, effectiveInputs);
+    if (this.recorder) this.recorder.recordStep(effectiveInputs);
+    if (!wasOver && game.state === "GAME_OVER") this.matchEnded();
+
+    this.broadcastSnapshot(this.snapshotExtra({ inputAcks }));
+  }
+
+  // This tick's game events (kills, hits, explosions, pickups) ride along
+  // with the snapshot. They're drained even when nobody is watching.
+  snapshotExtra(extra) {
+    const events = this.game.drainEvents();
+    if (events.length > 0) extra.events = events;
+    return extra;
+  }
+
+  // Pushes the current state to every client (keyframe or delta per client).
+  broadcastSnapshot(extra = {}) {
+    // Nobody is watching: simulate, but skip serialising the state.
+    if (this.isEmpty) return;
+    // t = server wall clock, for client-side interpolation.
+    this.snapshots.push(this.game.exportState(), { t: Date.now(), ...extra });
+    for (const [ws, info] of this.clients.entries()) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(this.snapshots.encodeFor(info.ackSeq));
+      }
+    }
+  }
+
+  broadcast(obj) {
+    const payload = JSON.stringify(obj);
+    for (const ws of this.clients.keys()) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(payload);
+      }
+    }
+  }
+
+  dispose() {
+    this.stopRecording();
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const sess of this.sessions.values()) {
+      if (sess.graceTimer) clearTimeout(sess.graceTimer);
+    }
+    this.sessions.clear();
+    this.bots.clear();
+    this.clients.clear();
+  }
+}
+
+// -----------------------------------------------------
+// Replay rooms
+// -----------------------------------------------------
+// Plays a recording back through GameCore. Everyone joins as a spectator and
+// can pause / seek / change speed for the whole room.
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+class ReplayRoom extends Room {
+  constructor(id, name, replayData) {
+    super(id, name);
+    this.balanceSource = null;
+    this.recorder = null;
+    this.player = new ReplayPlayer(replayData);
+    this.game = this.player.game;
+    this.paused = false;
+    this.speed = 1;
+    // Fractional steps carried between ticks (for speeds below 1x).
+    this._stepBudget = 0;
+  }
+
+  startRecording() {
+    // Never record a playback.
+  }
+
+  summary() {
+    return { ...super.summary(), replay: true };
+  }
+
+  join(ws) {
+    this.clients.set(ws, newClientInfo(0, null));
+    this.sendWelcome(ws, 0, null, false);
+    return 0;
+  }
+
+  sendWelcome(ws, playerId, token, resumed) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({
+      type: "welcome",
+      playerId,
+      token,
+      resumed,
+      room: { id: this.id, name: this.name, replay: true },
+      balance: publicBalance(this.game.balance),
+    }));
+  }
+
+  leave(ws) {
+    this.clients.delete(ws);
+    if (this.isEmpty && this.onIdle) this.onIdle(this);
+  }
+
+  handleMessage(ws, data) {
+    if (data.type !== "replay_control") {
+      super.handleMessage(ws, data); // acks / resync
+      return;
+    }
+
+    if (data.action === "pause") this.paused = true;
+    else if (data.action === "play") this.paused = false;
+    else if (data.action === "toggle") this.paused = !this.paused;
+    else if (data.action === "speed" && REPLAY_SPEEDS.includes(data.speed)) this.speed = data.speed;
+    else if (data.action === "seek" && Number.isFinite(data.tick)) this.seekTo(data.tick);
+  }
+
+  seekTo(tick) {
+    this.player.seek(tick);
+    // seek() may swap in a fresh or checkpointed GameCore.
+    this.game = this.player.game;
+    this._stepBudget = 0;
+    // Don't replay a burst of everything that happened along the way.
+    this.game.drainEvents();
+  }
+
+  tick() {
+    if (!this.paused && !this.player.done) {
+      this._stepBudget += this.speed;
+      while (this._stepBudget >= 1 && !this.player.done) {
+        this.player.step();
+        this._stepBudget -= 1;
+      }
+    }
+    this.game = this.player.game;
+
+    // At speeds above 1x this carries the events of every step taken.
+    this.broadcastSnapshot(this.snapshotExtra({
+      replay: {
+        tick: this.player.tick,
+        ticks: this.player.data.ticks,
+        tickRate: this.player.data.tickRate,
+        paused: this.paused,
+        speed: this.speed,
+      },
+    }));
+  }
+}
+
+module.exports = { Room, ReplayRoom, TICK_RATE, RECONNECT_GRACE_MS, REPLAY_SPEEDS, emptyInput };
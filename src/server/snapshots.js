@@ -0,0 +1,155 @@
+// src/server/snapshots.js
+//
+// Snapshot / delta protocol for state broadcasts.
+//
+// Every tick the room pushes GameCore.exportState() into a SnapshotStream.
+// Each client gets either:
+//   - a keyframe: { type: "state", seq, keyframe: true, state }
+//   - a delta against the last snapshot it acknowledged:
+//       { type: "delta", seq, base, set: { key: value }, lists: { key: { add, upd, del } } }
+//
+// Entity lists (arrays of objects with an `id`: monsters, bullets, pickups, ...)
+// are diffed per entity: `add` = new entities (full), `upd` = { id, ...changed
+// fields }, `del` = removed ids. Everything else is replaced wholesale in `set`
+// when it changes. Clients ack with { type: "ack", seq } and rebuild full state
+// from the deltas (see public/client.js).
+//
+// Per-tick extras from the room (input acks, game events, replay status) are
+// copied onto both kinds of message. They are not part of the diffed state:
+// a client that misses a message misses its events too.
+
+// Send everyone a full keyframe this often (also bounds the damage of any bug).
+const KEYFRAME_INTERVAL = 60;
+// How many past snapshots we keep around as possible delta bases.
+const HISTORY_SIZE = 120;
+
+// Round numbers to 2 decimals: positions/timers don't need more on the wire,
+// and it stops sub-pixel jitter from showing up as a "change" in the diff.
+function quantize(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : value;
+  }
+  if (Array.isArray(value)) return value.map(quantize);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = quantize(v);
+    return out;
+  }
+  return value;
+}
+
+function isEntityList(arr) {
+  return (
+    Array.isArray(arr) &&
+    arr.length > 0 &&
+    arr.every(e => e && typeof e === "object" && "id" in e)
+  );
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffEntityList(baseList, nextList) {
+  const baseById = new Map(baseList.map(e => [e.id, e]));
+  const nextIds = new Set();
+  const add = [];
+  const upd = [];
+
+  for (const e of nextList) {
+    nextIds.add(e.id);
+    const prev = baseById.get(e.id);
+    if (!prev) {
+      add.push(e);
+      continue;
+    }
+    let changes = null;
+    for (const [k, v] of Object.entries(e)) {
+      if (!sameValue(prev[k], v)) {
+        if (!changes) changes = { id: e.id };
+        changes[k] = v;
+      }
+    }
+    if (changes) upd.push(changes);
+  }
+
+  const del = [];
+  for (const e of baseList) {
+    if (!nextIds.has(e.id)) del.push(e.id);
+  }
+
+  if (add.length === 0 && upd.length === 0 && del.length === 0) return null;
+  const out = {};
+  if (add.length) out.add = add;
+  if (upd.length) out.upd = upd;
+  if (del.length) out.del = del;
+  return out;
+}
+
+// Returns { set, lists } describing how to turn `base` into `next`.
+function diffState(base, next) {
+  const set = {};
+  const lists = {};
+
+  for (const [key, value] of Object.entries(next)) {
+    const prev = base[key];
+    if (Array.isArray(value) && Array.isArray(prev) && (isEntityList(value) || isEntityList(prev))) {
+      const d = diffEntityList(prev, value);
+      if (d) lists[key] = d;
+    } else if (!sameValue(prev, value)) {
+      set[key] = value;
+    }
+  }
+  for (const key of Object.keys(base)) {
+    if (!(key in next)) set[key] = null;
+  }
+
+  return { set, lists };
+}
+
+class SnapshotStream {
+  constructor() {
+    this.seq = 0;
+    this.history = new Map(); // seq -> quantized state
+    this.current = null;
+    // Per-tick fields sent alongside the snapshot but never diffed.
+    this.extra = null;
+    // Encoded messages for the current seq, keyed by base seq ("key" = keyframe).
+    this._encoded = new Map();
+  }
+
+  // Stores a new snapshot and returns its sequence number.
+  // `extra` is merged into every message for this tick as-is.
+  push(state, extra = null) {
+    this.seq += 1;
+    this.current = quantize(state);
+    this.extra = extra;
+    this.history.set(this.seq, this.current);
+    this.history.delete(this.seq - HISTORY_SIZE);
+    this._encoded.clear();
+    return this.seq;
+  }
+
+  // Serialised message for a client whose last acknowledged snapshot is ackSeq
+  // (null = never acked / needs a resync).
+  encodeFor(ackSeq) {
+    const keyframeDue = this.seq % KEYFRAME_INTERVAL === 0;
+    const base = ackSeq != null && !keyframeDue ? this.history.get(ackSeq) : null;
+    const cacheKey = base ? ackSeq : "key";
+
+    let payload = this._encoded.get(cacheKey);
+    if (!payload) {
+      const msg = base
+        ? { type: "delta", seq: this.seq, base: ackSeq, ...diffState(base, this.current) }
+        : { type: "state", seq: this.seq, keyframe: true, state: this.current };
+      if (this.extra) Object.assign(msg, this.extra);
+      payload = JSON.stringify(msg);
+      this._encoded.set(cacheKey, payload);
+    }
+    return payload;
+  }
+}
+
+module.exports = { SnapshotStream, diffState, quantize, KEYFRAME_INTERVAL, HISTORY_SIZE };
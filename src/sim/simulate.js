@@ -0,0 +1,266 @@
+// src/sim/simulate.js
+//
+// Headless balance runner: plays many GameCore matches between the server's
+// bots (src/game/bot.js) and reports per-weapon win rates, rounds reached,
+// gold earned and which shop purchases go with winning.
+//
+// Usage:
+//   npm run simulate -- --matches=500 --format=json
+//   node src/sim/simulate.js --matches=200 --bots=easy,hard --weapons=knife,bow --format=csv --out=sim.csv
+//
+// Options:
+//   --matches=N      number of matches (default 200)
+//   --seed=S         base seed; match i uses seed + i (default: random)
+//   --bots=A[,B]     bot difficulty for P1[,P2]: easy | normal | hard (default normal)
+//   --weapons=A,B    fix P1/P2 weapons (default: random per match)
+//   --balance=FILE   balance config to simulate (default src/game/balance.json)
+//   --max-rounds=N   stop a match after this round and call it a timeout (default 25)
+//   --dt=SECONDS     simulation step (default 1/60, same as the server)
+//   --format=F       json | csv (default json)
+//   --out=FILE       write the report to FILE instead of stdout
+
+const fs = require("fs");
+const { GameCore } = require("../game/core");
+const { Rng, randomSeed } = require("../game/rng");
+const { DEFAULT_BALANCE, loadBalance } = require("../game/balance");
+const { BotController, BOT_DIFFICULTIES } = require("../game/bot");
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+    if (m) args[m[1]] = m[2] === undefined ? true : m[2];
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(`simulate: ${message}`);
+  process.exit(1);
+}
+
+function readOptions(argv) {
+  const args = parseArgs(argv);
+  const opts = {
+    matches: Number(args.matches ?? 200),
+    seed: args.seed !== undefined ? Number(args.seed) >>> 0 : randomSeed(),
+    bots: args.bots ? String(args.bots).split(",") : ["normal"],
+    weapons: args.weapons ? String(args.weapons).split(",") : null,
+    maxRounds: Number(args["max-rounds"] ?? 25),
+    dt: Number(args.dt ?? 1 / 60),
+    format: args.format || "json",
+    out: args.out || null,
+    balanceFile: args.balance || null,
+    balance: DEFAULT_BALANCE,
+  };
+
+  if (opts.balanceFile) {
+    try {
+      opts.balance = loadBalance(opts.balanceFile);
+    } catch (err) {
+      fail(`--balance: ${err.message}`);
+    }
+  }
+  const weapons = Object.keys(opts.balance.weapons);
+
+  if (!Number.isInteger(opts.matches) || opts.matches < 1) fail("--matches must be a positive integer");
+  if (opts.bots.length === 1) opts.bots.push(opts.bots[0]);
+  if (opts.bots.length !== 2 || !opts.bots.every(d => Object.hasOwn(BOT_DIFFICULTIES, d))) {
+    fail(`--bots must be one or two of ${Object.keys(BOT_DIFFICULTIES).join(", ")}, e.g. --bots=easy,hard`);
+  }
+  if (opts.weapons && (opts.weapons.length !== 2 || !opts.weapons.every(w => weapons.includes(w)))) {
+    fail(`--weapons must be two of ${weapons.join(", ")}, e.g. --weapons=${weapons.slice(0, 2).join(",")}`);
+  }
+  if (!(opts.dt > 0 && opts.dt <= 0.1)) fail("--dt must be in (0, 0.1]");
+  if (!["json", "csv"].includes(opts.format)) fail("--format must be json or csv");
+  return opts;
+}
+
+// -----------------------------------------------------
+// One match
+// -----------------------------------------------------
+
+function runMatch(seed, opts) {
+  const game = new GameCore({ seed, balance: opts.balance });
+  // Bots get their own stream so their choices don't shift the match's RNG.
+  const botRng = new Rng((seed ^ 0x9e3779b9) >>> 0);
+  const bots = game.players.map((p, i) => new BotController(p.id, opts.bots[i], { rng: botRng }));
+  // Weapons are drawn per match rather than left to the bots, which would
+  // always pick the same top weapons and leave the rest out of the report.
+  const weapons = opts.weapons || game.players.map(() => botRng.pick(Object.keys(opts.balance.weapons)));
+
+  const stats = new Map(game.players.map(p => [p.id, { goldEarned: 0, purchases: {} }]));
+  // Generous cap: a round is at most waveTime + shopTime.
+  const { waveTime, shopTime } = opts.balance.waves;
+  const maxTicks = Math.ceil((opts.maxRounds * (waveTime + shopTime + 1)) / opts.dt);
+  let ticks = 0;
+
+  while (ticks < maxTicks && game.state !== "GAME_OVER" && game.round <= opts.maxRounds) {
+    // Same loop as a room: bot actions first, then their inputs for the step.
+    const inputs = {};
+    bots.forEach((bot, i) => {
+      const p = game.getPlayer(bot.playerId);
+      for (const action of bot.actions(game, opts.dt)) {
+        if (action.type === "weapon_select") action.weaponType = weapons[i];
+        const before = p.gold;
+        game.handleAction(bot.playerId, action);
+        if (action.type === "shop_action" && p.gold < before) {
+          const purchases = stats.get(bot.playerId).purchases;
+          purchases[action.action] = (purchases[action.action] || 0) + 1;
+        }
+      }
+      inputs[bot.playerId] = bot.input(game, opts.dt);
+    });
+
+    game.step(opts.dt, inputs);
+    for (const e of game.drainEvents()) {
+      if (e.type === "pickup_collected" && e.kind === "gold") stats.get(e.playerId).goldEarned += e.amount;
+    }
+    ticks += 1;
+  }
+
+  const winner = game.state === "GAME_OVER" ? game.winner : "timeout";
+  return {
+    seed,
+    winner,
+    round: game.round,
+    ticks,
+    players: game.players.map(p => ({
+      id: p.id,
+      side: p.side,
+      weapon: p.weaponType,
+      won: winner === p.side,
+      decisive: winner === "left" || winner === "right",
+      goldEarned: stats.get(p.id).goldEarned,
+      kills: p.monstersKilled,
+      score: p.score,
+      weaponLevel: p.weaponLevel,
+      upgradePath: p.upgradePath.slice(),
+      purchases: stats.get(p.id).purchases,
+    })),
+  };
+}
+
+// -----------------------------------------------------
+// Aggregation
+// -----------------------------------------------------
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+function summarize(results, opts) {
+  const entries = results.flatMap(r => r.players.map(p => ({ ...p, round: r.round, winner: r.winner })));
+  const decisive = entries.filter(e => e.decisive);
+
+  const outcomes = { left: 0, right: 0, draw: 0, timeout: 0 };
+  for (const r of results) outcomes[r.winner] = (outcomes[r.winner] || 0) + 1;
+
+  const weapons = {};
+  for (const w of Object.keys(opts.balance.weapons)) {
+    const picks = entries.filter(e => e.weapon === w);
+    if (picks.length === 0) continue;
+    const wins = picks.filter(e => e.won).length;
+    const losses = picks.filter(e => e.decisive && !e.won).length;
+    weapons[w] = {
+      picks: picks.length,
+      wins,
+      losses,
+      drawsOrTimeouts: picks.length - wins - losses,
+      winRate: round3(wins / picks.length),
+      avgRoundReached: round3(mean(picks.map(e => e.round))),
+      avgGoldEarned: round3(mean(picks.map(e => e.goldEarned))),
+      avgKills: round3(mean(picks.map(e => e.kills))),
+    };
+  }
+
+  // For each purchase: do players who buy it win more often than those who don't?
+  // Only decisive matches count (a draw has no winner to correlate with).
+  // Shop items in shop order, then whatever else was bought (upgrade tree
+  // nodes, passive items).
+  const actions = new Set(opts.balance.shop.map(item => item.id));
+  for (const e of entries) for (const action of Object.keys(e.purchases)) actions.add(action);
+  const purchases = {};
+  for (const action of actions) {
+    const buyers = decisive.filter(e => (e.purchases[action] || 0) > 0);
+    const others = decisive.filter(e => !(e.purchases[action] > 0));
+    if (buyers.length === 0) continue;
+    const buyerWinRate = buyers.filter(e => e.won).length / buyers.length;
+    const otherWinRate = others.length ? others.filter(e => e.won).length / others.length : 0;
+    purchases[action] = {
+      buyers: buyers.length,
+      buyerWinRate: round3(buyerWinRate),
+      nonBuyerWinRate: round3(otherWinRate),
+      // Positive = buying this goes with winning.
+      winRateLift: round3(buyerWinRate - otherWinRate),
+      avgBoughtByWinners: round3(mean(decisive.filter(e => e.won).map(e => e.purchases[action] || 0))),
+      avgBoughtByLosers: round3(mean(decisive.filter(e => !e.won).map(e => e.purchases[action] || 0))),
+    };
+  }
+
+  return {
+    config: {
+      matches: opts.matches,
+      seed: opts.seed,
+      bots: opts.bots,
+      weapons: opts.weapons,
+      maxRounds: opts.maxRounds,
+      dt: opts.dt,
+      balance: opts.balanceFile || "default",
+    },
+    outcomes,
+    avgRoundReached: round3(mean(results.map(r => r.round))),
+    avgGoldEarned: round3(mean(entries.map(e => e.goldEarned))),
+    weapons,
+    purchases,
+  };
+}
+
+// Long format so every section fits one table: section,key,metric,value
+function toCsv(report) {
+  const rows = [["section", "key", "metric", "value"]];
+  for (const [k, v] of Object.entries(report.outcomes)) rows.push(["outcomes", k, "matches", v]);
+  rows.push(["overall", "all", "avgRoundReached", report.avgRoundReached]);
+  rows.push(["overall", "all", "avgGoldEarned", report.avgGoldEarned]);
+  for (const section of ["weapons", "purchases"]) {
+    for (const [key, metrics] of Object.entries(report[section])) {
+      for (const [metric, value] of Object.entries(metrics)) rows.push([section, key, metric, value]);
+    }
+  }
+  return rows.map(r => r.join(",")).join("\n") + "\n";
+}
+
+// -----------------------------------------------------
+// CLI
+// -----------------------------------------------------
+
+function main() {
+  const opts = readOptions(process.argv.slice(2));
+  const results = [];
+  const startedAt = Date.now();
+
+  for (let i = 0; i < opts.matches; i++) {
+    results.push(runMatch((opts.seed + i) >>> 0, opts));
+    if (process.stderr.isTTY && (i + 1) % 10 === 0) {
+      process.stderr.write(`\r${i + 1}/${opts.matches} matches`);
+    }
+  }
+  if (process.stderr.isTTY) process.stderr.write("\n");
+
+  const report = summarize(results, opts);
+  report.elapsedSeconds = round3((Date.now() - startedAt) / 1000);
+  const text = opts.format === "csv" ? toCsv(report) : JSON.stringify(report, null, 2) + "\n";
+
+  if (opts.out) fs.writeFileSync(opts.out, text);
+  else process.stdout.write(text);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMatch, summarize, toCsv, readOptions };
@@ -0,0 +1,122 @@
+// test/bot.test.js
+//
+// Server-side bot: menu decisions and movement.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameCore, shopActionCost } = require("../src/game/core");
+const { BotController, BOT_DIFFICULTIES } = require("../src/game/bot");
+const { Rng } = require("../src/game/rng");
+
+const DT = 1 / 60;
+
+function bot(difficulty, playerId = 2) {
+  return new BotController(playerId, difficulty, { rng: new Rng(5) });
+}
+
+// Runs the bot's menu logic for `seconds` and applies what it decides.
+function runActions(game, b, seconds) {
+  for (let t = 0; t < seconds; t += DT) {
+    for (const action of b.actions(game, DT)) game.handleAction(b.playerId, action);
+  }
+}
+
+test("unknown difficulties are rejected", () => {
+  assert.throws(() => new BotController(2, "nightmare"), /Unknown bot difficulty/);
+});
+
+test("bots pick a weapon after thinking for a moment", () => {
+  for (const difficulty of Object.keys(BOT_DIFFICULTIES)) {
+    const game = new GameCore({ seed: 1 });
+    const b = bot(difficulty);
+    runActions(game, b, 0.1);
+    assert.equal(game.getPlayer(2).weaponChosen, false);
+    runActions(game, b, BOT_DIFFICULTIES[difficulty].actionDelay * 1.5);
+    assert.ok(game.balance.weapons[game.getPlayer(2).weaponType], difficulty);
+  }
+});
+
+test("bots shop within their means and then ready up", () => {
+  const game = new GameCore({ seed: 1 });
+  game.handleAction(1, { type: "weapon_select", weaponType: "knife" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "bow" });
+  game.step(DT, {});
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.state, "SHOP");
+
+  const p = game.getPlayer(2);
+  p.gold = 150;
+  p.hp = 20;
+  const b = bot("hard");
+  const plan = b.shopPlan(game, p);
+  const spent = plan.reduce((sum, action) => sum + shopActionCost(action, game.balance, p.weaponType), 0);
+  assert.ok(spent <= 150);
+  assert.equal(plan[0], "heal");
+  assert.ok(plan.includes("upgrade:taut_string"));
+
+  runActions(game, b, 2);
+  assert.equal(p.gold, 150 - spent);
+  assert.equal(game.rightReady, true);
+});
+
+test("bots accept a rematch, which starts once the human does too", () => {
+  const game = new GameCore({ seed: 1 });
+  game.handleAction(1, { type: "weapon_select", weaponType: "knife" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "bow" });
+  game.step(DT, {});
+  game.getPlayer(1).hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+
+  runActions(game, bot("normal"), 3);
+  assert.equal(game.getPlayer(2).rematch, true);
+  assert.equal(game.state, "GAME_OVER");
+  game.handleAction(1, { type: "restart" });
+  assert.equal(game.state, "WEAPON_SELECT");
+});
+
+test("bots back away from a monster next to them", () => {
+  const game = new GameCore({ seed: 1 });
+  game.handleAction(1, { type: "weapon_select", weaponType: "knife" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "knife" });
+  game.step(DT, {});
+  const p = game.getPlayer(2);
+  game.spawnMonsterFromWarning({ side: "right", type: "tank", round: 1, x: p.x + 60, y: p.y });
+
+  const keys = bot("hard").input(game, DT);
+  assert.equal(keys.left, true);
+  assert.equal(keys.right, false);
+});
+
+test("bots that dash do so when a monster is on top of them", () => {
+  const game = new GameCore({ seed: 1 });
+  game.handleAction(1, { type: "weapon_select", weaponType: "knife" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "knife" });
+  game.step(DT, {});
+  const p = game.getPlayer(2);
+  assert.deepEqual(bot("normal").actions(game, DT), []);
+  game.spawnMonsterFromWarning({ side: "right", type: "slime", round: 1, x: p.x + 40, y: p.y });
+  assert.deepEqual(bot("normal").actions(game, DT), [{ type: "dash" }]);
+  assert.deepEqual(bot("easy").actions(game, DT), []);
+});
+
+test("in manual aim mode bots aim at and fire on the nearest monster", () => {
+  const game = new GameCore({ seed: 1, aimMode: "manual" });
+  game.handleAction(1, { type: "weapon_select", weaponType: "knife" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "knife" });
+  game.step(DT, {});
+  const b = bot("normal");
+  assert.equal(b.input(game, DT).fire, false);
+
+  const p = game.getPlayer(2);
+  game.spawnMonsterFromWarning({ side: "right", type: "slime", round: 1, x: p.x, y: p.y - 200 });
+  const input = b.input(game, DT);
+  assert.equal(input.fire, true);
+  assert.ok(input.aimY < -0.99);
+});
+
+test("bots stand still outside of a round", () => {
+  const game = new GameCore({ seed: 1 });
+  assert.deepEqual(bot("hard").input(game, DT), { up: false, down: false, left: false, right: false });
+});
@@ -0,0 +1,1002 @@
+// test/core.test.js
+//
+// GameCore unit tests: state machine, shop, upgrade trees, wave planning, combat, dash, aim modes, pickups.
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameCore, shopActionCost, FENCE_X } = require("../src/game/core");
+const { DEFAULT_BALANCE, parseBalance } = require("../src/game/balance");
+
+const DT = 1 / 60;
+
+// A match that's past weapon select (round 1, PLAYING).
+function startedGame(weapons = ["knife", "spear"], options = {}) {
+  const game = new GameCore({ seed: 1, ...options });
+  game.handleAction(1, { type: "weapon_select", weaponType: weapons[0] });
+  game.handleAction(2, { type: "weapon_select", weaponType: weapons[1] });
+  game.step(DT, {});
+  return game;
+}
+
+// A match sitting in the shop after round 1, with some gold to spend.
+function shopGame(gold = 500) {
+  const game = startedGame();
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  for (const p of game.players) p.gold = gold;
+  return game;
+}
+
+function buy(game, playerId, action) {
+  game.handleAction(playerId, { type: "shop_action", action });
+}
+
+// Spawns a monster right now (skipping the warning telegraph).
+function spawnMonster(game, side, x, y, type = "slime") {
+  game.spawnMonsterFromWarning({ side, type, round: game.round, x, y });
+  return game.monsters[game.monsters.length - 1];
+}
+
+// Players never shoot on their own during a hand-built combat test.
+function holdFire(game) {
+  for (const p of game.players) p.weaponTimer = 999;
+}
+
+// -----------------------------------------------------
+// State machine
+// -----------------------------------------------------
+
+test("a match starts in weapon select and begins once both players chose", () => {
+  const game = new GameCore({ seed: 1 });
+  assert.equal(game.state, "WEAPON_SELECT");
+
+  game.handleAction(1, { type: "weapon_select", weaponType: "axe" });
+  game.step(DT, {});
+  assert.equal(game.state, "WEAPON_SELECT");
+
+  game.handleAction(2, { type: "weapon_select", weaponType: "not-a-weapon" });
+  game.step(DT, {});
+  assert.equal(game.state, "WEAPON_SELECT");
+  assert.equal(game.getPlayer(2).weaponChosen, false);
+
+  game.handleAction(2, { type: "weapon_select", weaponType: "bow" });
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.round, 1);
+  assert.equal(game.getPlayer(1).weaponType, "axe");
+});
+
+test("the wave timer moves to the shop, and ready or the shop timer starts the next round", () => {
+  const game = startedGame();
+  game.getPlayer(1).grenadesBoughtThisRound = 2;
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.state, "SHOP");
+  assert.equal(game.shopLeft, DEFAULT_BALANCE.waves.shopTime);
+  assert.equal(game.getPlayer(1).grenadesBoughtThisRound, 0);
+
+  game.handleAction(1, { type: "ready" });
+  game.step(DT, {});
+  assert.equal(game.state, "SHOP");
+  game.handleAction(2, { type: "ready" });
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.round, 2);
+
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  game.shopLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.round, 3);
+});
+
+test("game over when a player dies; restart goes back to weapon select", () => {
+  const game = startedGame();
+  game.getPlayer(1).hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, "right");
+
+  // Restarting is a rematch vote: it takes both players.
+  game.handleAction(1, { type: "restart" });
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.getPlayer(1).rematch, true);
+  game.handleAction(2, { type: "restart" });
+  assert.equal(game.state, "WEAPON_SELECT");
+  assert.equal(game.round, 1);
+  assert.equal(game.getPlayer(1).hp, game.getPlayer(1).maxHp);
+  assert.equal(game.getPlayer(1).weaponType, null);
+});
+
+test("a forfeit after the other player's rematch vote starts the rematch", () => {
+  const game = startedGame();
+  game.getPlayer(1).hp = 0;
+  game.step(DT, {});
+  game.handleAction(2, { type: "restart" });
+  assert.equal(game.state, "GAME_OVER");
+  game.handleAction(1, { type: "forfeit" });
+  assert.equal(game.state, "WEAPON_SELECT");
+});
+
+test("both players dying on the same tick goes to sudden death", () => {
+  const game = startedGame();
+  const rules = DEFAULT_BALANCE.rules;
+  for (const p of game.players) p.hp = 0;
+  game.drainEvents();
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.suddenDeath, true);
+  assert.ok(game.drainEvents().some(e => e.type === "sudden_death"));
+  for (const p of game.players) {
+    assert.equal(p.hp, rules.suddenDeathHp);
+    assert.ok(p.isInvulnerable);
+  }
+
+  // Another double knock-out goes to the better score, then a draw.
+  game.getPlayer(2).score = 10;
+  for (const p of game.players) p.hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, "right");
+
+  const level = startedGame();
+  level.suddenDeath = true;
+  for (const p of level.players) p.hp = 0;
+  level.step(DT, {});
+  assert.equal(level.winner, "draw");
+});
+
+// Ends the running game with `side` wiped out, then has everyone vote for
+// the rematch.
+function loseAndRematch(game, side) {
+  for (const p of game.teamPlayers(side)) p.hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  const exported = game.exportState().series;
+  for (const p of game.players) game.handleAction(p.id, { type: "restart" });
+  return exported;
+}
+
+test("best-of series keep score across games and swap sides in between", () => {
+  const game = startedGame(["knife", "spear"], { seriesLength: 3 });
+  assert.deepEqual(game.exportState().series, { length: 3, game: 1, wins: [0, 0], swapped: false, winner: null });
+
+  // P1 (left) wins game 1; P2 is on the left for game 2.
+  assert.deepEqual(loseAndRematch(game, "right").wins, [1, 0]);
+  assert.equal(game.state, "WEAPON_SELECT");
+  assert.equal(game.getPlayer(1).side, "right");
+  assert.equal(game.getPlayer(2).side, "left");
+  assert.ok(game.getPlayer(2).x < FENCE_X);
+  assert.equal(game.series.game, 2);
+
+  // P2 evens it up from the left, then P1 takes the decider from the left.
+  for (const p of game.players) game.handleAction(p.id, { type: "weapon_select", weaponType: "knife" });
+  game.step(DT, {});
+  assert.deepEqual(loseAndRematch(game, "right").wins, [1, 1]);
+  for (const p of game.players) game.handleAction(p.id, { type: "weapon_select", weaponType: "knife" });
+  game.step(DT, {});
+  const decided = loseAndRematch(game, "right");
+  assert.deepEqual(decided.wins, [2, 1]);
+  assert.equal(decided.winner, 0);
+
+  // A decided series starts over.
+  assert.deepEqual(game.series.wins, [0, 0]);
+  assert.equal(game.series.game, 1);
+  assert.equal(game.series.winner, null);
+});
+
+test("a forfeit before the match doesn't stick to the slot", () => {
+  // Someone leaves during weapon select and the slot is taken over.
+  const game = new GameCore({ seed: 1 });
+  game.handleAction(2, { type: "weapon_select", weaponType: "spear" });
+  game.handleAction(2, { type: "forfeit" });
+  assert.equal(game.getPlayer(2).forfeited, false);
+  game.handleAction(1, { type: "weapon_select", weaponType: "knife" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "spear" });
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+
+  // So a double knock-out revives both players.
+  for (const p of game.players) p.hp = 0;
+  game.step(DT, {});
+  assert.equal(game.suddenDeath, true);
+  assert.ok(game.players.every(p => p.isAlive));
+});
+
+test("single games keep their sides on a rematch", () => {
+  const game = startedGame(["knife", "spear"]);
+  loseAndRematch(game, "right");
+  assert.equal(game.state, "WEAPON_SELECT");
+  assert.equal(game.series.swapped, false);
+  assert.equal(game.getPlayer(1).side, "left");
+  assert.equal(game.getPlayer(2).side, "right");
+});
+
+// -----------------------------------------------------
+// Win conditions
+// -----------------------------------------------------
+
+test("with lives, players respawn with i-frames until their stock runs out", () => {
+  const game = startedGame(["knife", "spear"], { winCondition: "lives" });
+  const rules = DEFAULT_BALANCE.rules;
+  const p1 = game.getPlayer(1);
+  assert.equal(p1.lives, rules.lives);
+  holdFire(game);
+
+  for (let life = rules.lives; life > 1; life--) {
+    p1.x += 50;
+    p1.hp = 0;
+    game.step(DT, {});
+    assert.equal(game.state, "PLAYING");
+    assert.equal(p1.lives, life - 1);
+    assert.equal(p1.hp, p1.maxHp);
+    assert.ok(p1.isInvulnerable);
+    assert.equal(game.exportState().players[0].lives, life - 1);
+  }
+  p1.hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, "right");
+
+  // A forfeit doesn't come back.
+  const left = startedGame(["knife", "spear"], { winCondition: "lives" });
+  left.handleAction(2, { type: "forfeit" });
+  left.step(DT, {});
+  assert.equal(left.winner, "left");
+});
+
+test("the kill race ends at the kill target, level counts go to the next kill", () => {
+  const target = DEFAULT_BALANCE.rules.killTarget;
+  const game = startedGame(["knife", "spear"], { winCondition: "kills" });
+  holdFire(game);
+  game.getPlayer(1).monstersKilled = target - 1;
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+
+  game.getPlayer(1).monstersKilled = target;
+  game.getPlayer(2).monstersKilled = target;
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.suddenDeath, true);
+
+  game.getPlayer(2).monstersKilled += 1;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, "right");
+});
+
+test("the score race is decided after its last round, a tie by the next point", () => {
+  const balance = parseBalance({ rules: { scoreRounds: 2 } });
+  const game = startedGame(["knife", "spear"], { winCondition: "score", balance });
+  holdFire(game);
+  game.getPlayer(1).score = 50;
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.state, "SHOP");
+
+  game.shopLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.round, 2);
+  holdFire(game);
+  game.getPlayer(2).score = 50;
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.state, "SHOP");
+  assert.equal(game.suddenDeath, true);
+
+  // Sudden death doesn't wait for the wave to end: the next point wins.
+  game.shopLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.round, 3);
+  holdFire(game);
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  game.getPlayer(1).score += 10;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, "left");
+
+  // Versus only.
+  assert.equal(new GameCore({ mode: "coop", winCondition: "kills" }).winCondition, "elimination");
+});
+
+// -----------------------------------------------------
+// 2v2
+// -----------------------------------------------------
+
+// A 2v2 match in round 1 (players 1 + 3 on the left, 2 + 4 on the right).
+function teamGame() {
+  const game = new GameCore({ seed: 1, teamSize: 2 });
+  for (const [id, weapon] of [[1, "knife"], [2, "axe"], [3, "bow"]]) {
+    game.handleAction(id, { type: "weapon_select", weaponType: weapon });
+  }
+  game.step(DT, {});
+  assert.equal(game.state, "WEAPON_SELECT");
+  game.handleAction(4, { type: "weapon_select", weaponType: "spear" });
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  return game;
+}
+
+test("2v2 puts two players on each half and only ends when a whole side is down", () => {
+  const game = teamGame();
+  assert.deepEqual(game.players.map(p => [p.id, p.side]), [[1, "left"], [2, "right"], [3, "left"], [4, "right"]]);
+  assert.notEqual(game.getPlayer(1).y, game.getPlayer(3).y);
+  assert.ok(game.getPlayer(3).x < FENCE_X);
+
+  // A fallen teammate stays put; their partner plays on.
+  const fallen = game.getPlayer(1);
+  fallen.hp = 0;
+  const x = fallen.x;
+  game.step(DT, { 1: { right: true } });
+  assert.equal(game.state, "PLAYING");
+  assert.equal(fallen.x, x);
+
+  game.getPlayer(3).hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, "right");
+});
+
+test("2v2 shops wait for everyone standing and curses hit the whole enemy team", () => {
+  const game = teamGame();
+  game.getPlayer(4).hp = 0;
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  for (const p of game.players) p.gold = 100;
+
+  buy(game, 1, "curse:slow");
+  assert.ok(game.getPlayer(2).effects.has("slow"));
+  assert.equal(game.getPlayer(4).effects.has("slow"), false);
+  // The fallen can't shop.
+  buy(game, 4, "heal");
+  assert.equal(game.getPlayer(4).hp, 0);
+
+  game.handleAction(1, { type: "ready" });
+  game.handleAction(2, { type: "ready" });
+  game.step(DT, {});
+  assert.equal(game.state, "SHOP");
+  assert.equal(game.leftReady, false);
+  assert.equal(game.rightReady, true);
+  game.handleAction(3, { type: "ready" });
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.round, 2);
+});
+
+test("a 2v2 player who forfeits in the shop is out and isn't waited on", () => {
+  const game = teamGame();
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.state, "SHOP");
+
+  game.handleAction(3, { type: "forfeit" });
+  assert.equal(game.getPlayer(3).isAlive, false);
+  assert.equal(game.state, "SHOP");
+  for (const id of [1, 2, 4]) game.handleAction(id, { type: "ready" });
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.getPlayer(3).isTargetable, false);
+
+  // Losing the last player on a side in the shop ends the match there.
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  game.handleAction(1, { type: "forfeit" });
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, "right");
+});
+
+test("2v2 auto aim picks the monster nearest to each player", () => {
+  const game = teamGame();
+  holdFire(game);
+  const [p1, p3] = [game.getPlayer(1), game.getPlayer(3)];
+  const near1 = spawnMonster(game, "left", p1.x, p1.y - 50);
+  const near3 = spawnMonster(game, "left", p3.x, p3.y + 50);
+  assert.equal(game.nearestMonster("left", p1), near1);
+  assert.equal(game.nearestMonster("left", p3), near3);
+  near1.speed = near3.speed = 0;
+  game.step(DT, {});
+  assert.ok(p1.aimDy < 0);
+  assert.ok(p3.aimDy > 0);
+});
+
+// A co-op match past weapon select (round 1, PLAYING).
+function coopGame() {
+  const game = startedGame(["knife", "axe"], { mode: "coop" });
+  assert.equal(game.state, "PLAYING");
+  return game;
+}
+
+test("co-op puts everyone on one team in an arena without the fence", () => {
+  const game = coopGame();
+  assert.deepEqual(game.players.map(p => p.side), ["left", "left"]);
+  assert.ok(game.getPlayer(2).x > FENCE_X);
+  assert.deepEqual(game.halfBounds("left"), { minX: 0, maxX: FENCE_X * 2 });
+  assert.equal(game.pastFence("left", FENCE_X + 100), false);
+
+  // Walking across the middle is fine.
+  const p1 = game.getPlayer(1);
+  p1.x = FENCE_X - 10;
+  for (let i = 0; i < 10; i++) game.step(DT, { 1: { right: true } });
+  assert.ok(p1.x > FENCE_X);
+
+  // Twice the monsters, and none for the empty right side.
+  assert.equal(game.baseTarget, game.normalTarget * 2);
+  game.waveLeft = 0.5;
+  for (let i = 0; i < 600 && game.state === "PLAYING"; i++) game.step(DT, {});
+  assert.ok(game.baseSpawnedLeft > 0);
+  assert.equal(game.baseSpawnedRight, 0);
+  assert.equal(game.exportState().mode, "coop");
+});
+
+test("co-op shops sell team items instead of sends", () => {
+  const game = coopGame();
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  const [p1, p2] = game.players;
+  p1.gold = 100;
+  p1.hp = 50;
+  p2.hp = 50;
+
+  buy(game, 1, "send:slime");
+  buy(game, 1, "curse:slow");
+  assert.equal(p1.gold, 100);
+  assert.equal(shopActionCost("send:slime", game.balance, null, "coop"), null);
+
+  buy(game, 1, "team_heal");
+  const heal = DEFAULT_BALANCE.shop.find(item => item.id === "team_heal");
+  assert.equal(p1.hp, 50 + heal.amount);
+  assert.equal(p2.hp, 50 + heal.amount);
+  buy(game, 1, "team:haste");
+  assert.ok(p1.effects.has("haste") && p2.effects.has("haste"));
+
+  // Versus doesn't sell team items.
+  const versus = shopGame();
+  buy(versus, 1, "team_heal");
+  assert.equal(versus.getPlayer(1).gold, 500);
+  assert.throws(
+    () => parseBalance({ shop: [{ id: "heal", cost: 5, amount: 10, modes: ["ranked"] }] }),
+    /shop item "heal" modes must be a list of versus, coop, solo/
+  );
+});
+
+test("co-op teammates revive each other and the match ends when all are down", () => {
+  const game = coopGame();
+  holdFire(game);
+  const coop = DEFAULT_BALANCE.coop;
+  const [p1, p2] = game.players;
+  p1.hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+
+  // Too far away: no progress.
+  p2.x = p1.x + coop.reviveRadius + 50;
+  p2.y = p1.y;
+  game.step(DT, {});
+  assert.equal(p1.reviveProgress, 0);
+
+  p2.x = p1.x + coop.reviveRadius / 2;
+  game.drainEvents();
+  for (let i = 0; i < Math.ceil(coop.reviveTime / DT) + 1; i++) game.step(DT, {});
+  assert.equal(p1.hp, coop.reviveHp);
+  assert.ok(game.drainEvents().some(e => e.type === "player_revived" && e.playerId === 1 && e.reviverId === 2));
+
+  p1.hp = 0;
+  p2.hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, null);
+});
+
+test("co-op players who forfeit aren't revived", () => {
+  const game = coopGame();
+  holdFire(game);
+  const coop = DEFAULT_BALANCE.coop;
+  const [p1, p2] = game.players;
+  game.handleAction(2, { type: "forfeit" });
+  p1.x = p2.x + coop.reviveRadius / 2;
+  p1.y = p2.y;
+  for (let i = 0; i < Math.ceil(coop.reviveTime / DT) + 1; i++) game.step(DT, {});
+  assert.equal(p2.isAlive, false);
+  assert.equal(p2.reviveProgress, 0);
+  assert.equal(game.exportState().players[1].forfeited, true);
+});
+
+test("solo gives one player the whole arena and ends when they go down", () => {
+  const game = new GameCore({ seed: 1, mode: "solo", teamSize: 2 });
+  assert.equal(game.players.length, 1);
+  game.handleAction(1, { type: "weapon_select", weaponType: "bow" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "axe" });
+  game.step(DT, {});
+  assert.equal(game.state, "PLAYING");
+  assert.equal(game.getPlayer(1).x, FENCE_X);
+  assert.equal(game.pastFence("left", FENCE_X + 100), false);
+  assert.equal(game.baseTarget, game.normalTarget);
+
+  // No one to send monsters to or share with.
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  const p1 = game.getPlayer(1);
+  p1.gold = 100;
+  buy(game, 1, "send:slime");
+  buy(game, 1, "team_heal");
+  assert.equal(p1.gold, 100);
+  game.handleAction(1, { type: "ready" });
+  game.step(DT, {});
+  assert.equal(game.round, 2);
+
+  p1.hp = 0;
+  game.step(DT, {});
+  assert.equal(game.state, "GAME_OVER");
+  assert.equal(game.winner, null);
+});
+
+test("the same seed and inputs give the same match", () => {
+  const run = () => {
+    const game = startedGame(["bow", "axe"], { seed: 99 });
+    for (let i = 0; i < 600; i++) game.step(DT, { 1: { up: i % 90 < 45 }, 2: { left: true } });
+    return JSON.stringify(game.exportState());
+  };
+  assert.equal(run(), run());
+});
+
+// -----------------------------------------------------
+// Shop
+// -----------------------------------------------------
+
+test("shop actions only work in the shop and only when affordable", () => {
+  const game = startedGame();
+  game.getPlayer(1).gold = 500;
+  buy(game, 1, "heal");
+  assert.equal(game.getPlayer(1).gold, 500);
+
+  const shop = shopGame(5);
+  buy(shop, 1, "upgrade:sharpened");
+  assert.equal(shop.getPlayer(1).gold, 5);
+  assert.deepEqual(shop.getPlayer(1).upgradePath, []);
+
+  buy(shop, 1, "not_an_item");
+  assert.equal(shop.getPlayer(1).gold, 5);
+});
+
+test("upgrade tree nodes need their parent and lock their siblings", () => {
+  const game = shopGame();
+  const p = game.getPlayer(1); // knife
+  const tree = DEFAULT_BALANCE.weaponUpgrades.trees.knife;
+
+  buy(game, 1, "upgrade:more_blades");
+  buy(game, 1, "upgrade:heft"); // the axe's
+  assert.deepEqual(p.upgradePath, []);
+
+  buy(game, 1, "upgrade:sharpened");
+  assert.equal(p.gold, 500 - tree.sharpened.cost);
+  assert.equal(p.weaponDamage, DEFAULT_BALANCE.weapons.knife.damage * (1 + tree.sharpened.effects.damage));
+
+  buy(game, 1, "upgrade:serrated");
+  buy(game, 1, "upgrade:more_blades");
+  assert.deepEqual(p.upgradePath, ["sharpened", "serrated"]);
+  assert.equal(p.weaponStats.critChance, tree.serrated.effects.critChance);
+  assert.equal(p.weaponStats.count, DEFAULT_BALANCE.weapons.knife.count);
+
+  buy(game, 1, "upgrade:shatter");
+  buy(game, 1, "upgrade:assassin");
+  assert.deepEqual(p.upgradePath, ["sharpened", "serrated", "shatter"]);
+  assert.equal(p.weaponLevel, 4);
+  assert.deepEqual(p.availableUpgrades(), []);
+  assert.equal(p.gold, 500 - tree.sharpened.cost - tree.serrated.cost - tree.shatter.cost);
+  assert.deepEqual(game.exportState().players[0].upgradePath, ["sharpened", "serrated", "shatter"]);
+
+  // The old one-button upgrade takes the first open node.
+  buy(game, 2, "upgrade_weapon");
+  assert.deepEqual(game.getPlayer(2).upgradePath, ["tempered"]);
+});
+
+test("heal is capped at max hp", () => {
+  const game = shopGame();
+  const p = game.getPlayer(1);
+  p.hp = p.maxHp - 5;
+  buy(game, 1, "heal");
+  assert.equal(p.hp, p.maxHp);
+  assert.equal(p.gold, 500 - shopActionCost("heal"));
+});
+
+test("sending mobs, bosses and grenades queues them for the opponent", () => {
+  const game = shopGame();
+  buy(game, 1, "send:fast");
+  buy(game, 1, "send:fast");
+  buy(game, 2, "send:tank");
+  buy(game, 1, "send_boss");
+  assert.equal(game.pendingPacks.right.fast, 2);
+  assert.equal(game.pendingPacks.left.tank, 1);
+  assert.deepEqual(game.pendingBosses.right, ["boss1"]);
+  assert.deepEqual(game.pendingBosses.left, []);
+
+  // The old "send_mobs" name still means slimes.
+  buy(game, 2, "send_mobs");
+  assert.equal(game.pendingPacks.left.slime, 1);
+});
+
+test("grenades are limited per player per shop", () => {
+  const game = shopGame();
+  const max = DEFAULT_BALANCE.grenade.maxPerRound;
+  for (let i = 0; i < max + 2; i++) buy(game, 1, "send_grenade");
+  assert.equal(game.pendingGrenades.right.length, max);
+  assert.equal(game.getPlayer(1).gold, 500 - max * shopActionCost("send_grenade"));
+});
+
+test("shop prices come from the balance config", () => {
+  const balance = parseBalance({
+    shop: [{ id: "heal", cost: 1, amount: 50 }],
+  });
+  assert.equal(shopActionCost("heal", balance), 1);
+  assert.equal(shopActionCost("upgrade_weapon", balance), null);
+  assert.equal(shopActionCost("upgrade:sharpened", balance, "knife"), 10);
+  assert.equal(shopActionCost("upgrade:sharpened", balance, "axe"), null);
+
+  const game = startedGame(undefined, { balance });
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  const p = game.getPlayer(1);
+  p.gold = 3;
+  p.hp = 10;
+  buy(game, 1, "heal");
+  buy(game, 1, "upgrade_weapon");
+  assert.equal(p.gold, 2);
+  assert.equal(p.hp, 60);
+  assert.deepEqual(p.upgradePath, []);
+});
+
+// -----------------------------------------------------
+// Wave planning
+// -----------------------------------------------------
+
+test("startNewRound turns shop purchases into next wave's spawn plan", () => {
+  const game = shopGame();
+  buy(game, 1, "send:fast");
+  buy(game, 1, "send:slime");
+  buy(game, 1, "send_boss");
+  buy(game, 2, "send_grenade");
+  game.handleAction(1, { type: "ready" });
+  game.handleAction(2, { type: "ready" });
+  game.step(DT, {});
+
+  assert.equal(game.round, 2);
+  const amount = id => DEFAULT_BALANCE.shop.find(item => item.id === id).amount;
+  // Bosses first, then the packs.
+  assert.equal(game.extraPlanRight[0], "boss1");
+  assert.equal(game.extraPlanRight.filter(t => t === "fast").length, amount("send:fast"));
+  assert.equal(game.extraPlanRight.filter(t => t === "slime").length, amount("send:slime"));
+  assert.deepEqual(game.extraPlanLeft, []);
+  assert.deepEqual(
+    Object.values(game.pendingPacks.right),
+    Object.keys(DEFAULT_BALANCE.monsters.types).map(() => 0)
+  );
+
+  assert.equal(game.grenades.length, 1);
+  assert.equal(game.grenades[0].side, "left");
+  assert.ok(game.grenades[0].x < FENCE_X);
+});
+
+test("boss rounds force boss spawns without shrinking later waves", () => {
+  const game = startedGame();
+  const targets = {};
+  while (game.round < 16) {
+    targets[game.round] = { base: game.baseTarget, forced: game._forcedBaseType };
+    game.waveLeft = DT / 2;
+    game.step(DT, {});
+    game.shopLeft = DT / 2;
+    game.step(DT, {});
+    // Keep both players alive through the fast-forward.
+    for (const p of game.players) p.hp = p.maxHp;
+  }
+  targets[game.round] = { base: game.baseTarget, forced: game._forcedBaseType };
+
+  assert.deepEqual(targets[5], { base: 1, forced: "boss1" });
+  assert.deepEqual(targets[10], { base: 1, forced: "boss1" });
+  assert.deepEqual(targets[15], { base: 1, forced: "boss2" });
+  assert.equal(targets[4].forced, null);
+  // The round after a boss keeps scaling up from the last normal round.
+  assert.ok(targets[6].base > targets[4].base);
+});
+
+// -----------------------------------------------------
+// Combat
+// -----------------------------------------------------
+
+function bulletAt(game, owner, weaponType, x, y) {
+  const cfg = DEFAULT_BALANCE.weapons[weaponType];
+  const b = {
+    id: game.nextBulletId++,
+    ownerId: owner.id,
+    side: owner.side,
+    x,
+    y,
+    vx: 0,
+    vy: 0,
+    damage: cfg.damage,
+    weaponType,
+    pierce: cfg.pierce,
+    lifetime: 1,
+    // A plain projectile whatever the weapon's own behaviour is.
+    behaviour: "straight",
+    age: 0,
+    hitIds: new Set(),
+  };
+  game.bullets.push(b);
+  return b;
+}
+
+test("non-piercing bullets stop at the first monster, piercing ones carry on", () => {
+  const game = startedGame(["knife", "spear"]);
+  holdFire(game);
+  const p1 = game.getPlayer(1);
+  const p2 = game.getPlayer(2);
+
+  const leftMonster = spawnMonster(game, "left", 100, 100);
+  const rightMonster = spawnMonster(game, "right", FENCE_X + 100, 100);
+  const hpBefore = leftMonster.hp;
+  const knife = bulletAt(game, p1, "knife", 100, 100);
+  const spear = bulletAt(game, p2, "spear", FENCE_X + 100, 100);
+
+  game.step(0.001, {});
+
+  assert.equal(leftMonster.hp, hpBefore - DEFAULT_BALANCE.weapons.knife.damage);
+  assert.equal(rightMonster.hp, hpBefore - DEFAULT_BALANCE.weapons.spear.damage);
+  assert.ok(!game.bullets.includes(knife));
+  assert.ok(game.bullets.includes(spear));
+  assert.equal(spear.pierce, DEFAULT_BALANCE.weapons.spear.pierce - 1);
+});
+
+test("kills are credited to the bullet owner", () => {
+  const game = startedGame();
+  holdFire(game);
+  const m = spawnMonster(game, "left", 100, 100);
+  m.hp = 1;
+  bulletAt(game, game.getPlayer(1), "knife", 100, 100);
+  game.step(0.001, {});
+  assert.equal(game.monsters.includes(m), false);
+  assert.equal(game.getPlayer(1).monstersKilled, 1);
+  assert.equal(game.getPlayer(2).monstersKilled, 0);
+});
+
+test("grenades only hurt their own half, with falloff", () => {
+  const game = startedGame();
+  holdFire(game);
+  const p1 = game.getPlayer(1);
+  const p2 = game.getPlayer(2);
+  const g = DEFAULT_BALANCE.grenade;
+  game.grenades.push({ id: 1, side: "left", x: p1.x, y: p1.y, timer: 0.0005, radius: g.radius, damage: g.damage });
+  game.grenades.push({ id: 2, side: "left", x: p1.x + g.radius / 2, y: p1.y, timer: 0.5, radius: g.radius, damage: g.damage });
+
+  game.step(0.001, {});
+  // Dead centre: full damage.
+  assert.equal(p1.hp, p1.maxHp - g.damage);
+  assert.equal(p2.hp, p2.maxHp);
+  assert.equal(game.grenades.length, 1);
+
+  // It sets you on fire, too.
+  assert.ok(p1.effects.has(g.effect));
+
+  // Half the radius away: 0.4 + 0.6 * 0.5 of the damage.
+  p1.hp = p1.maxHp;
+  p1.effects.clear();
+  game.step(0.5, {});
+  assert.ok(Math.abs(p1.hp - (p1.maxHp - g.damage * 0.7)) < 1e-9);
+  assert.equal(p2.hp, p2.maxHp);
+  assert.equal(game.grenades.length, 0);
+});
+
+test("monster contact hurts the player and removes the monster", () => {
+  const game = startedGame();
+  holdFire(game);
+  const p1 = game.getPlayer(1);
+  const m = spawnMonster(game, "left", p1.x + 5, p1.y);
+  game.step(0.001, {});
+  assert.equal(p1.hp, p1.maxHp - DEFAULT_BALANCE.player.contactDamage);
+  assert.equal(game.monsters.includes(m), false);
+});
+
+test("grenade kills are credited to the buyer and roll drops like bullet kills", () => {
+  const balance = parseBalance({ drops: { goldChance: 1 } });
+  const game = startedGame(["knife", "spear"], { balance });
+  holdFire(game);
+  const g = balance.grenade;
+  const m = spawnMonster(game, "left", 100, 100);
+  game.grenades.push({ id: 1, ownerId: 2, side: "left", x: 100, y: 100, timer: 0.0005, radius: g.radius, damage: m.hp });
+
+  game.step(0.001, {});
+  assert.equal(game.monsters.includes(m), false);
+  assert.equal(game.getPlayer(2).monstersKilled, 1);
+  assert.equal(game.getPlayer(2).score, balance.scoring.kill);
+  assert.equal(game.goldDrops.length, 1);
+});
+
+test("hits, kills, explosions and pickups are reported as events", () => {
+  const game = startedGame();
+  holdFire(game);
+  const p1 = game.getPlayer(1);
+  game.drainEvents();
+
+  const shot = spawnMonster(game, "left", 100, 100);
+  shot.hp = 1;
+  bulletAt(game, p1, "knife", 100, 100);
+  const touching = spawnMonster(game, "left", p1.x + 5, p1.y);
+  game.goldDrops.push({ id: 9, x: p1.x, y: p1.y, amount: 7 });
+  game.step(0.001, {});
+
+  const events = game.drainEvents();
+  const kills = events.filter(e => e.type === "monster_killed");
+  assert.deepEqual(kills.map(e => [e.monsterId, e.killerId, e.source.kind]), [
+    [shot.id, 1, "weapon"],
+    [touching.id, null, "contact"],
+  ]);
+  const hit = events.find(e => e.type === "player_hit");
+  assert.equal(hit.playerId, 1);
+  assert.equal(hit.amount, DEFAULT_BALANCE.player.contactDamage);
+  assert.deepEqual(hit.source, { kind: "contact", monsterId: touching.id });
+  assert.ok(events.some(e => e.type === "pickup_collected" && e.kind === "gold" && e.amount === 7));
+  // Contact deaths aren't kills.
+  assert.equal(p1.monstersKilled, 1);
+  assert.deepEqual(game.drainEvents(), []);
+
+  // Spitter blobs name the spitter; grenades announce themselves.
+  game.enemyBullets.push({ id: 1, monsterId: 42, side: "left", x: p1.x, y: p1.y, vx: 0, vy: 0, damage: 5, lifetime: 1 });
+  game.grenades.push({ id: 3, ownerId: 2, side: "left", x: 100, y: 500, timer: 0.0005, radius: 10, damage: 1 });
+  game.step(0.001, {});
+  const later = game.drainEvents();
+  assert.deepEqual(later.find(e => e.type === "player_hit").source, { kind: "spitter", monsterId: 42 });
+  assert.ok(later.some(e => e.type === "grenade_exploded" && e.ownerId === 2));
+});
+
+test("undrained events are capped", () => {
+  const game = new GameCore({ seed: 1 });
+  for (let i = 0; i < 2000; i++) game.emit("ping", { i });
+  const events = game.drainEvents();
+  assert.ok(events.length < 2000);
+  assert.equal(events.at(-1).i, 1999);
+});
+
+// -----------------------------------------------------
+// Dash
+// -----------------------------------------------------
+
+test("dash bursts along the last movement direction and stays on its half", () => {
+  const game = startedGame();
+  holdFire(game);
+  const p = game.getPlayer(1);
+  const dash = DEFAULT_BALANCE.dash;
+  game.step(DT, { 1: { right: true } });
+  const x0 = p.x;
+  // What the client needs to predict the dash.
+  const exported = game.exportState().players[0];
+  assert.equal(exported.dashSpeed, dash.speed);
+  assert.deepEqual([exported.moveDx, exported.moveDy], [1, 0]);
+
+  game.handleAction(1, { type: "dash" });
+  assert.equal(p.dashCooldown, dash.cooldown);
+  for (let t = 0; t < dash.duration + DT; t += DT) game.step(DT, {});
+  assert.ok(p.x - x0 > dash.speed * dash.duration * 0.9);
+  assert.ok(p.x <= FENCE_X - 40 - p.width / 2);
+  assert.equal(game.exportState().players[0].isDashing, false);
+
+  // On cooldown: nothing happens.
+  const x1 = p.x;
+  game.handleAction(1, { type: "dash" });
+  game.step(DT, {});
+  assert.equal(p.x, x1);
+  assert.ok(game.exportState().players[0].dashCooldown > 0);
+});
+
+test("dash i-frames ignore contact and spitter blobs", () => {
+  const game = startedGame();
+  holdFire(game);
+  const p = game.getPlayer(1);
+  game.handleAction(1, { type: "dash" });
+  assert.ok(p.isInvulnerable);
+  p.dashTimer = 0; // stay put for the test
+  const m = spawnMonster(game, "left", p.x + 5, p.y);
+  game.enemyBullets.push({ id: 1, monsterId: 0, side: "left", x: p.x, y: p.y, vx: 0, vy: 0, damage: 5, lifetime: 1 });
+  game.step(0.001, {});
+  assert.equal(p.hp, p.maxHp);
+  assert.ok(game.monsters.includes(m));
+  assert.equal(game.enemyBullets.length, 1);
+
+  // Once they run out, contact hurts again.
+  p.invulnerableTimer = 0;
+  game.step(0.001, {});
+  assert.equal(p.hp, p.maxHp - DEFAULT_BALANCE.player.contactDamage - 5);
+});
+
+test("dash upgrades shorten the cooldown up to their cap", () => {
+  const game = shopGame();
+  const p = game.getPlayer(1);
+  const base = p.dashCooldownMax;
+  for (let i = 0; i < 5; i++) buy(game, 1, "upgrade_dash");
+  assert.equal(p.dashLevel, DEFAULT_BALANCE.dash.maxLevel);
+  assert.ok(p.dashCooldownMax < base);
+  assert.equal(p.gold, 500 - (DEFAULT_BALANCE.dash.maxLevel - 1) * shopActionCost("upgrade_dash"));
+});
+
+// -----------------------------------------------------
+// Aim modes
+// -----------------------------------------------------
+
+test("aim mode is picked in weapon select and survives a restart", () => {
+  const game = new GameCore({ seed: 1 });
+  assert.equal(game.aimMode, "auto");
+  game.handleAction(1, { type: "aim_mode", mode: "sideways" });
+  assert.equal(game.aimMode, "auto");
+  game.handleAction(2, { type: "aim_mode", mode: "manual" });
+  assert.equal(game.exportState().aimMode, "manual");
+
+  game.handleAction(1, { type: "weapon_select", weaponType: "knife" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "knife" });
+  game.step(DT, {});
+  game.handleAction(1, { type: "aim_mode", mode: "auto" });
+  assert.equal(game.aimMode, "manual");
+
+  game.getPlayer(1).hp = 0;
+  game.step(DT, {});
+  game.handleAction(1, { type: "restart" });
+  assert.equal(game.aimMode, "manual");
+});
+
+test("manual aim fires along the input's aim vector only while fire is held", () => {
+  const game = startedGame(["axe", "axe"], { aimMode: "manual" });
+  const p1 = game.getPlayer(1);
+  spawnMonster(game, "left", p1.x + 150, p1.y);
+
+  // A monster in range no longer means auto-fire.
+  game.step(DT, {});
+  assert.equal(game.bullets.length, 0);
+
+  game.step(DT, { 1: { aimX: 0, aimY: -1, fire: true } });
+  assert.equal(game.bullets.length, 1);
+  assert.equal(game.bullets[0].ownerId, 1);
+  assert.ok(game.bullets[0].vy < 0);
+  assert.ok(Math.abs(game.bullets[0].vx) < Math.abs(game.bullets[0].vy) * 0.1);
+  assert.equal(p1.aimDy, -1);
+
+  // Without an aim vector the last direction is kept.
+  game.step(DT, { 1: { fire: false } });
+  assert.equal(p1.aimDy, -1);
+});
+
+// -----------------------------------------------------
+// Pickups
+// -----------------------------------------------------
+
+test("walking over pickups collects gold, hearts and potions", () => {
+  const game = startedGame();
+  holdFire(game);
+  const p = game.getPlayer(1);
+  p.hp = 50;
+  game.goldDrops.push({ id: 1, x: p.x + 5, y: p.y, amount: 7 });
+  game.hearts.push({ id: 1, x: p.x, y: p.y + 5, healAmount: 20 });
+  game.greenPotions.push({ id: 1, x: p.x, y: p.y });
+  // Out of reach:
+  game.goldDrops.push({ id: 2, x: p.x + 200, y: p.y, amount: 100 });
+
+  game.step(0.001, {});
+
+  assert.equal(p.gold, 7);
+  assert.equal(p.hp, 70);
+  assert.ok(p.isEnraged);
+  assert.deepEqual(game.goldDrops.map(g => g.id), [2]);
+  assert.equal(game.hearts.length, 0);
+  assert.equal(game.greenPotions.length, 0);
+});
+
+test("away players can't be hurt or pick things up", () => {
+  const game = startedGame();
+  holdFire(game);
+  const p = game.getPlayer(1);
+  game.handleAction(1, { type: "away", away: true });
+  game.goldDrops.push({ id: 1, x: p.x, y: p.y, amount: 7 });
+  spawnMonster(game, "left", p.x + 5, p.y);
+  game.step(0.001, {});
+  assert.equal(p.gold, 0);
+  assert.equal(p.hp, p.maxHp);
+});
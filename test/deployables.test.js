@@ -0,0 +1,128 @@
+// test/deployables.test.js
+//
+// Deployables: buying and placing them, what turrets, spike traps and puddles
+// do, and durability running out. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameCore, shopActionCost, FENCE_X } = require("../src/game/core");
+const { DEFAULT_BALANCE, parseBalance } = require("../src/game/balance");
+const { DT, quietGame, spawn } = require("./helpers");
+
+const DEPLOYABLES = DEFAULT_BALANCE.deployables;
+
+// Puts a deployable of `kind` down for player 1 at x / y.
+function place(game, kind, x, y) {
+  game.pendingDeployables.left.push({ kind, ownerId: 1 });
+  game.startNewRound();
+  const d = game.deployables[game.deployables.length - 1];
+  Object.assign(d, { x, y });
+  return d;
+}
+
+test("deployables are bought in the shop and placed on your half next wave", () => {
+  const game = quietGame();
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  const p1 = game.getPlayer(1);
+  p1.gold = 500;
+
+  const cost = shopActionCost("deploy:spikes");
+  assert.equal(cost, DEFAULT_BALANCE.shop.find(item => item.id === "deploy:spikes").cost);
+  for (let i = 0; i < DEPLOYABLES.spikes.maxActive + 2; i++) {
+    game.handleAction(1, { type: "shop_action", action: "deploy:spikes" });
+  }
+  assert.equal(p1.gold, 500 - cost * DEPLOYABLES.spikes.maxActive);
+  assert.equal(game.deployables.length, 0);
+
+  game.startNewRound();
+  assert.equal(game.deployables.length, DEPLOYABLES.spikes.maxActive);
+  for (const d of game.deployables) {
+    assert.equal(d.ownerId, 1);
+    assert.ok(d.x < FENCE_X);
+  }
+  const exported = game.exportState().deployables[0];
+  assert.equal(exported.kind, "spikes");
+  assert.equal(exported.durability, DEPLOYABLES.spikes.durability);
+
+  // They stay for the next wave, and still count against the limit.
+  game.startNewRound();
+  assert.equal(game.deployables.length, DEPLOYABLES.spikes.maxActive);
+  assert.equal(game.deployableCount("left", "spikes"), DEPLOYABLES.spikes.maxActive);
+});
+
+test("turrets shoot the nearest monster in range and credit their owner", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  const turret = place(game, "turret", 150, 300);
+  const near = spawn(game, "tank", 150, 300 - DEPLOYABLES.turret.range + 40);
+  spawn(game, "tank", 150, 300 + DEPLOYABLES.turret.range + 40);
+
+  game.step(DT, {});
+  assert.equal(game.bullets.length, 1);
+  assert.equal(game.bullets[0].deployable, "turret");
+  assert.ok(game.bullets[0].vy < 0);
+  assert.equal(turret.durability, DEPLOYABLES.turret.durability - 1);
+
+  near.hp = 0.01;
+  Object.assign(game.bullets[0], { x: near.x, y: near.y, vx: 0, vy: 0 });
+  game.drainEvents();
+  game.step(DT, {});
+  const killed = game.drainEvents().find(e => e.type === "monster_killed");
+  assert.deepEqual(killed.source, { kind: "deployable", deployable: "turret", ownerId: 1 });
+  assert.equal(p1.monstersKilled, 1);
+});
+
+test("spike traps hit each monster once and wear out", () => {
+  const balance = parseBalance({ deployables: { spikes: { durability: 2 } } });
+  const game = new GameCore({ seed: 1, balance });
+  game.handleAction(1, { type: "weapon_select", weaponType: "axe" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "axe" });
+  game.step(DT, {});
+  for (const p of game.players) p.weaponTimer = 999;
+
+  const trap = place(game, "spikes", 150, 150);
+  const a = spawn(game, "tank", 150, 150);
+  game.step(DT, {});
+  game.step(DT, {});
+  assert.equal(a.maxHp - a.hp, DEPLOYABLES.spikes.damage);
+  assert.equal(trap.durability, 1);
+
+  const b = spawn(game, "tank", 160, 150);
+  game.step(DT, {});
+  assert.equal(b.maxHp - b.hp, DEPLOYABLES.spikes.damage);
+  assert.equal(game.deployables.length, 0);
+});
+
+test("puddles slow monsters wading through them until they dry up", () => {
+  const game = quietGame();
+  const puddle = place(game, "puddle", 150, 150);
+  const inside = spawn(game, "tank", 150, 150);
+  const outside = spawn(game, "tank", 150, 150 + DEPLOYABLES.puddle.radius + inside.radius + 40);
+  game.step(DT, {});
+  assert.ok(inside.effects.has("slow"));
+  assert.equal(outside.effects.has("slow"), false);
+
+  puddle.durability = DT / 2;
+  game.step(DT, {});
+  assert.equal(game.deployables.length, 0);
+});
+
+test("deployables are checked by the balance config", () => {
+  assert.throws(
+    () => parseBalance({ deployables: { mine: { behaviour: "boom" } } }),
+    /deployables\.mine\.behaviour "boom" is not a known deployable behaviour/
+  );
+  assert.throws(
+    () => parseBalance({ deployables: { turret: { range: "far" } } }),
+    /deployables\.turret\.range must be a number/
+  );
+  assert.throws(
+    () => parseBalance({ deployables: { puddle: { effect: "mud" } } }),
+    /deployables\.puddle\.effect must name a status effect/
+  );
+  assert.throws(
+    () => parseBalance({ shop: [{ id: "deploy:wall", cost: 5 }] }),
+    /shop item "deploy:wall" deploys an unknown deployable/
+  );
+});
@@ -0,0 +1,147 @@
+// test/effects.test.js
+//
+// Status effects: stacking rules, damage over time, modifiers, shields, and
+// the weapons / shop items / monsters that use them. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_BALANCE, parseBalance } = require("../src/game/balance");
+const { StatusEffects, EFFECT_TICK } = require("../src/game/effects");
+const { DT, quietGame, spawn } = require("./helpers");
+
+const EFFECTS = DEFAULT_BALANCE.statusEffects;
+
+test("effects refresh, extend or stack when applied again", () => {
+  const effects = new StatusEffects(DEFAULT_BALANCE);
+
+  effects.apply("burn", { duration: 1 });
+  effects.apply("burn");
+  effects.apply("burn", { duration: 0.5 });
+  assert.equal(effects.get("burn").timer, EFFECTS.burn.duration);
+
+  effects.apply("haste");
+  effects.apply("haste");
+  effects.apply("haste");
+  assert.equal(effects.get("haste").timer, EFFECTS.haste.maxDuration);
+
+  for (let i = 0; i < EFFECTS.poison.maxStacks + 2; i++) effects.apply("poison");
+  assert.equal(effects.get("poison").stacks, EFFECTS.poison.maxStacks);
+
+  assert.equal(effects.apply("frostbite"), false);
+  effects.update(EFFECTS.burn.duration);
+  assert.deepEqual(effects.types(), ["haste", "poison"]);
+});
+
+test("damage over time goes through the damage pipeline and credits its owner", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  const m = spawn(game, "slime", 150, 100);
+  game.applyEffect(m, "poison", { sourceId: 1 });
+  game.applyEffect(m, "poison", { sourceId: 1 });
+  game.drainEvents();
+
+  const hpBefore = m.hp;
+  for (let t = 0; t < EFFECT_TICK; t += DT) game.step(DT, {});
+  assert.ok(Math.abs(hpBefore - m.hp - EFFECTS.poison.dps * 2 * EFFECT_TICK) < 1e-9);
+
+  m.hp = 0.01;
+  for (let t = 0; t < EFFECT_TICK + DT; t += DT) game.step(DT, {});
+  const killed = game.drainEvents().find(e => e.type === "monster_killed");
+  assert.deepEqual(killed.source, { kind: "effect", effect: "poison", ownerId: 1 });
+  assert.equal(p1.monstersKilled, 1);
+
+  // Burning players get hit events naming the effect.
+  game.applyEffect(p1, "burn", { sourceId: 2 });
+  for (let t = 0; t < EFFECT_TICK + DT; t += DT) game.step(DT, {});
+  const hit = game.drainEvents().find(e => e.type === "player_hit");
+  assert.deepEqual(hit.source, { kind: "effect", effect: "burn", ownerId: 2 });
+});
+
+test("slow, haste and stun change how players move and shoot", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  const speed = DEFAULT_BALANCE.player.speed;
+  const walk = () => {
+    const x = p1.x;
+    game.step(DT, { 1: { left: true } });
+    return x - p1.x;
+  };
+  p1.x = 300;
+
+  assert.ok(Math.abs(walk() - speed * DT) < 1e-9);
+  game.applyEffect(p1, "slow");
+  assert.ok(Math.abs(walk() - speed * EFFECTS.slow.modifiers.speedMult * DT) < 1e-9);
+  game.applyEffect(p1, "haste");
+  const both = EFFECTS.slow.modifiers.speedMult * EFFECTS.haste.modifiers.speedMult;
+  assert.ok(Math.abs(walk() - speed * both * DT) < 1e-9);
+  assert.equal(p1.attackSpeedMult, EFFECTS.haste.modifiers.attackSpeedMult);
+
+  game.applyEffect(p1, "stun");
+  p1.weaponTimer = 0;
+  assert.equal(walk(), 0);
+  assert.equal(p1.canDash(), false);
+  spawn(game, "tank", p1.x, p1.y - 200);
+  game.step(DT, {});
+  assert.equal(game.bullets.length, 0);
+});
+
+test("shields soak damage until they're used up", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  const absorb = EFFECTS.shield.absorb;
+  game.applyEffect(p1, "shield");
+
+  game.damagePlayer(p1, absorb - 10, { kind: "contact", monsterId: 1 });
+  assert.equal(p1.hp, p1.maxHp);
+  game.damagePlayer(p1, 25, { kind: "contact", monsterId: 1 });
+  assert.equal(p1.hp, p1.maxHp - 15);
+  assert.equal(p1.effects.has("shield"), false);
+});
+
+test("weapons, potions and the shop apply effects; bosses shrug some off", () => {
+  const balance = parseBalance({ weapons: { axe: { hitEffect: "slow", hitEffectChance: 1 } } });
+  const game = quietGame({ balance });
+  const p1 = game.getPlayer(1);
+  const m = spawn(game, "tank", p1.x, p1.y - 60);
+  game.spawnBullet(p1, { angle: 0, damage: 1, offset: 0 });
+  Object.assign(game.bullets[0], { x: m.x, y: m.y, vx: 0, vy: 0 });
+  game.step(DT, {});
+  assert.ok(m.effects.has("slow"));
+
+  const boss = spawn(game, "boss1", 150, 100);
+  assert.equal(game.applyEffect(boss, "stun"), false);
+  assert.equal(game.applyEffect(boss, "burn"), true);
+
+  game.greenPotions.push({ id: 1, x: p1.x, y: p1.y });
+  game.step(DT, {});
+  assert.ok(p1.isEnraged);
+  assert.ok(game.exportState().players[0].effects.some(e => e.type === "enrage"));
+
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  p1.gold = 100;
+  game.handleAction(1, { type: "shop_action", action: "buff:shield" });
+  game.handleAction(1, { type: "shop_action", action: "curse:slow" });
+  assert.ok(p1.effects.has("shield"));
+  assert.equal(game.getPlayer(2).effects.get("slow").timer, DEFAULT_BALANCE.shop.find(i => i.id === "curse:slow").duration);
+  assert.equal(p1.gold, 100 - 14 - 15);
+});
+
+test("status effects are checked by the balance config", () => {
+  assert.throws(
+    () => parseBalance({ statusEffects: { burn: { stacking: "pile" } } }),
+    /statusEffects\.burn\.stacking must be one of refresh, extend, stack/
+  );
+  assert.throws(
+    () => parseBalance({ statusEffects: { slow: { modifiers: { jumpMult: 2 } } } }),
+    /statusEffects\.slow\.modifiers\.jumpMult is not a known modifier/
+  );
+  assert.throws(
+    () => parseBalance({ weapons: { bow: { hitEffect: "frostbite" } } }),
+    /weapons\.bow\.hitEffect "frostbite" is not a status effect/
+  );
+  assert.throws(
+    () => parseBalance({ monsters: { boss: { immune: ["fear"] } } }),
+    /monsters\.boss\.immune "fear" is not a status effect/
+  );
+});
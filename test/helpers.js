@@ -0,0 +1,29 @@
+// test/helpers.js
+//
+// Shared set-ups for the gameplay tests (monsters, effects, items,
+// deployables). Not a test file itself.
+
+const { GameCore } = require("../src/game/core");
+
+const DT = 1 / 60;
+
+// Round 1 in progress; nobody shoots unless a test says so.
+function quietGame(options = {}) {
+  const game = new GameCore({ seed: 1, ...options });
+  game.handleAction(1, { type: "weapon_select", weaponType: "axe" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "axe" });
+  game.step(DT, {});
+  for (const p of game.players) p.weaponTimer = 999;
+  return game;
+}
+
+// A monster of `type` at (x, y) on `side`, standing still unless
+// `moving` is set.
+function spawn(game, type, x, y, side = "left", { moving = false } = {}) {
+  game.spawnMonsterFromWarning({ side, type, round: game.round, x, y });
+  const m = game.monsters[game.monsters.length - 1];
+  if (!moving) m.speed = 0;
+  return m;
+}
+
+module.exports = { DT, quietGame, spawn };
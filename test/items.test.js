@@ -0,0 +1,101 @@
+// test/items.test.js
+//
+// Passive items: buying and stack limits, and what armor, lifesteal, the
+// magnet, thorns and vitality do. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { shopActionCost } = require("../src/game/core");
+const { DEFAULT_BALANCE, parseBalance } = require("../src/game/balance");
+const { DT, quietGame, spawn } = require("./helpers");
+
+const ITEMS = DEFAULT_BALANCE.items;
+
+test("items are bought in the shop up to their stack limit", () => {
+  const game = quietGame();
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  const p1 = game.getPlayer(1);
+  p1.gold = 500;
+
+  assert.equal(shopActionCost("item:armor"), ITEMS.armor.cost);
+  assert.equal(shopActionCost("item:cape"), null);
+  for (let i = 0; i < ITEMS.armor.maxStacks + 2; i++) {
+    game.handleAction(1, { type: "shop_action", action: "item:armor" });
+  }
+  game.handleAction(1, { type: "shop_action", action: "item:cape" });
+
+  assert.deepEqual(p1.items, { armor: ITEMS.armor.maxStacks });
+  assert.equal(p1.gold, 500 - ITEMS.armor.cost * ITEMS.armor.maxStacks);
+  assert.deepEqual(game.exportState().players[0].items, { armor: ITEMS.armor.maxStacks });
+
+  // A new match starts empty-handed.
+  p1.resetForNewMatch();
+  assert.deepEqual(p1.items, {});
+});
+
+test("armor softens contact hits and vitality adds max hp", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  p1.addItem("armor");
+  p1.addItem("armor");
+  spawn(game, "slime", p1.x + 5, p1.y);
+  game.step(DT, {});
+  const expected = DEFAULT_BALANCE.player.contactDamage * (1 - ITEMS.armor.stats.contactArmor * 2);
+  assert.ok(Math.abs(p1.maxHp - p1.hp - expected) < 1e-9);
+
+  p1.hp = 50;
+  p1.addItem("vitality");
+  assert.equal(p1.maxHp, DEFAULT_BALANCE.player.maxHp + ITEMS.vitality.stats.maxHp);
+  assert.equal(p1.hp, 50 + ITEMS.vitality.stats.maxHp);
+});
+
+test("lifesteal heals from weapon damage, the magnet widens pickups", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  p1.addItem("fang");
+  p1.hp = 50;
+  const m = spawn(game, "tank", p1.x, p1.y - 100);
+  m.hp = m.maxHp = 1000;
+  game.spawnBullet(p1, { angle: 0, damage: 100, offset: 0 });
+  Object.assign(game.bullets[0], { x: m.x, y: m.y, vx: 0, vy: 0 });
+  game.step(DT, {});
+  assert.ok(Math.abs(p1.hp - (50 + 100 * ITEMS.fang.stats.lifesteal)) < 1e-9);
+
+  const reach = DEFAULT_BALANCE.player.pickupRadius + 20;
+  game.goldDrops.push({ id: 1, x: p1.x + reach, y: p1.y, amount: 5 });
+  game.step(DT, {});
+  assert.equal(game.goldDrops.length, 1);
+  p1.addItem("magnet");
+  game.step(DT, {});
+  assert.equal(game.goldDrops.length, 0);
+});
+
+test("thorn auras hurt nearby monsters and get the kill credit", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  p1.addItem("thorns");
+  const near = spawn(game, "tank", p1.x, p1.y - DEFAULT_BALANCE.player.thornsRadius);
+  const far = spawn(game, "tank", p1.x, p1.y - DEFAULT_BALANCE.player.thornsRadius - near.radius - 40);
+  game.step(DT, {});
+  assert.ok(Math.abs(near.maxHp - near.hp - ITEMS.thorns.stats.thornsDps * DT) < 1e-9);
+  assert.equal(far.hp, far.maxHp);
+
+  near.hp = 0.01;
+  game.drainEvents();
+  game.step(DT, {});
+  const killed = game.drainEvents().find(e => e.type === "monster_killed");
+  assert.deepEqual(killed.source, { kind: "thorns", ownerId: 1 });
+  assert.equal(p1.monstersKilled, 1);
+});
+
+test("items are checked by the balance config", () => {
+  assert.throws(
+    () => parseBalance({ items: { armor: { stats: { dodge: 0.1 } } } }),
+    /items\.armor\.stats\.dodge is not an item stat/
+  );
+  assert.throws(
+    () => parseBalance({ items: { boots: { cost: 5, maxStacks: 0 } } }),
+    /items\.boots\.maxStacks must be a number of at least 1/
+  );
+});
@@ -0,0 +1,247 @@
+// test/monsters.test.js
+//
+// Monster behaviours: charger, splitter, healer, shielded, bosses, and their
+// balance checks. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameCore } = require("../src/game/core");
+const { DEFAULT_BALANCE, parseBalance } = require("../src/game/balance");
+const { DT, quietGame, spawn } = require("./helpers");
+
+const TYPES = DEFAULT_BALANCE.monsters.types;
+
+// A plain projectile from player 1 sitting at (x, y).
+function bulletAt(game, x, y, damage = 5) {
+  game.spawnBullet(game.getPlayer(1), { angle: 0, damage, offset: 0 });
+  const b = game.bullets[game.bullets.length - 1];
+  b.x = x;
+  b.y = y;
+  b.vx = 0;
+  b.vy = 0;
+  return b;
+}
+
+test("chargers wind up in place, then dash faster than they walk", () => {
+  const game = quietGame();
+  const cfg = TYPES.charger;
+  const p1 = game.getPlayer(1);
+  const m = spawn(game, "charger", p1.x, p1.y - cfg.chargeRange + 20, "left", { moving: true });
+
+  game.step(DT, {});
+  assert.equal(m.mode, "windup");
+  const y0 = m.y;
+  for (let t = DT; t < cfg.windupTime - DT; t += DT) game.step(DT, {});
+  assert.equal(m.y, y0);
+
+  game.step(DT, {});
+  game.step(DT, {});
+  assert.equal(m.mode, "dash");
+  const before = m.y;
+  game.step(DT, {});
+  assert.ok(Math.abs((m.y - before) - cfg.dashSpeed * DT) < 1e-9);
+  assert.ok(cfg.dashSpeed * DT > m.speed * DT * 2);
+});
+
+test("splitters burst into smaller monsters when killed, but not on contact", () => {
+  const game = quietGame();
+  const cfg = TYPES.splitter;
+  const m = spawn(game, "splitter", 150, 120, "left", { moving: true });
+  m.hp = 1;
+  bulletAt(game, m.x, m.y);
+  game.step(DT, {});
+
+  const children = game.monsters.filter(c => c.parentId === m.id);
+  assert.equal(game.monsters.includes(m), false);
+  assert.equal(children.length, cfg.splitCount);
+  assert.ok(children.every(c => c.type === cfg.childType && c.side === "left" && c.radius === TYPES[cfg.childType].radius));
+
+  // Children don't split again.
+  children[0].hp = 1;
+  bulletAt(game, children[0].x, children[0].y);
+  game.step(DT, {});
+  assert.equal(game.monsters.filter(c => c.parentId === children[0].id).length, 0);
+
+  // Spending itself on a player doesn't split it either.
+  const p1 = game.getPlayer(1);
+  const rammer = spawn(game, "splitter", p1.x + 10, p1.y, "left", { moving: true });
+  game.step(DT, {});
+  assert.equal(game.monsters.includes(rammer), false);
+  assert.equal(game.monsters.filter(c => c.parentId === rammer.id).length, 0);
+});
+
+test("healers patch up damaged monsters around them", () => {
+  const game = quietGame();
+  const cfg = TYPES.healer;
+  const healer = spawn(game, "healer", 150, 100);
+  const near = spawn(game, "tank", 150 + cfg.healRadius - 40, 100);
+  const far = spawn(game, "tank", 150, 100 + cfg.healRadius + 150);
+  for (const m of [healer, near, far]) m.hp = m.maxHp / 2;
+  game.drainEvents();
+
+  healer.healTimer = DT / 2;
+  game.step(DT, {});
+  assert.equal(near.hp, near.maxHp / 2 + near.maxHp * cfg.healFraction);
+  assert.equal(far.hp, far.maxHp / 2);
+  assert.equal(healer.hp, healer.maxHp / 2);
+  const healed = game.drainEvents().find(e => e.type === "monsters_healed");
+  assert.deepEqual(healed.healed, [near.id]);
+});
+
+test("healers don't heal bosses", () => {
+  const game = quietGame();
+  const healer = spawn(game, "healer", 150, 100);
+  const boss = spawn(game, "boss1", 150 + TYPES.healer.healRadius - 40, 100);
+  boss.hp = boss.maxHp / 2;
+  game.drainEvents();
+
+  healer.healTimer = DT / 2;
+  game.step(DT, {});
+  assert.equal(boss.hp, boss.maxHp / 2);
+  assert.ok(!game.drainEvents().some(e => e.type === "monsters_healed"));
+});
+
+test("shielded monsters block hits from the front only", () => {
+  const game = quietGame();
+  const p1 = game.getPlayer(1);
+  // Straight above player 1, so it faces down.
+  const m = spawn(game, "shielded", p1.x, p1.y - 200);
+  game.drainEvents();
+
+  const front = bulletAt(game, m.x, m.y + m.radius);
+  game.step(DT, {});
+  assert.equal(m.hp, m.maxHp);
+  assert.equal(game.bullets.includes(front), false);
+  assert.ok(game.drainEvents().some(e => e.type === "hit_blocked" && e.monsterId === m.id));
+
+  bulletAt(game, m.x, m.y - m.radius, 5);
+  game.step(DT, {});
+  assert.equal(m.hp, m.maxHp - 5);
+});
+
+test("the new archetypes can be sent from the shop", () => {
+  const game = quietGame();
+  game.waveLeft = DT / 2;
+  game.step(DT, {});
+  game.getPlayer(1).gold = 500;
+  for (const type of ["charger", "splitter", "healer", "shielded"]) {
+    game.handleAction(1, { type: "shop_action", action: `send:${type}` });
+    assert.equal(game.pendingPacks.right[type], 1);
+  }
+  game.handleAction(1, { type: "ready" });
+  game.handleAction(2, { type: "ready" });
+  game.step(DT, {});
+  assert.ok(game.extraPlanRight.includes("shielded"));
+});
+
+test("bosses change phase at their hp thresholds and telegraph it", () => {
+  const game = quietGame();
+  const cfg = DEFAULT_BALANCE.monsters.boss;
+  const boss = spawn(game, "boss1", 150, 150);
+  assert.equal(boss.phase, 0);
+  game.drainEvents();
+
+  boss.hp = boss.maxHp * cfg.phases[1].hpBelow;
+  game.step(DT, {});
+  assert.equal(boss.phase, 1);
+  assert.equal(boss.mode, "transition");
+  const event = game.drainEvents().find(e => e.type === "boss_phase");
+  assert.equal(event.monsterId, boss.id);
+  assert.equal(event.phase, 1);
+
+  // Frozen (and not attacking) until the transition is over.
+  for (let t = 0; t < cfg.phaseTransitionTime - DT; t += DT) game.step(DT, {});
+  assert.equal(game.enemyBullets.length, 0);
+  for (let t = 0; t < 0.1; t += DT) game.step(DT, {});
+  assert.equal(boss.mode, null);
+
+  // Skipping straight past a threshold lands in the right phase.
+  boss.hp = 1;
+  game.step(DT, {});
+  assert.equal(boss.phase, cfg.phases.length - 1);
+});
+
+test("boss attacks fire radial bursts, aimed volleys and summon adds", () => {
+  const balance = parseBalance({
+    monsters: {
+      boss: {
+        phaseTransitionTime: 0,
+        phases: [{
+          hpBelow: 1, speedMult: 1,
+          attacks: [
+            { pattern: "radial", cooldown: 10, count: 8, turn: 0 },
+            { pattern: "aimed", cooldown: 10, count: 3, spread: 0.4 },
+            { pattern: "summon", cooldown: 10, count: 2, monsterType: "fast" },
+          ],
+        }],
+      },
+    },
+  });
+  const game = new GameCore({ seed: 1, balance });
+  game.handleAction(1, { type: "weapon_select", weaponType: "axe" });
+  game.handleAction(2, { type: "weapon_select", weaponType: "axe" });
+  game.step(DT, {});
+  for (const p of game.players) p.weaponTimer = 999;
+
+  const p1 = game.getPlayer(1);
+  const boss = spawn(game, "boss1", 150, 150);
+  boss.attackTimers = boss.attackTimers.map(() => 0);
+  game.step(DT, {});
+
+  const shots = game.enemyBullets.filter(eb => eb.monsterId === boss.id);
+  assert.equal(shots.length, 8 + 3);
+  assert.ok(shots.every(eb => eb.kind === "boss"));
+  const angles = shots.slice(8).map(eb => Math.atan2(eb.vy, eb.vx));
+  const toPlayer = Math.atan2(p1.y - boss.y, p1.x - boss.x);
+  assert.ok(Math.abs(angles[1] - toPlayer) < 0.05);
+  assert.ok(Math.abs(angles[2] - angles[0] - 0.4) < 1e-9);
+
+  const adds = game.monsters.filter(m => m.parentId === boss.id);
+  assert.equal(adds.length, 2);
+  assert.ok(adds.every(m => m.type === "fast" && m.side === "left"));
+});
+
+test("bosses survive touching a player and hit again after a cooldown", () => {
+  const game = quietGame();
+  const cfg = DEFAULT_BALANCE.monsters.boss;
+  const p1 = game.getPlayer(1);
+  const boss = spawn(game, "boss1", p1.x + 20, p1.y);
+  boss.attackTimers = boss.attackTimers.map(() => 999);
+
+  game.step(DT, {});
+  assert.ok(game.monsters.includes(boss));
+  assert.equal(boss.hp, boss.maxHp);
+  assert.equal(p1.hp, p1.maxHp - cfg.contactDamage);
+
+  for (let t = 0; t < cfg.contactCooldown - 2 * DT; t += DT) game.step(DT, {});
+  assert.equal(p1.hp, p1.maxHp - cfg.contactDamage);
+  for (let t = 0; t < 0.1; t += DT) game.step(DT, {});
+  assert.equal(p1.hp, p1.maxHp - cfg.contactDamage * 2);
+});
+
+test("monster behaviours are checked by the balance config", () => {
+  assert.throws(
+    () => parseBalance({ monsters: { types: { slime: { behaviour: "teleport" } } } }),
+    /monsters\.types\.slime\.behaviour "teleport" is not a known monster behaviour/
+  );
+  assert.throws(
+    () => parseBalance({ monsters: { types: { charger: { windupTime: "soon" } } } }),
+    /monsters\.types\.charger\.windupTime must be a number/
+  );
+  assert.throws(
+    () => parseBalance({ monsters: { types: { splitter: { childType: "dragon" } } } }),
+    /monsters\.types\.splitter\.childType must name a monster type/
+  );
+  assert.throws(
+    () => parseBalance({ monsters: { boss: { phases: [{ hpBelow: 1, speedMult: 1, attacks: [{ pattern: "laser", cooldown: 1, count: 1 }] }] } } }),
+    /monsters\.boss\.phases\[0\]\.attacks\[0\]\.pattern "laser" is not a known boss attack/
+  );
+  assert.throws(
+    () => parseBalance({ monsters: { boss: { phases: [
+      { hpBelow: 1, speedMult: 1, attacks: [] },
+      { hpBelow: 0.5, speedMult: 1, attacks: [{ pattern: "summon", cooldown: 1, count: 1, monsterType: "dragon" }] },
+      { hpBelow: 0.7, speedMult: 1, attacks: [] },
+    ] } } }),
+    /attacks\[0\]\.monsterType must name a monster type.*phases\[2\]\.hpBelow must be lower/s
+  );
+});
@@ -0,0 +1,265 @@
+// test/server.test.js
+//
+// Integration test: boots the HTTP + WebSocket server on an ephemeral port and
+// plays a whole match with two scripted socket clients. Matches are shortened
+// through the balance config and fast-forwarded with a tiny tick interval.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+
+// Keep the recordings and high scores this produces out of the real ones.
+const replayDir = fs.mkdtempSync(path.join(os.tmpdir(), "ff-replays-"));
+process.env.REPLAY_DIR = replayDir;
+process.env.HIGHSCORE_FILE = path.join(replayDir, "highscores.json");
+
+const { createServer } = require("../src/server/http_ws");
+const { parseBalance } = require("../src/game/balance");
+
+// Fragile players + short waves so a match ends within a few seconds of
+// simulated time.
+const TEST_BALANCE = parseBalance({
+  player: { maxHp: 1 },
+  waves: { waveTime: 4, shopTime: 2 },
+});
+
+// Collects every message; waitFor() resolves on the first one (already
+// received or future) that matches.
+class TestClient {
+  constructor(url) {
+    this.ws = new WebSocket(url);
+    this.messages = [];
+    this.waiters = [];
+    this.ws.on("message", raw => {
+      const msg = JSON.parse(raw.toString());
+      this.messages.push(msg);
+      this.waiters = this.waiters.filter(w => !(w.match(msg) && (w.resolve(msg), true)));
+    });
+  }
+
+  opened() {
+    return new Promise((resolve, reject) => {
+      this.ws.once("open", resolve);
+      this.ws.once("error", reject);
+    });
+  }
+
+  send(obj) {
+    this.ws.send(JSON.stringify(obj));
+  }
+
+  waitFor(match, timeoutMs = 15000) {
+    const seen = this.messages.find(match);
+    if (seen) return Promise.resolve(seen);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("timed out waiting for message")), timeoutMs);
+      this.waiters.push({
+        match,
+        resolve: msg => {
+          clearTimeout(timer);
+          resolve(msg);
+        },
+      });
+    });
+  }
+
+  // Game states seen so far, without consecutive repeats.
+  stateHistory() {
+    const out = [];
+    for (const m of this.messages) {
+      if (m.type !== "state" || out[out.length - 1] === m.state.state) continue;
+      out.push(m.state.state);
+    }
+    return out;
+  }
+
+  close() {
+    this.ws.close();
+  }
+}
+
+// The clients never ack, so every snapshot they get is a full keyframe.
+const inState = name => m => m.type === "state" && m.state.state === name;
+
+test("two clients play a full match over WebSockets", async t => {
+  const srv = createServer({
+    roomOptions: { gameOptions: { seed: 7, balance: TEST_BALANCE }, tickIntervalMs: 2 },
+  });
+  await new Promise(resolve => srv.server.listen(0, resolve));
+  const url = `ws://127.0.0.1:${srv.server.address().port}/ws`;
+
+  const a = new TestClient(url);
+  const b = new TestClient(url);
+  t.after(() => {
+    a.close();
+    b.close();
+    return new Promise(resolve => srv.close(resolve));
+  });
+  await Promise.all([a.opened(), b.opened()]);
+
+  // The lobby greets every connection with the room list.
+  const rooms = await a.waitFor(m => m.type === "rooms");
+  assert.ok(rooms.rooms.some(r => r.id === "main"));
+
+  a.send({ type: "join_room", roomId: "main" });
+  const welcomeA = await a.waitFor(m => m.type === "welcome");
+  b.send({ type: "join_room", roomId: "main" });
+  const welcomeB = await b.waitFor(m => m.type === "welcome");
+  assert.equal(welcomeA.playerId, 1);
+  assert.equal(welcomeB.playerId, 2);
+  assert.equal(welcomeA.room.id, "main");
+  assert.ok(welcomeA.token);
+  assert.equal(welcomeA.balance.player.maxHp, 1);
+  assert.ok(welcomeA.balance.upgradeTrees.knife.some(node => node.requires === null));
+
+  await a.waitFor(inState("WEAPON_SELECT"));
+  a.send({ type: "weapon_select", weaponType: "knife" });
+  b.send({ type: "weapon_select", weaponType: "bow" });
+  const playing = await a.waitFor(inState("PLAYING"));
+  assert.deepEqual(playing.state.players.map(p => p.weaponType), ["knife", "bow"]);
+
+  // Ready up in every shop until somebody dies.
+  let shopsSeen = 0;
+  let over = null;
+  for (let round = 1; !over; round++) {
+    const next = await a.waitFor(m => m.type === "state" && m.state.round === round &&
+      (m.state.state === "SHOP" || m.state.state === "GAME_OVER"));
+    if (next.state.state === "GAME_OVER") {
+      over = next;
+    } else {
+      shopsSeen += 1;
+      a.send({ type: "ready" });
+      b.send({ type: "ready" });
+    }
+  }
+
+  assert.ok(["left", "right", "draw"].includes(over.state.winner));
+  assert.ok(shopsSeen >= 1, "expected at least one shop phase before game over");
+  assert.deepEqual(a.stateHistory().slice(0, 4), ["WEAPON_SELECT", "PLAYING", "SHOP", "PLAYING"]);
+  assert.equal(a.stateHistory().at(-1), "GAME_OVER");
+  // Whoever lost was hit on the way out; that arrives as an event next to a snapshot.
+  const events = a.messages.flatMap(m => m.events || []);
+  assert.ok(events.some(e => e.type === "player_killed"));
+  await b.waitFor(inState("GAME_OVER"));
+
+  // Restart is a rematch vote: once both accept, it's back to weapon select.
+  // A single game doesn't swap sides.
+  b.send({ type: "restart" });
+  await a.waitFor(m => m.type === "state" && m.seq > over.seq && m.state.players[1].rematch);
+  a.send({ type: "restart" });
+  const rematch = await a.waitFor(m => m.type === "state" && m.seq > over.seq && m.state.state === "WEAPON_SELECT");
+  assert.deepEqual(rematch.state.players.map(p => p.side), ["left", "right"]);
+});
+
+test("a solo player can fill the empty slot with a bot", async t => {
+  const srv = createServer({
+    roomOptions: { gameOptions: { seed: 3, balance: TEST_BALANCE }, tickIntervalMs: 2 },
+  });
+  await new Promise(resolve => srv.server.listen(0, resolve));
+  const a = new TestClient(`ws://127.0.0.1:${srv.server.address().port}/ws`);
+  t.after(() => {
+    a.close();
+    return new Promise(resolve => srv.close(resolve));
+  });
+  await a.opened();
+
+  a.send({ type: "join_room", roomId: "main" });
+  const welcome = await a.waitFor(m => m.type === "welcome");
+  assert.equal(welcome.playerId, 1);
+  assert.deepEqual(welcome.bots, []);
+
+  a.send({ type: "add_bot", difficulty: "nightmare" });
+  const bad = await a.waitFor(m => m.type === "lobby_error");
+  assert.match(bad.message, /difficulty/);
+
+  a.send({ type: "add_bot", difficulty: "hard" });
+  const bots = await a.waitFor(m => m.type === "bots" && m.bots.length > 0);
+  assert.deepEqual(bots.bots, [{ playerId: 2, difficulty: "hard" }]);
+
+  a.send({ type: "add_bot" });
+  await a.waitFor(m => m.type === "lobby_error" && /slots are taken/.test(m.message));
+
+  // The bot picks its own weapon; the match starts as soon as we pick ours.
+  await a.waitFor(m => m.type === "state" && m.state.players[1].weaponType);
+  a.send({ type: "weapon_select", weaponType: "spear" });
+  await a.waitFor(inState("PLAYING"));
+
+  a.send({ type: "remove_bot" });
+  await a.waitFor(m => m.type === "bots" && m.bots.length === 0);
+});
+
+test("2v2 rooms have four slots that bots can fill", async t => {
+  const srv = createServer({
+    roomOptions: { gameOptions: { seed: 5, balance: TEST_BALANCE }, tickIntervalMs: 2 },
+  });
+  await new Promise(resolve => srv.server.listen(0, resolve));
+  const a = new TestClient(`ws://127.0.0.1:${srv.server.address().port}/ws`);
+  t.after(() => {
+    a.close();
+    return new Promise(resolve => srv.close(resolve));
+  });
+  await a.opened();
+
+  a.send({ type: "create_room", name: "Teams", teamSize: 2 });
+  const welcome = await a.waitFor(m => m.type === "welcome");
+  assert.equal(welcome.playerId, 1);
+
+  for (let i = 0; i < 3; i++) a.send({ type: "add_bot" });
+  const bots = await a.waitFor(m => m.type === "bots" && m.bots.length === 3);
+  assert.deepEqual(bots.bots.map(b => b.playerId), [2, 3, 4]);
+  a.send({ type: "add_bot" });
+  await a.waitFor(m => m.type === "lobby_error" && /slots are taken/.test(m.message));
+
+  const select = await a.waitFor(inState("WEAPON_SELECT"));
+  assert.equal(select.state.teamSize, 2);
+  assert.equal(select.state.players.length, 4);
+  a.send({ type: "weapon_select", weaponType: "axe" });
+  await a.waitFor(inState("PLAYING"));
+});
+
+test("solo runs end on the high-score table served over HTTP", async t => {
+  const srv = createServer({
+    roomOptions: { gameOptions: { seed: 9, balance: TEST_BALANCE }, tickIntervalMs: 2 },
+  });
+  await new Promise(resolve => srv.server.listen(0, resolve));
+  const port = srv.server.address().port;
+  const a = new TestClient(`ws://127.0.0.1:${port}/ws`);
+  t.after(() => {
+    a.close();
+    return new Promise(resolve => srv.close(resolve));
+  });
+  await a.opened();
+
+  a.send({ type: "create_room", name: "Alone", mode: "solo" });
+  const welcome = await a.waitFor(m => m.type === "welcome");
+  assert.equal(welcome.playerId, 1);
+  a.send({ type: "add_bot" });
+  await a.waitFor(m => m.type === "lobby_error" && /slots are taken/.test(m.message));
+
+  const select = await a.waitFor(inState("WEAPON_SELECT"));
+  assert.equal(select.state.mode, "solo");
+  assert.equal(select.state.players.length, 1);
+  a.send({ type: "weapon_select", weaponType: "bow" });
+  await a.waitFor(inState("PLAYING"));
+
+  // One hp: the run is short. Skip the shops.
+  const ready = setInterval(() => a.send({ type: "ready" }), 20);
+  t.after(() => clearInterval(ready));
+  const result = await a.waitFor(m => m.type === "highscore");
+  const over = await a.waitFor(inState("GAME_OVER"));
+  assert.equal(result.rank, 1);
+  assert.equal(result.entry.round, over.state.round);
+  assert.equal(result.entry.monstersKilled, over.state.players[0].monstersKilled);
+  assert.equal(result.entry.weaponType, "bow");
+
+  const table = await (await fetch(`http://127.0.0.1:${port}/highscores`)).json();
+  assert.equal(table.length, 1);
+  assert.equal(table[0].score, result.entry.score);
+});
+
+test.after(() => {
+  fs.rmSync(replayDir, { recursive: true, force: true });
+});
@@ -0,0 +1,40 @@
+// test/simulate.test.js
+//
+// Headless balance runner: options and short bot-vs-bot matches.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runMatch, readOptions, summarize } = require("../src/sim/simulate");
+
+test("--bots takes one difficulty for both players or one each", () => {
+  assert.deepEqual(readOptions(["--bots=hard"]).bots, ["hard", "hard"]);
+  assert.deepEqual(readOptions(["--bots=easy,hard"]).bots, ["easy", "hard"]);
+  assert.deepEqual(readOptions([]).bots, ["normal", "normal"]);
+});
+
+test("matches are played by the server's bots and repeat for the same seed", () => {
+  const opts = readOptions(["--bots=easy,hard", "--weapons=knife,bow", "--max-rounds=2"]);
+  const first = runMatch(7, opts);
+  assert.deepEqual(first.players.map(p => p.weapon), ["knife", "bow"]);
+  assert.ok(first.ticks > 0);
+  assert.deepEqual(runMatch(7, opts), first);
+});
+
+test("without --weapons every weapon gets played", () => {
+  const opts = readOptions(["--max-rounds=1"]);
+  const picked = new Set();
+  for (let seed = 1; seed <= 12; seed++) {
+    for (const p of runMatch(seed, opts).players) picked.add(p.weapon);
+  }
+  assert.deepEqual([...picked].sort(), Object.keys(opts.balance.weapons).sort());
+});
+
+test("upgrade tree nodes and passive items show up in the purchase report", () => {
+  // Seeds whose matches get through a few shops and still end decisively.
+  const opts = readOptions(["--max-rounds=6"]);
+  const results = [2, 6].map(seed => runMatch(seed, opts));
+  const report = summarize(results, opts);
+  const reported = Object.keys(report.purchases);
+  assert.ok(reported.some(action => action.startsWith("upgrade:")));
+  assert.ok(reported.some(action => action.startsWith("item:")));
+});
@@ -0,0 +1,150 @@
+// test/weapons.test.js
+//
+// Weapon behaviours: fan, boomerang, thrust, charge, and their balance checks.
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { GameCore } = require("../src/game/core");
+const { DEFAULT_BALANCE, parseBalance } = require("../src/game/balance");
+const { weaponDps } = require("../src/game/weapons");
+
+const DT = 1 / 60;
+
+// Player 1 holds `weapon`; player 2 never gets to shoot.
+function armedGame(weapon, options = {}) {
+  const game = new GameCore({ seed: 1, ...options });
+  game.handleAction(1, { type: "weapon_select", weaponType: weapon });
+  game.handleAction(2, { type: "weapon_select", weaponType: "knife" });
+  game.step(DT, {});
+  game.getPlayer(2).weaponTimer = 999;
+  return game;
+}
+
+// A monster that stands still and soaks hits.
+function dummy(game, x, y) {
+  game.spawnMonsterFromWarning({ side: "left", type: "slime", round: game.round, x, y });
+  const m = game.monsters[game.monsters.length - 1];
+  m.speed = 0;
+  m.hp = m.maxHp = 10000;
+  return m;
+}
+
+const aimRight = fire => ({ 1: { aimX: 1, aimY: 0, fire } });
+
+test("knives fan out `count` blades around the aim direction", () => {
+  const game = armedGame("knife", { aimMode: "manual" });
+  const cfg = DEFAULT_BALANCE.weapons.knife;
+  game.step(DT, aimRight(true));
+
+  const angles = game.bullets.filter(b => b.ownerId === 1).map(b => Math.atan2(b.vy, b.vx));
+  assert.equal(angles.length, cfg.count);
+  const spread = Math.max(...angles) - Math.min(...angles);
+  assert.ok(Math.abs(spread - cfg.fanAngle) < 1e-9);
+  assert.ok(Math.abs(angles.reduce((a, b) => a + b, 0) / angles.length) <= cfg.spread / 2);
+});
+
+test("axes come back to the thrower and can hit the same monster on the way back", () => {
+  const game = armedGame("axe", { aimMode: "manual" });
+  const p1 = game.getPlayer(1);
+  const m = dummy(game, p1.x + 90, p1.y);
+
+  game.step(DT, aimRight(true));
+  const axe = game.bullets.find(b => b.ownerId === 1);
+  p1.weaponTimer = 999;
+
+  let ticks = 0;
+  while (game.bullets.includes(axe) && ticks++ < 200) game.step(DT, aimRight(false));
+  assert.ok(axe.returning);
+  assert.ok(ticks < DEFAULT_BALANCE.bulletLifetime / DT, "caught before it timed out");
+  assert.ok(Math.hypot(axe.x - p1.x, axe.y - p1.y) < 40);
+  assert.equal(m.maxHp - m.hp, p1.shotDamage() * 2);
+});
+
+test("spear thrusts hit along their reach and auto aim only stabs in range", () => {
+  const game = armedGame("spear", { aimMode: "manual" });
+  const cfg = DEFAULT_BALANCE.weapons.spear;
+  const p1 = game.getPlayer(1);
+  // Room for both dummies on the left half.
+  p1.x = 60;
+  const near = dummy(game, p1.x + cfg.reach - 20, p1.y);
+  const far = dummy(game, p1.x + cfg.reach + near.radius + cfg.width + 20, p1.y);
+
+  game.step(DT, aimRight(true));
+  game.step(DT, aimRight(false));
+  assert.equal(near.maxHp - near.hp, p1.shotDamage());
+  assert.equal(far.hp, far.maxHp);
+
+  const auto = armedGame("spear");
+  const q = auto.getPlayer(1);
+  const m = dummy(auto, q.x + cfg.reach + 150, q.y);
+  auto.step(DT, {});
+  assert.equal(auto.bullets.length, 0);
+
+  m.x = q.x + cfg.reach;
+  auto.step(DT, {});
+  assert.equal(auto.bullets.length, 1);
+});
+
+test("bows hit harder the longer they are drawn", () => {
+  const cfg = DEFAULT_BALANCE.weapons.bow;
+  const game = armedGame("bow", { aimMode: "manual" });
+  const p1 = game.getPlayer(1);
+
+  // A quick tap still fires, at minimum power.
+  game.step(DT, aimRight(true));
+  assert.equal(game.bullets.length, 0);
+  game.step(DT, aimRight(false));
+  const tap = game.bullets.find(b => b.ownerId === 1);
+  assert.ok(Math.abs(tap.damage - p1.shotDamage() * cfg.minCharge) < 1e-9);
+
+  p1.weaponTimer = 0;
+  for (let t = 0; t < cfg.chargeTime + 0.1; t += DT) game.step(DT, aimRight(true));
+  assert.equal(p1.weaponCharge, 1);
+  game.step(DT, aimRight(false));
+  const full = game.bullets.filter(b => b.ownerId === 1).at(-1);
+  assert.equal(full.damage, p1.shotDamage());
+  assert.equal(p1.weaponCharge, 0);
+});
+
+test("weapon behaviours are checked by the balance config", () => {
+  assert.throws(
+    () => parseBalance({ weapons: { knife: { behaviour: "laser" } } }),
+    /weapons\.knife\.behaviour "laser" is not a known weapon behaviour/
+  );
+  assert.throws(
+    () => parseBalance({ weapons: { knife: { fanAngle: null } } }),
+    /weapons\.knife\.fanAngle must be a number/
+  );
+  for (const w of Object.values(DEFAULT_BALANCE.weapons)) assert.ok(weaponDps(w) > 0);
+});
+
+test("upgrades can add crits and split projectiles on hit", () => {
+  const game = armedGame("axe", { aimMode: "manual" });
+  const p1 = game.getPlayer(1);
+  p1.upgradePath = ["heft", "quick_hands", "splinter", "executioner"];
+  p1.applyUpgrades();
+  const { critMult, splitDamage } = DEFAULT_BALANCE.weaponUpgrades;
+  const m = dummy(game, p1.x + 60, p1.y);
+
+  let shots = 0;
+  let crits = 0;
+  for (let i = 0; i < 40; i++) {
+    p1.weaponTimer = 0;
+    game.bullets = [];
+    game.step(DT, aimRight(true));
+    shots += 1;
+    if (game.bullets[0].crit) crits += 1;
+    assert.equal(game.bullets[0].damage, p1.shotDamage() * (game.bullets[0].crit ? critMult : 1));
+  }
+  assert.ok(crits > 0 && crits < shots);
+
+  game.bullets = [];
+  p1.weaponTimer = 0;
+  game.step(DT, aimRight(true));
+  const axe = game.bullets[0];
+  for (let i = 0; i < 10 && !axe.hasSplit; i++) game.step(DT, aimRight(false));
+  const shards = game.bullets.filter(b => b.shard);
+  assert.equal(shards.length, 3);
+  assert.ok(shards.every(s => s.damage === axe.damage * splitDamage && s.hitIds.has(m.id)));
+});